@@ -2,8 +2,12 @@
  * Cloudflare Access authentication utilities
  */
 
+import { verifyToken } from './jwt.js'
+
 /**
- * Check if the request is authenticated via Cloudflare Access
+ * Check if the request is authenticated via Cloudflare Access.
+ * The Access JWT signature is verified against the team's public certs and
+ * the issuer, audience and expiry are enforced.
  * @param {Request} request - HTTP request
  * @param {*} env - Environment bindings
  * @returns {Promise<Object|null>} Access claims if authenticated, null otherwise
@@ -25,67 +29,45 @@ export async function isAccessAuthenticated(request, env) {
       }
     }
 
-    // Look for Cloudflare Access JWT in multiple possible headers
-    let accessJwtPayload = request.headers.get('CF-Access-Jwt-Payload')
-    let accessJwt = request.headers.get('CF-Access-Jwt')
-    let accessJwtAssertion = request.headers.get('cf-access-jwt-assertion')
-    let accessUserEmail = request.headers.get(
-      'cf-access-authenticated-user-email',
-    )
+    // Look for the signed Cloudflare Access JWT. The unsigned payload-only
+    // header (CF-Access-Jwt-Payload) cannot be verified and is never trusted.
+    const accessJwtAssertion = request.headers.get('cf-access-jwt-assertion')
+    const accessJwt = request.headers.get('CF-Access-Jwt')
+    const accessJwtPayload = request.headers.get('CF-Access-Jwt-Payload')
 
     if (env.DEBUG) {
-      console.log(
-        'CF-Access-Jwt-Payload:',
-        accessJwtPayload ? 'present' : 'missing',
-      )
-      console.log('CF-Access-Jwt:', accessJwt ? 'present' : 'missing')
       console.log(
         'cf-access-jwt-assertion:',
         accessJwtAssertion ? 'present' : 'missing',
       )
+      console.log('CF-Access-Jwt:', accessJwt ? 'present' : 'missing')
       console.log(
-        'cf-access-authenticated-user-email:',
-        accessUserEmail ? 'present' : 'missing',
+        'CF-Access-Jwt-Payload:',
+        accessJwtPayload ? 'present (ignored)' : 'missing',
       )
     }
 
-    if (!accessJwtPayload && !accessJwt && !accessJwtAssertion) {
-      console.log('No Cloudflare Access JWT headers found')
+    const token = accessJwtAssertion || accessJwt
+    if (!token) {
+      console.log(
+        accessJwtPayload
+          ? 'Rejecting unsigned CF-Access-Jwt-Payload header without a signed JWT'
+          : 'No Cloudflare Access JWT headers found',
+      )
       return null
     }
 
+    // Verify the signature against the team's Access certs, plus exp/nbf
     let claims
-
-    if (accessJwtPayload) {
-      // Decode the base64-encoded payload
-      if (env.DEBUG) console.log('Using CF-Access-Jwt-Payload header')
-      const payloadJson = atob(accessJwtPayload)
-      claims = JSON.parse(payloadJson)
-    } else if (accessJwt) {
-      // Parse the full JWT token
-      if (env.DEBUG) console.log('Using CF-Access-Jwt header - parsing JWT')
-      const parts = accessJwt.split('.')
-      if (parts.length !== 3) {
-        if (env.DEBUG) console.log('Invalid JWT format')
-        return null
-      }
-      const payloadJson = atob(parts[1])
-      claims = JSON.parse(payloadJson)
-    } else if (accessJwtAssertion) {
-      // Parse the cf-access-jwt-assertion header (the actual header being sent)
-      if (env.DEBUG)
-        console.log('Using cf-access-jwt-assertion header - parsing JWT')
-      const parts = accessJwtAssertion.split('.')
-      if (parts.length !== 3) {
-        if (env.DEBUG) console.log('Invalid JWT assertion format')
-        return null
-      }
-      const payloadJson = atob(parts[1])
-      claims = JSON.parse(payloadJson)
+    try {
+      claims = await verifyToken(env, token)
+    } catch (error) {
+      console.log('Access JWT verification failed:', error.message)
+      return null
     }
 
     if (env.DEBUG)
-      console.log('Parsed claims:', JSON.stringify(claims, null, 2))
+      console.log('Verified claims:', JSON.stringify(claims, null, 2))
 
     // Verify this is a valid Access token by checking required fields
     if (!claims.email || !claims.aud || !claims.iss) {
@@ -98,6 +80,15 @@ export async function isAccessAuthenticated(request, env) {
       return null
     }
 
+    // The token must have been issued by our own Access team domain
+    const expectedIssuer = `https://${env.TEAM_DOMAIN}`
+    if (claims.iss !== expectedIssuer) {
+      console.log(
+        `Access JWT issuer mismatch: expected ${expectedIssuer}, got ${claims.iss}`,
+      )
+      return null
+    }
+
     // Additional verification: ensure the audience matches our Access application
     const expectedAudience = env.ACCESS_APP_AUD
     if (!expectedAudience) {
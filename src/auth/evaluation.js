@@ -1,46 +1,241 @@
-import { getUserTrainingStatus } from '../database/training.js'
-import { extractUsername, sanitizeForLogging } from '../utils/validation.js'
+import {
+  getUserTrainingStatus,
+  getUserByEmail,
+  getOnboardingGraceDays,
+  getGracePeriodEnd,
+  isCompliantState,
+  isAllowedIdpStatus,
+} from '../database/training.js'
+import {
+  getApplicationContext,
+  getPolicyForApplication,
+  getRequiredCourses,
+  POLICY_MODES,
+} from '../database/policies.js'
+import { getActiveExemptions } from '../database/exemptions.js'
+import { normalizeEmail, sanitizeForLogging } from '../utils/validation.js'
 
 /**
- * External evaluation business logic for training certification
+ * Reason codes explaining an access decision
+ */
+export const DECISION_REASONS = {
+  TRAINING_COMPLETE: 'training_complete',
+  INVALID_TOKEN: 'invalid_token',
+  INVALID_CLAIMS: 'invalid_claims',
+  INVALID_EMAIL: 'invalid_email',
+  APP_NOT_MAPPED: 'app_not_mapped',
+  USER_NOT_FOUND: 'user_not_found',
+  USER_DEPROVISIONED: 'user_deprovisioned',
+  IDP_STATUS_NOT_ALLOWED: 'idp_status_not_allowed',
+  TRAINING_INCOMPLETE: 'training_incomplete',
+  CERTIFICATION_EXPIRED: 'certification_expired',
+  EXEMPTED: 'exempted',
+  ONBOARDING_GRACE: 'onboarding_grace',
+  DATABASE_ERROR: 'database_error',
+}
+
+/**
+ * External evaluation business logic for training certification.
+ * Applications whose policy is in monitor mode allow access to every user
+ * who has not been deprovisioned or suspended; the real decision is kept in `wouldAllow`
+ * and logged so users can be warned before enforcement is switched on.
  * @param {*} claims - JWT claims from Access token
  * @param {*} env - Environment bindings
- * @returns {boolean} Authorization decision
+ * @returns {Promise<Object>} Decision with `allowed`, `wouldAllow`, the policy
+ *   `mode`, a `reason` code from DECISION_REASONS, and the user, application,
+ *   policy version and courses behind it
  */
 export async function externalEvaluation(claims, env) {
+  const decision = await evaluateTrainingPolicy(claims, env)
+  decision.wouldAllow = decision.allowed
+
+  // Deprovisioned and suspended users are denied even by monitor-mode
+  // applications
+  if (
+    decision.mode === POLICY_MODES.MONITOR &&
+    !decision.allowed &&
+    decision.reason !== DECISION_REASONS.USER_DEPROVISIONED &&
+    decision.reason !== DECISION_REASONS.IDP_STATUS_NOT_ALLOWED
+  ) {
+    console.log(
+      `Monitor mode: ${sanitizeForLogging(decision.email || 'unknown')} would be denied access to ${sanitizeForLogging(decision.app)} (${decision.reason}), allowing`,
+    )
+    decision.allowed = true
+  }
+
+  return decision
+}
+
+/**
+ * Compute the training decision for a request.
+ * Users must hold a current (completed, not expired) certification for every
+ * course mapped to the requesting Access application, unless an active
+ * exemption waives the course or the user is a new hire still within the
+ * onboarding grace period; applications without a policy are denied by
+ * default.
+ * @param {*} claims - JWT claims from Access token
+ * @param {*} env - Environment bindings
+ * @returns {Promise<Object>} Decision before the policy mode is applied
+ */
+async function evaluateTrainingPolicy(claims, env) {
+  const decision = {
+    allowed: false,
+    reason: null,
+    email: null,
+    username: null,
+    app: null,
+    mode: null,
+    policyVersion: null,
+    missingCourses: [],
+    expiredCourses: [],
+    waivedCourses: [],
+    exemptionIds: [],
+    graceEndsAt: null,
+  }
+
+  // Validate claims structure
+  if (!claims || !claims.identity || !claims.identity.email) {
+    console.log('Invalid claims structure: missing email identity')
+    decision.reason = DECISION_REASONS.INVALID_CLAIMS
+    return decision
+  }
+
+  // Validate and normalize the email identifying the user
+  decision.email = claims.identity.email
   try {
-    // Validate claims structure
-    if (!claims || !claims.identity || !claims.identity.email) {
-      console.log('Invalid claims structure: missing email identity')
-      return false
+    decision.email = normalizeEmail(decision.email)
+  } catch (error) {
+    console.log('Invalid email in claims:', sanitizeForLogging(error.message))
+    decision.reason = DECISION_REASONS.INVALID_EMAIL
+    return decision
+  }
+
+  const app = getApplicationContext(claims)
+  decision.app = app.auds[0] || app.domain || null
+
+  try {
+    // Look up the courses required by the requesting application
+    const policy = await getPolicyForApplication(env, app)
+
+    if (!policy) {
+      console.log(
+        `No training policy for application ${sanitizeForLogging(app.auds.join(',') || app.domain || 'unknown')}, denying by default`,
+      )
+      decision.reason = DECISION_REASONS.APP_NOT_MAPPED
+      return decision
     }
+    decision.app = policy.aud
+    decision.mode = policy.mode
+    decision.policyVersion = policy.version
 
-    // Extract and validate username from email
-    const email = claims.identity.email
-    const username = extractUsername(email)
+    // Resolve the user by primary or alias email and get their per-course
+    // training status. Users who are not in the database have every course
+    // missing.
+    const user = await getUserByEmail(env, decision.email)
+    decision.username = user ? user.username : null
 
-    // Get user training status from D1 database
-    const trainingStatus = await getUserTrainingStatus(env, username)
+    // Users removed from the directory keep their history but never get access,
+    // whatever their training, exemptions or grace period
+    if (user && user.deprovisioned_at) {
+      console.log(
+        `User ${sanitizeForLogging(decision.email)} was deprovisioned, denying`,
+      )
+      decision.reason = DECISION_REASONS.USER_DEPROVISIONED
+      return decision
+    }
 
-    if (!trainingStatus) {
+    // Suspended (or otherwise inactive) directory accounts are denied the same way
+    if (user && !isAllowedIdpStatus(env, user.idp_status)) {
       console.log(
-        `User not found in training database: ${sanitizeForLogging(username)}`,
+        `User ${sanitizeForLogging(decision.email)} has directory status ${sanitizeForLogging(user.idp_status)}, denying`,
       )
-      return false
+      decision.reason = DECISION_REASONS.IDP_STATUS_NOT_ALLOWED
+      return decision
+    }
+    const courseStatuses = user
+      ? await getUserTrainingStatus(env, user.id)
+      : null
+    const stateByCourse = new Map(
+      (courseStatuses || []).map((c) => [c.course, c.state]),
+    )
+
+    // Every course required by the application (including those its
+    // attribute rules add for this user) must be completed and its
+    // certification not expired
+    const missingCourses = getRequiredCourses(policy, user).filter(
+      (c) => !isCompliantState(stateByCourse.get(c)),
+    )
+
+    // Active exemptions waive missing courses; unscoped ones waive them all
+    const exemptions =
+      missingCourses.length > 0
+        ? await getActiveExemptions(
+            env,
+            decision.username || decision.email,
+            policy.aud,
+          )
+        : []
+    const isWaived = (course) =>
+      exemptions.some((x) => !x.course || x.course === course)
+    decision.waivedCourses = missingCourses.filter(isWaived)
+    decision.exemptionIds = exemptions
+      .filter((x) => !x.course || decision.waivedCourses.includes(x.course))
+      .map((x) => x.id)
+    decision.missingCourses = missingCourses.filter((c) => !isWaived(c))
+    decision.expiredCourses = decision.missingCourses.filter(
+      (c) => stateByCourse.get(c) === 'expired',
+    )
+
+    // New hires are let in until their onboarding grace period ends
+    if (
+      decision.missingCourses.length > 0 &&
+      user &&
+      getOnboardingGraceDays(env) > 0
+    ) {
+      const graceEndsAt = getGracePeriodEnd(user.idp_created_at, env)
+      if (graceEndsAt && graceEndsAt > new Date()) {
+        decision.graceEndsAt = graceEndsAt.toISOString()
+      }
     }
 
-    // Only allow access if training is completed
-    const hasAccess = trainingStatus === 'completed'
+    decision.allowed =
+      (decision.missingCourses.length === 0 &&
+        (user !== null || decision.waivedCourses.length > 0)) ||
+      decision.graceEndsAt !== null
+
+    // Expiry is only the reason when nothing else is missing
+    if (decision.allowed && decision.missingCourses.length > 0) {
+      decision.reason = DECISION_REASONS.ONBOARDING_GRACE
+    } else if (decision.allowed) {
+      decision.reason =
+        decision.waivedCourses.length > 0
+          ? DECISION_REASONS.EXEMPTED
+          : DECISION_REASONS.TRAINING_COMPLETE
+    } else if (!user) {
+      console.log(
+        `User not found in training database: ${sanitizeForLogging(decision.email)}`,
+      )
+      decision.reason = DECISION_REASONS.USER_NOT_FOUND
+      return decision
+    } else if (
+      decision.expiredCourses.length === decision.missingCourses.length
+    ) {
+      decision.reason = DECISION_REASONS.CERTIFICATION_EXPIRED
+    } else {
+      decision.reason = DECISION_REASONS.TRAINING_INCOMPLETE
+    }
 
     console.log(
-      `User ${sanitizeForLogging(username)} training status: ${sanitizeForLogging(trainingStatus)}, access granted: ${hasAccess}`,
+      `User ${sanitizeForLogging(decision.email)} application: ${sanitizeForLogging(policy.name || policy.aud)}, missing courses: ${sanitizeForLogging(decision.missingCourses.join(',') || 'none')}, expired: ${sanitizeForLogging(decision.expiredCourses.join(',') || 'none')}, waived: ${sanitizeForLogging(decision.waivedCourses.join(',') || 'none')}, access granted: ${decision.allowed}`,
     )
-    return hasAccess
+    return decision
   } catch (error) {
     console.error(
       'Error in external evaluation:',
       sanitizeForLogging(error.message),
     )
-    return false
+    decision.allowed = false
+    decision.reason = DECISION_REASONS.DATABASE_ERROR
+    return decision
   }
 }
@@ -0,0 +1,50 @@
+/**
+ * Okta Event Hook authentication
+ */
+
+/**
+ * Compare two strings in constant time by comparing their SHA-256 digests
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {Promise<boolean>} True if the values are equal
+ */
+export async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder()
+  const [digestA, digestB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b)),
+  ])
+  const bytesA = new Uint8Array(digestA)
+  const bytesB = new Uint8Array(digestB)
+
+  let diff = 0
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ bytesB[i]
+  }
+  return diff === 0
+}
+
+/**
+ * Check whether the Okta Event Hook is configured
+ * @param {*} env - Environment bindings
+ * @returns {boolean} True if OKTA_EVENT_HOOK_SECRET is set
+ */
+export function isOktaEventHookConfigured(env) {
+  return Boolean(env.OKTA_EVENT_HOOK_SECRET)
+}
+
+/**
+ * Check if a request is an authenticated Okta Event Hook delivery. Okta sends
+ * the secret configured on the hook as the Authorization header value.
+ * @param {Request} request - HTTP request
+ * @param {*} env - Environment bindings
+ * @returns {Promise<boolean>} True if the shared secret matches
+ */
+export async function isOktaEventHookAuthenticated(request, env) {
+  const authorization = request.headers.get('authorization')
+  if (!isOktaEventHookConfigured(env) || !authorization) {
+    return false
+  }
+
+  return timingSafeEqual(authorization, env.OKTA_EVENT_HOOK_SECRET)
+}
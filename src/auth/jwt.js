@@ -1,6 +1,13 @@
-import { base64url, asciiToUint8Array } from '../utils/encoding.js'
+import {
+  base64url,
+  asciiToUint8Array,
+  signRs256Jwt,
+} from '../utils/encoding.js'
 import { cachedFetch, CACHE_CONFIG } from '../utils/cache.js'
 
+// Tolerated clock drift between Access and the Worker when checking exp/nbf
+const CLOCK_SKEW_SECONDS = 60
+
 /**
  * Parse a JWT into its respective pieces. Does not do any validation other than form checking.
  * @param {string} token - jwt string
@@ -33,6 +40,9 @@ export async function verifyToken(env, token) {
     console.log('incoming JWT', token)
   }
   const jwt = parseJWT(token)
+  if (jwt.header.alg !== 'RS256') {
+    throw new Error(`unsupported token algorithm: ${jwt.header.alg}`)
+  }
   const key = await fetchAccessPublicKey(env, jwt.header.kid)
 
   const verified = await crypto.subtle.verify(
@@ -48,10 +58,13 @@ export async function verifyToken(env, token) {
 
   const claims = jwt.payload
   let now = Math.floor(Date.now() / 1000)
-  // Validate expiration
-  if (claims.exp < now) {
+  // Validate expiration and not-before, allowing for clock skew
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
     throw new Error('expired token')
   }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new Error('token not yet valid')
+  }
 
   return claims
 }
@@ -64,26 +77,7 @@ export async function verifyToken(env, token) {
  */
 export async function signJWT(env, payload) {
   const { kid, privateKey } = await loadSigningKey(env)
-  const header = {
-    alg: 'RS256',
-    kid: kid,
-  }
-  const encHeader = base64url.stringify(
-    asciiToUint8Array(JSON.stringify(header)),
-  )
-  const encPayload = base64url.stringify(
-    asciiToUint8Array(JSON.stringify(payload)),
-  )
-  const encoded = `${encHeader}.${encPayload}`
-
-  const sig = new Uint8Array(
-    await crypto.subtle.sign(
-      'RSASSA-PKCS1-v1_5',
-      privateKey,
-      asciiToUint8Array(encoded),
-    ),
-  )
-  return `${encoded}.${base64url.stringify(sig)}`
+  return signRs256Jwt(payload, privateKey, { kid })
 }
 
 /**
@@ -0,0 +1,32 @@
+/**
+ * SCIM 2.0 provisioning authentication
+ */
+
+import { timingSafeEqual } from './hooks.js'
+
+/**
+ * Check whether the SCIM endpoint is configured
+ * @param {*} env - Environment bindings
+ * @returns {boolean} True if SCIM_BEARER_TOKEN is set
+ */
+export function isScimConfigured(env) {
+  return Boolean(env.SCIM_BEARER_TOKEN)
+}
+
+/**
+ * Check if a request carries the SCIM bearer token the identity provider was
+ * configured with
+ * @param {Request} request - HTTP request
+ * @param {*} env - Environment bindings
+ * @returns {Promise<boolean>} True if the bearer token matches
+ */
+export async function isScimAuthenticated(request, env) {
+  const match = (request.headers.get('authorization') || '').match(
+    /^Bearer\s+(.+)$/i,
+  )
+  if (!isScimConfigured(env) || !match) {
+    return false
+  }
+
+  return timingSafeEqual(match[1].trim(), env.SCIM_BEARER_TOKEN)
+}
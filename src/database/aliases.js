@@ -0,0 +1,94 @@
+/**
+ * User alias database operations
+ *
+ * An alias is an additional email address (e.g. after a domain rename or for
+ * a contractor's second mailbox) that resolves to an existing user.
+ */
+
+/**
+ * Create the user aliases table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeAliasTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS user_aliases (
+      email TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_user_aliases_user ON user_aliases(user_id)
+  `,
+  ).run()
+}
+
+/**
+ * List every alias with the user it resolves to
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Array>} Aliases ordered by user
+ */
+export async function listAliases(env) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT a.email, u.username AS user, a.created_at
+      FROM user_aliases a JOIN users u ON u.id = a.user_id
+      ORDER BY u.username, a.email
+    `,
+    ).all()
+
+    return result.results || []
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Add an alias email to a user
+ * @param {*} env - Environment bindings including DB
+ * @param {number} userId - User id
+ * @param {string} alias - Normalized alias email
+ * @returns {Promise<boolean>} Success status
+ */
+export async function addAlias(env, userId, alias) {
+  try {
+    await env.DB.prepare(
+      'INSERT INTO user_aliases (email, user_id) VALUES (?, ?)',
+    )
+      .bind(alias, userId)
+      .run()
+
+    return true
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Remove an alias email
+ * @param {*} env - Environment bindings including DB
+ * @param {string} alias - Normalized alias email
+ * @returns {Promise<boolean>} True if the alias was removed
+ */
+export async function removeAlias(env, alias) {
+  try {
+    const result = await env.DB.prepare(
+      'DELETE FROM user_aliases WHERE email = ?',
+    )
+      .bind(alias)
+      .run()
+
+    const changes = result.changes || result.meta?.changes || 0
+    return changes > 0
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
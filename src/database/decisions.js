@@ -0,0 +1,223 @@
+/**
+ * Access decision audit log database operations
+ *
+ * Every external evaluation is persisted to the decisions table so that
+ * allows and denies can be reviewed after the Worker logs have rotated.
+ */
+
+import { toDbTimestamp } from '../utils/time.js'
+
+// Default number of days decisions are kept before pruning
+export const DEFAULT_DECISION_RETENTION_DAYS = 90
+
+// Default and maximum number of decisions returned by listDecisions
+const DEFAULT_DECISION_LIMIT = 100
+const MAX_DECISION_LIMIT = 1000
+
+/**
+ * Create the decisions audit table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeDecisionTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      email TEXT,
+      username TEXT,
+      app TEXT,
+      mode TEXT,
+      policy_version INTEGER,
+      allowed INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      missing_courses TEXT,
+      exemption_ids TEXT,
+      latency_ms INTEGER,
+      jti TEXT,
+      nonce TEXT,
+      ray_id TEXT
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_decisions_created_at ON decisions(created_at)
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_decisions_email ON decisions(email)
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_decisions_app ON decisions(app)
+  `,
+  ).run()
+
+  // Apply monitor mode migration if the column doesn't exist
+  try {
+    await env.DB.prepare(`ALTER TABLE decisions ADD COLUMN mode TEXT`).run()
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Apply exemptions migration if the column doesn't exist
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE decisions ADD COLUMN exemption_ids TEXT`,
+    ).run()
+  } catch (e) {
+    // Column already exists
+  }
+}
+
+/**
+ * Persist an access decision
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} decision - Decision from externalEvaluation()
+ * @param {Object} context - Request context (latencyMs, jti, nonce, rayId)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function recordDecision(env, decision, context = {}) {
+  try {
+    await env.DB.prepare(
+      `
+      INSERT INTO decisions (email, username, app, mode, policy_version, allowed,
+                             reason, missing_courses, exemption_ids, latency_ms,
+                             jti, nonce, ray_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    )
+      .bind(
+        decision.email ? decision.email.toLowerCase() : null,
+        decision.username || null,
+        decision.app || null,
+        decision.mode || null,
+        decision.policyVersion ?? null,
+        decision.allowed ? 1 : 0,
+        decision.reason,
+        decision.missingCourses?.length
+          ? decision.missingCourses.join(',')
+          : null,
+        decision.exemptionIds?.length ? decision.exemptionIds.join(',') : null,
+        context.latencyMs ?? null,
+        context.jti || null,
+        context.nonce || null,
+        context.rayId || null,
+      )
+      .run()
+
+    return true
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Query the decision audit log, newest first
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} filters - Optional user (email or username), app,
+ *   decision ('allow' or 'deny'), from and to (Date) and limit
+ * @returns {Promise<Array>} Matching decisions
+ */
+export async function listDecisions(env, filters = {}) {
+  const conditions = []
+  const params = []
+
+  if (filters.user) {
+    conditions.push('(email = ? OR username = ?)')
+    params.push(filters.user.toLowerCase(), filters.user.toLowerCase())
+  }
+  if (filters.app) {
+    conditions.push('app = ?')
+    params.push(filters.app)
+  }
+  if (filters.decision) {
+    conditions.push('allowed = ?')
+    params.push(filters.decision === 'allow' ? 1 : 0)
+  }
+  if (filters.from) {
+    conditions.push('created_at >= ?')
+    params.push(toDbTimestamp(filters.from))
+  }
+  if (filters.to) {
+    conditions.push('created_at <= ?')
+    params.push(toDbTimestamp(filters.to))
+  }
+
+  const limit = Math.min(
+    filters.limit > 0 ? filters.limit : DEFAULT_DECISION_LIMIT,
+    MAX_DECISION_LIMIT,
+  )
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT id, created_at, email, username, app, mode, policy_version,
+             allowed, reason, missing_courses, exemption_ids, latency_ms, jti, nonce, ray_id
+      FROM decisions ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `,
+    )
+      .bind(...params, limit)
+      .all()
+
+    return (result.results || []).map((decision) => ({
+      ...decision,
+      allowed: decision.allowed === 1,
+      missing_courses: decision.missing_courses
+        ? decision.missing_courses.split(',')
+        : [],
+      exemption_ids: decision.exemption_ids
+        ? decision.exemption_ids.split(',').map(Number)
+        : [],
+    }))
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Get the number of days decisions are retained
+ * @param {*} env - Environment bindings
+ * @returns {number} Retention period in days
+ */
+export function getDecisionRetentionDays(env) {
+  const days = parseInt(env.DECISION_RETENTION_DAYS, 10)
+  return Number.isFinite(days) && days > 0
+    ? days
+    : DEFAULT_DECISION_RETENTION_DAYS
+}
+
+/**
+ * Delete decisions older than the retention period
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<number|null>} Number of decisions deleted, or null on error
+ */
+export async function pruneDecisions(env) {
+  const cutoff = new Date(
+    Date.now() - getDecisionRetentionDays(env) * 24 * 60 * 60 * 1000,
+  )
+
+  try {
+    const result = await env.DB.prepare(
+      'DELETE FROM decisions WHERE created_at < ?',
+    )
+      .bind(toDbTimestamp(cutoff))
+      .run()
+
+    return result.changes || result.meta?.changes || 0
+  } catch (error) {
+    console.error('Database update error:', error)
+    return null
+  }
+}
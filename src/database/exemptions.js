@@ -0,0 +1,168 @@
+/**
+ * Training exemption database operations
+ *
+ * An exemption waives training requirements for one user until it expires or
+ * is revoked. It can be scoped to a single Access application and/or a single
+ * course; an unscoped exemption waives every course for every application.
+ */
+
+import { toDbTimestamp } from '../utils/time.js'
+
+/**
+ * Create the exemptions table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeExemptionTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS exemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      app TEXT,
+      course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      approved_by TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      revoked_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_exemptions_email ON exemptions(email)
+  `,
+  ).run()
+}
+
+/**
+ * Get a user's active (unrevoked, unexpired) exemptions that apply to an
+ * application. Exemptions granted to any alias email of the user (see
+ * user_aliases) count as the user's own.
+ * @param {*} env - Environment bindings including DB
+ * @param {string} email - User email (username or alias)
+ * @param {string} app - Access application AUD tag
+ * @returns {Promise<Array>} Exemptions with their course slug (null = all courses)
+ */
+export async function getActiveExemptions(env, email, app) {
+  const result = await env.DB.prepare(
+    `
+    SELECT x.id, x.app, c.slug AS course, x.expires_at
+    FROM exemptions x LEFT JOIN courses c ON c.id = x.course_id
+    WHERE (
+        x.email = ?1
+        OR x.email IN (
+          SELECT u.username FROM users u
+          JOIN user_aliases a ON a.user_id = u.id
+          WHERE a.email = ?1
+        )
+        OR x.email IN (
+          SELECT a.email FROM user_aliases a
+          WHERE a.user_id IN (
+            SELECT id FROM users WHERE username = ?1
+            UNION
+            SELECT user_id FROM user_aliases WHERE email = ?1
+          )
+        )
+      )
+      AND x.revoked_at IS NULL
+      AND x.expires_at > CURRENT_TIMESTAMP
+      AND (x.app IS NULL OR x.app = ?2)
+    ORDER BY x.expires_at
+  `,
+  )
+    .bind(email.toLowerCase(), app)
+    .all()
+
+  return result.results || []
+}
+
+/**
+ * List exemptions, soonest expiry first
+ * @param {*} env - Environment bindings including DB
+ * @param {boolean} includeInactive - Include expired and revoked exemptions
+ * @returns {Promise<Array>} Exemptions with course slug and `active` flag
+ */
+export async function listExemptions(env, includeInactive = false) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT x.id, x.email, x.app, c.slug AS course, x.reason, x.approved_by,
+             x.expires_at, x.revoked_at, x.revoked_by, x.created_at,
+             (x.revoked_at IS NULL AND x.expires_at > CURRENT_TIMESTAMP) AS active
+      FROM exemptions x LEFT JOIN courses c ON c.id = x.course_id
+      ${includeInactive ? '' : 'WHERE x.revoked_at IS NULL AND x.expires_at > CURRENT_TIMESTAMP'}
+      ORDER BY active DESC, x.expires_at
+    `,
+    ).all()
+
+    return (result.results || []).map((exemption) => ({
+      ...exemption,
+      active: exemption.active === 1,
+    }))
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Grant an exemption
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} exemption - email, optional app and course slug, reason,
+ *   approvedBy and expiresAt (Date)
+ * @returns {Promise<number|null>} New exemption id, or null on error
+ */
+export async function createExemption(env, exemption) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      INSERT INTO exemptions (email, app, course_id, reason, approved_by, expires_at)
+      VALUES (?, ?, (SELECT id FROM courses WHERE slug = ?), ?, ?, ?)
+    `,
+    )
+      .bind(
+        exemption.email.toLowerCase(),
+        exemption.app || null,
+        exemption.course || null,
+        exemption.reason,
+        exemption.approvedBy,
+        toDbTimestamp(exemption.expiresAt),
+      )
+      .run()
+
+    return result.meta?.last_row_id ?? null
+  } catch (error) {
+    console.error('Database update error:', error)
+    return null
+  }
+}
+
+/**
+ * Revoke an active exemption
+ * @param {*} env - Environment bindings including DB
+ * @param {number} id - Exemption id
+ * @param {string} revokedBy - Email of the admin revoking the exemption
+ * @returns {Promise<boolean>} True if an active exemption was revoked
+ */
+export async function revokeExemption(env, id, revokedBy) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      UPDATE exemptions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `,
+    )
+      .bind(revokedBy, id)
+      .run()
+
+    const changes = result.changes || result.meta?.changes || 0
+    return changes > 0
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Okta group membership database operations
+ *
+ * The sync records which of the in-scope Okta groups (OKTA_SYNC_GROUP_IDS)
+ * each user belongs to, so the dashboard can filter by group and a sync of
+ * some of the groups knows which users the other groups still cover.
+ */
+
+/**
+ * Create the user groups table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeGroupTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS user_groups (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      group_id TEXT NOT NULL,
+      group_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, group_id)
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_user_groups_group ON user_groups(group_id)
+  `,
+  ).run()
+}
+
+/**
+ * List the groups users belong to, with their member counts
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Array>} Groups (id, name, members) ordered by name
+ */
+export async function listGroups(env) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT group_id AS id, MAX(group_name) AS name, COUNT(*) AS members
+      FROM user_groups
+      GROUP BY group_id
+      ORDER BY name, id
+    `,
+    ).all()
+
+    return result.results || []
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Get every user's group IDs
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Map<number, Array<string>>>} Group IDs by user id
+ */
+export async function getUserGroupIds(env) {
+  const groupsByUser = new Map()
+
+  try {
+    const result = await env.DB.prepare(
+      'SELECT user_id, group_id FROM user_groups',
+    ).all()
+
+    for (const row of result.results || []) {
+      if (!groupsByUser.has(row.user_id)) {
+        groupsByUser.set(row.user_id, [])
+      }
+      groupsByUser.get(row.user_id).push(row.group_id)
+    }
+  } catch (error) {
+    console.error('Database error:', error)
+  }
+
+  return groupsByUser
+}
@@ -0,0 +1,37 @@
+-- Migration: Add a per-course training catalog and per-user enrollments
+-- Replaces the single users.training_status column, which is kept for
+-- backwards compatibility but no longer read
+
+CREATE TABLE IF NOT EXISTS courses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    required INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS enrollments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'not started' CHECK (status IN ('not started', 'started', 'completed')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_user ON enrollments(user_id);
+
+-- Seed the compliance program courses
+INSERT OR IGNORE INTO courses (slug, name, description, required) VALUES
+    ('security-awareness', 'Security Awareness', 'Annual security awareness training', 1),
+    ('secure-coding', 'Secure Coding', 'Secure software development practices', 0),
+    ('privacy', 'Privacy', 'Data protection and privacy obligations', 0),
+    ('pci', 'PCI DSS', 'Payment card industry data security', 0);
+
+-- Carry over existing progress into the security awareness course
+INSERT OR IGNORE INTO enrollments (user_id, course_id, status)
+SELECT u.id, c.id, u.training_status FROM users u, courses c
+WHERE c.slug = 'security-awareness' AND u.training_status != 'not started';
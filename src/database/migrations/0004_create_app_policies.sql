@@ -0,0 +1,19 @@
+-- Migration: Map Access applications to the training courses they require
+-- Applications without a policy are denied by the evaluator
+
+CREATE TABLE IF NOT EXISTS app_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    aud TEXT UNIQUE NOT NULL,
+    name TEXT,
+    domain TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS app_policy_courses (
+    policy_id INTEGER NOT NULL REFERENCES app_policies(id) ON DELETE CASCADE,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    PRIMARY KEY (policy_id, course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_app_policies_domain ON app_policies(domain);
@@ -0,0 +1,12 @@
+-- Migration: Track certification completion dates and per-course validity
+-- A completion expires validity_days after completed_at (NULL = never expires)
+
+ALTER TABLE courses ADD COLUMN validity_days INTEGER;
+ALTER TABLE enrollments ADD COLUMN completed_at DATETIME;
+
+-- Annual recertification for the seeded compliance courses
+UPDATE courses SET validity_days = 365
+WHERE slug IN ('security-awareness', 'secure-coding', 'privacy', 'pci');
+
+-- Existing completions count from their last update
+UPDATE enrollments SET completed_at = updated_at WHERE status = 'completed';
@@ -0,0 +1,5 @@
+-- Migration: Version application policies
+-- Each policy update increments version so evaluation decisions can record
+-- exactly which policy revision they were made against
+
+ALTER TABLE app_policies ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
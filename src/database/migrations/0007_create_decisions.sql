@@ -0,0 +1,22 @@
+-- Migration: Persist access decisions for auditing
+-- One row per external evaluation; pruned after DECISION_RETENTION_DAYS
+
+CREATE TABLE IF NOT EXISTS decisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  email TEXT,
+  username TEXT,
+  app TEXT,
+  policy_version INTEGER,
+  allowed INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  missing_courses TEXT,
+  latency_ms INTEGER,
+  jti TEXT,
+  nonce TEXT,
+  ray_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_decisions_created_at ON decisions(created_at);
+CREATE INDEX IF NOT EXISTS idx_decisions_email ON decisions(email);
+CREATE INDEX IF NOT EXISTS idx_decisions_app ON decisions(app);
@@ -0,0 +1,5 @@
+-- Migration: Per-application enforcement mode
+-- 'monitor' policies log the real decision but always allow access
+
+ALTER TABLE app_policies ADD COLUMN mode TEXT NOT NULL DEFAULT 'enforce' CHECK (mode IN ('enforce', 'monitor'));
+ALTER TABLE decisions ADD COLUMN mode TEXT;
@@ -0,0 +1,19 @@
+-- Migration: Time-limited training exemptions
+-- app and course_id are optional scopes; NULL means every application / course
+
+CREATE TABLE IF NOT EXISTS exemptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL,
+  app TEXT,
+  course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  approved_by TEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME,
+  revoked_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_exemptions_email ON exemptions(email);
+
+ALTER TABLE decisions ADD COLUMN exemption_ids TEXT;
@@ -0,0 +1,4 @@
+-- Migration: Store the identity provider account creation date
+-- Drives the onboarding grace period for new hires (ONBOARDING_GRACE_DAYS)
+
+ALTER TABLE users ADD COLUMN idp_created_at DATETIME;
@@ -0,0 +1,71 @@
+-- Migration: Key users on their full normalized email and Okta user id
+-- Previously users were keyed on the email local part, so alice@corp.com and
+-- alice@contractor.io collapsed into the same row
+
+ALTER TABLE users ADD COLUMN idp_user_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_idp_user_id ON users(idp_user_id);
+
+-- Rows whose emails only differ in case or surrounding whitespace would get
+-- the same username; merge each group into its oldest row first
+CREATE TABLE IF NOT EXISTS user_merge AS
+SELECT d.id AS duplicate_id, k.keeper_id
+FROM users d
+JOIN (
+  SELECT lower(trim(primary_email)) AS email, MIN(id) AS keeper_id
+  FROM users
+  WHERE primary_email IS NOT NULL AND trim(primary_email) <> ''
+  GROUP BY lower(trim(primary_email))
+  HAVING COUNT(*) > 1
+) k ON lower(trim(d.primary_email)) = k.email
+WHERE d.id <> k.keeper_id;
+
+-- A course completed by a duplicate counts as completed for the kept row
+UPDATE enrollments
+SET status = 'completed',
+    completed_at = (
+      SELECT MAX(de.completed_at) FROM enrollments de
+      JOIN user_merge m ON m.duplicate_id = de.user_id
+      WHERE m.keeper_id = enrollments.user_id
+        AND de.course_id = enrollments.course_id AND de.status = 'completed'
+    ),
+    updated_at = CURRENT_TIMESTAMP
+WHERE EXISTS (
+  SELECT 1 FROM enrollments de
+  JOIN user_merge m ON m.duplicate_id = de.user_id
+  WHERE m.keeper_id = enrollments.user_id
+    AND de.course_id = enrollments.course_id AND de.status = 'completed'
+    AND (enrollments.status <> 'completed'
+      OR de.completed_at > enrollments.completed_at)
+);
+
+UPDATE enrollments SET status = 'started', updated_at = CURRENT_TIMESTAMP
+WHERE status = 'not started' AND EXISTS (
+  SELECT 1 FROM enrollments de
+  JOIN user_merge m ON m.duplicate_id = de.user_id
+  WHERE m.keeper_id = enrollments.user_id
+    AND de.course_id = enrollments.course_id AND de.status = 'started'
+);
+
+-- Courses only the duplicates are enrolled in move to the kept row
+UPDATE OR IGNORE enrollments
+SET user_id = (
+  SELECT keeper_id FROM user_merge WHERE duplicate_id = enrollments.user_id
+)
+WHERE user_id IN (SELECT duplicate_id FROM user_merge);
+
+DELETE FROM enrollments WHERE user_id IN (SELECT duplicate_id FROM user_merge);
+DELETE FROM users WHERE id IN (SELECT duplicate_id FROM user_merge);
+DROP TABLE user_merge;
+
+UPDATE users SET username = lower(trim(primary_email))
+WHERE primary_email IS NOT NULL AND trim(primary_email) <> '';
+
+-- Additional emails that resolve to an existing user
+CREATE TABLE IF NOT EXISTS user_aliases (
+  email TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_aliases_user ON user_aliases(user_id);
@@ -0,0 +1,5 @@
+-- Migration: Soft-delete users removed from Okta
+-- Sync marks them deprovisioned instead of deleting their training history;
+-- they are purged after DEPROVISIONED_RETENTION_DAYS
+
+ALTER TABLE users ADD COLUMN deprovisioned_at DATETIME;
@@ -0,0 +1,14 @@
+-- Migration: Per-user changes applied by each Okta sync run
+
+CREATE TABLE IF NOT EXISTS sync_run_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('add', 'update', 'restore', 'remove')),
+  previous_email TEXT,
+  fields TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_changes_run ON sync_run_changes(run_id);
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_changes_email ON sync_run_changes(email);
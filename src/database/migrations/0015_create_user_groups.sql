@@ -0,0 +1,11 @@
+-- Migration: In-scope Okta groups each user belongs to
+
+CREATE TABLE IF NOT EXISTS user_groups (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  group_id TEXT NOT NULL,
+  group_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, group_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_groups_group ON user_groups(group_id);
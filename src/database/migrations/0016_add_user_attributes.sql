@@ -0,0 +1,14 @@
+-- Migration: Okta last name and mapped profile attributes
+-- attributes holds a JSON object of the OKTA_ATTRIBUTE_MAPPING attributes
+-- (e.g. department, title, managerId, costCenter)
+
+ALTER TABLE users ADD COLUMN last_name TEXT;
+ALTER TABLE users ADD COLUMN attributes TEXT;
+
+CREATE TABLE IF NOT EXISTS app_policy_attribute_courses (
+  policy_id INTEGER NOT NULL REFERENCES app_policies(id) ON DELETE CASCADE,
+  attribute TEXT NOT NULL,
+  value TEXT NOT NULL,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  PRIMARY KEY (policy_id, attribute, value, course_id)
+);
@@ -0,0 +1,4 @@
+-- Migration: Okta lifecycle status of each user (ACTIVE, SUSPENDED, ...)
+-- Checked by the evaluator against OKTA_ALLOWED_STATUSES
+
+ALTER TABLE users ADD COLUMN idp_status TEXT;
@@ -0,0 +1,15 @@
+-- Migration: Outbox for pushing training statuses back to Okta, with the
+-- status last pushed for each user
+
+CREATE TABLE IF NOT EXISTS okta_writeback (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  pending INTEGER NOT NULL DEFAULT 1,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  pushed_status TEXT,
+  pushed_at DATETIME,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_okta_writeback_due ON okta_writeback(pending, next_attempt_at);
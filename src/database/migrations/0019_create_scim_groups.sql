@@ -0,0 +1,10 @@
+-- Migration: Groups pushed by SCIM provisioning (members are stored in
+-- user_groups)
+
+CREATE TABLE IF NOT EXISTS scim_groups (
+  id TEXT PRIMARY KEY,
+  display_name TEXT NOT NULL,
+  external_id TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
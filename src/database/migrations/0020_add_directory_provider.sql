@@ -0,0 +1,16 @@
+-- Migration: Directory each user and sync run comes from ('okta', 'entra',
+-- 'google', or 'scim' for users provisioned by SCIM)
+-- Users synced so far came from Okta, which always stores their status or
+-- creation date; other users with an externalId were provisioned by SCIM.
+-- Users without a provider are claimed by the first sync that matches them.
+
+ALTER TABLE users ADD COLUMN idp_provider TEXT;
+
+UPDATE users SET idp_provider = 'okta'
+WHERE idp_user_id IS NOT NULL
+  AND (idp_status IS NOT NULL OR idp_created_at IS NOT NULL);
+
+UPDATE users SET idp_provider = 'scim'
+WHERE idp_provider IS NULL AND idp_user_id IS NOT NULL;
+
+ALTER TABLE sync_runs ADD COLUMN provider TEXT NOT NULL DEFAULT 'okta';
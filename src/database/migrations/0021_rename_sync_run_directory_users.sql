@@ -0,0 +1,4 @@
+-- Migration: sync_runs.okta_users counts the users fetched from whichever
+-- directory the run synced, so give it a provider-neutral name
+
+ALTER TABLE sync_runs RENAME COLUMN okta_users TO directory_users;
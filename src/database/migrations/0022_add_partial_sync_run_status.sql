@@ -0,0 +1,56 @@
+-- Migration: A sync run that applied its changes but failed to write some
+-- users finishes as 'partial'. SQLite cannot change a CHECK constraint, so
+-- sync_runs is rebuilt; dropping it would cascade to sync_run_changes, which
+-- is set aside and restored around the rebuild.
+
+CREATE TABLE sync_runs_rebuild (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL DEFAULT 'okta',
+  trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'manual')),
+  group_ids TEXT,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'success', 'partial', 'aborted', 'failed')),
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME,
+  directory_users INTEGER,
+  added INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  restored INTEGER NOT NULL DEFAULT 0,
+  removed INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  errors TEXT
+);
+
+INSERT INTO sync_runs_rebuild (id, provider, trigger, group_ids, status,
+  started_at, finished_at, directory_users, added, updated, restored, removed,
+  skipped, errors)
+SELECT id, provider, trigger, group_ids, status, started_at, finished_at,
+  directory_users, added, updated, restored, removed, skipped, errors
+FROM sync_runs;
+
+CREATE TABLE sync_run_changes_copy AS SELECT * FROM sync_run_changes;
+
+DROP TABLE sync_run_changes;
+DROP TABLE sync_runs;
+ALTER TABLE sync_runs_rebuild RENAME TO sync_runs;
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at);
+
+CREATE TABLE sync_run_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('add', 'update', 'restore', 'remove')),
+  previous_email TEXT,
+  fields TEXT
+);
+
+INSERT INTO sync_run_changes (id, run_id, email, action, previous_email, fields)
+SELECT id, run_id, email, action, previous_email, fields
+FROM sync_run_changes_copy;
+
+DROP TABLE sync_run_changes_copy;
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_changes_run ON sync_run_changes(run_id);
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_changes_email ON sync_run_changes(email);
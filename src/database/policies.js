@@ -0,0 +1,336 @@
+/**
+ * Access application policy database operations
+ *
+ * Maps each Access application (by its AUD tag, optionally its domain) to the
+ * training courses a user must have completed to be allowed in. Attribute
+ * rules add courses for users with a given Okta attribute value (e.g. a
+ * secure coding course for department "Engineering").
+ */
+
+/**
+ * Policy enforcement modes. Monitor mode evaluates and logs the real decision
+ * but always allows access, so enforcement can be rolled out gradually.
+ */
+export const POLICY_MODES = {
+  ENFORCE: 'enforce',
+  MONITOR: 'monitor',
+}
+
+/**
+ * Create the application policy tables
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializePolicyTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS app_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      aud TEXT UNIQUE NOT NULL,
+      name TEXT,
+      domain TEXT,
+      version INTEGER NOT NULL DEFAULT 1,
+      mode TEXT NOT NULL DEFAULT 'enforce' CHECK (mode IN ('enforce', 'monitor')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS app_policy_courses (
+      policy_id INTEGER NOT NULL REFERENCES app_policies(id) ON DELETE CASCADE,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      PRIMARY KEY (policy_id, course_id)
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS app_policy_attribute_courses (
+      policy_id INTEGER NOT NULL REFERENCES app_policies(id) ON DELETE CASCADE,
+      attribute TEXT NOT NULL,
+      value TEXT NOT NULL,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      PRIMARY KEY (policy_id, attribute, value, course_id)
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_app_policies_domain ON app_policies(domain)
+  `,
+  ).run()
+
+  // Apply policy versioning migration if the column doesn't exist
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE app_policies ADD COLUMN version INTEGER NOT NULL DEFAULT 1`,
+    ).run()
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Apply monitor mode migration if the column doesn't exist
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE app_policies ADD COLUMN mode TEXT NOT NULL DEFAULT 'enforce' CHECK (mode IN ('enforce', 'monitor'))`,
+    ).run()
+  } catch (e) {
+    // Column already exists
+  }
+}
+
+/**
+ * Extract the Access application context from evaluation token claims
+ * @param {*} claims - JWT claims from Access token
+ * @returns {Object} Application AUD tags and domain (if present)
+ */
+export function getApplicationContext(claims) {
+  const auds = Array.isArray(claims.aud)
+    ? claims.aud
+    : claims.aud
+      ? [claims.aud]
+      : []
+
+  return {
+    auds: auds.filter((aud) => typeof aud === 'string'),
+    domain: claims.app_domain || claims.domain || null,
+  }
+}
+
+/**
+ * Load the attribute rules of policies, grouping their courses per
+ * attribute value
+ * @param {*} env - Environment bindings including DB
+ * @param {Array<number>} policyIds - Policy ids (empty = all policies)
+ * @returns {Promise<Map<number, Array>>} Rules ({ attribute, value, courses })
+ *   by policy id
+ */
+async function getAttributeRules(env, policyIds = []) {
+  const where = policyIds.length
+    ? `WHERE pa.policy_id IN (${policyIds.map(() => '?').join(', ')})`
+    : ''
+  const result = await env.DB.prepare(
+    `
+    SELECT pa.policy_id, pa.attribute, pa.value, c.slug
+    FROM app_policy_attribute_courses pa
+    JOIN courses c ON c.id = pa.course_id
+    ${where}
+    ORDER BY pa.attribute, pa.value, c.slug
+  `,
+  )
+    .bind(...policyIds)
+    .all()
+
+  const rulesByPolicy = new Map()
+  for (const row of result.results || []) {
+    const rules = rulesByPolicy.get(row.policy_id) || []
+    let rule = rules.find(
+      (r) => r.attribute === row.attribute && r.value === row.value,
+    )
+    if (!rule) {
+      rule = { attribute: row.attribute, value: row.value, courses: [] }
+      rules.push(rule)
+    }
+    rule.courses.push(row.slug)
+    rulesByPolicy.set(row.policy_id, rules)
+  }
+  return rulesByPolicy
+}
+
+/**
+ * Get the courses a policy requires from a user: its own courses plus those
+ * of every attribute rule matching the user's attributes (compared without
+ * regard to case)
+ * @param {Object} policy - Policy with `courses` and `attributeRules`
+ * @param {Object|null} user - User with an `attributes` object, if known
+ * @returns {Array<string>} Required course slugs
+ */
+export function getRequiredCourses(policy, user) {
+  const courses = new Set(policy.courses)
+  for (const rule of policy.attributeRules || []) {
+    const value = user?.attributes?.[rule.attribute]
+    if (
+      typeof value === 'string' &&
+      value.toLowerCase() === rule.value.toLowerCase()
+    ) {
+      rule.courses.forEach((course) => courses.add(course))
+    }
+  }
+  return [...courses]
+}
+
+/**
+ * Find the policy for an Access application, matching on AUD tag first and
+ * falling back to the application domain
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} app - Application context from getApplicationContext()
+ * @returns {Promise<Object|null>} Policy with its version, enforcement mode,
+ *   required course slugs and attribute rules, or null if unmapped
+ */
+export async function getPolicyForApplication(env, app) {
+  let policy = null
+
+  if (app.auds.length > 0) {
+    const placeholders = app.auds.map(() => '?').join(', ')
+    policy = await env.DB.prepare(
+      `SELECT id, aud, name, domain, version, mode, updated_at FROM app_policies WHERE aud IN (${placeholders}) LIMIT 1`,
+    )
+      .bind(...app.auds)
+      .first()
+  }
+
+  if (!policy && app.domain) {
+    policy = await env.DB.prepare(
+      'SELECT id, aud, name, domain, version, mode, updated_at FROM app_policies WHERE domain = ? LIMIT 1',
+    )
+      .bind(app.domain.toLowerCase())
+      .first()
+  }
+
+  if (!policy) {
+    return null
+  }
+
+  const courses = await env.DB.prepare(
+    `
+    SELECT c.slug FROM app_policy_courses pc
+    JOIN courses c ON c.id = pc.course_id
+    WHERE pc.policy_id = ?
+    ORDER BY c.slug
+  `,
+  )
+    .bind(policy.id)
+    .all()
+
+  const attributeRules = await getAttributeRules(env, [policy.id])
+
+  return {
+    ...policy,
+    courses: (courses.results || []).map((row) => row.slug),
+    attributeRules: attributeRules.get(policy.id) || [],
+  }
+}
+
+/**
+ * List all application policies with their required courses and attribute
+ * rules
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Array>} Policies ordered by name
+ */
+export async function listPolicies(env) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT p.id, p.aud, p.name, p.domain, p.version, p.mode, p.created_at, p.updated_at,
+             GROUP_CONCAT(c.slug) AS courses
+      FROM app_policies p
+      LEFT JOIN app_policy_courses pc ON pc.policy_id = p.id
+      LEFT JOIN courses c ON c.id = pc.course_id
+      GROUP BY p.id
+      ORDER BY p.name, p.aud
+    `,
+    ).all()
+    const attributeRules = await getAttributeRules(env)
+
+    return (result.results || []).map((policy) => ({
+      ...policy,
+      courses: policy.courses ? policy.courses.split(',') : [],
+      attributeRules: attributeRules.get(policy.id) || [],
+    }))
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Create or update an application policy and replace its required courses.
+ * Every update bumps the policy version reported in evaluation decisions.
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} policy - Policy fields (aud, name, domain, mode, courses and
+ *   attributeRules)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function savePolicy(env, policy) {
+  try {
+    await env.DB.prepare(
+      `
+      INSERT INTO app_policies (aud, name, domain, mode)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(aud) DO UPDATE SET
+        name = excluded.name,
+        domain = excluded.domain,
+        mode = excluded.mode,
+        version = app_policies.version + 1,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+    )
+      .bind(
+        policy.aud,
+        policy.name || null,
+        policy.domain ? policy.domain.toLowerCase() : null,
+        policy.mode || POLICY_MODES.ENFORCE,
+      )
+      .run()
+
+    const saved = await env.DB.prepare(
+      'SELECT id FROM app_policies WHERE aud = ?',
+    )
+      .bind(policy.aud)
+      .first()
+
+    const statements = [
+      env.DB.prepare('DELETE FROM app_policy_courses WHERE policy_id = ?').bind(
+        saved.id,
+      ),
+      ...policy.courses.map((slug) =>
+        env.DB.prepare(
+          'INSERT INTO app_policy_courses (policy_id, course_id) SELECT ?, id FROM courses WHERE slug = ?',
+        ).bind(saved.id, slug),
+      ),
+      env.DB.prepare(
+        'DELETE FROM app_policy_attribute_courses WHERE policy_id = ?',
+      ).bind(saved.id),
+      ...(policy.attributeRules || []).flatMap((rule) =>
+        rule.courses.map((slug) =>
+          env.DB.prepare(
+            'INSERT OR IGNORE INTO app_policy_attribute_courses (policy_id, attribute, value, course_id) SELECT ?, ?, ?, id FROM courses WHERE slug = ?',
+          ).bind(saved.id, rule.attribute, rule.value, slug),
+        ),
+      ),
+    ]
+    await env.DB.batch(statements)
+
+    return true
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Delete an application policy. The application becomes unmapped and is
+ * denied by default.
+ * @param {*} env - Environment bindings including DB
+ * @param {string} aud - Access application AUD tag
+ * @returns {Promise<boolean>} True if a policy was deleted
+ */
+export async function deletePolicy(env, aud) {
+  try {
+    const result = await env.DB.prepare(
+      'DELETE FROM app_policies WHERE aud = ?',
+    )
+      .bind(aud)
+      .run()
+
+    const changes = result.changes || result.meta?.changes || 0
+    return changes > 0
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * SCIM 2.0 provisioning database operations
+ *
+ * SCIM users are rows of the users table (the SCIM id is users.id and the
+ * externalId is stored as idp_user_id), so provisioned users are evaluated
+ * exactly like synced ones. SCIM groups live in scim_groups and their members
+ * in user_groups, which the dashboard group filter reads. Errors are thrown so
+ * that the SCIM handler can answer with a SCIM error response.
+ *
+ * Provisioned users are owned by SCIM (users.idp_provider is SCIM_PROVIDER):
+ * SCIM only reads and changes its own users, and directory syncs leave them
+ * alone.
+ */
+
+/**
+ * users.idp_provider of users provisioned by SCIM
+ */
+export const SCIM_PROVIDER = 'scim'
+
+// Columns read for a SCIM user resource
+const SCIM_USER_COLUMNS =
+  'id, username, idp_user_id, idp_provider, first_name, last_name, primary_email, deprovisioned_at, created_at, updated_at'
+
+/**
+ * Create the SCIM groups table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeScimTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS scim_groups (
+      id TEXT PRIMARY KEY,
+      display_name TEXT NOT NULL,
+      external_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  ).run()
+}
+
+/**
+ * Get a user provisioned by SCIM by id
+ * @param {*} env - Environment bindings including DB
+ * @param {number} id - User id
+ * @returns {Promise<Object|null>} users row
+ */
+export async function getScimUser(env, id) {
+  return env.DB.prepare(
+    `SELECT ${SCIM_USER_COLUMNS} FROM users WHERE id = ? AND idp_provider = ?`,
+  )
+    .bind(id, SCIM_PROVIDER)
+    .first()
+}
+
+/**
+ * Find the user a new SCIM user collides with, by userName or externalId,
+ * whoever owns it
+ * @param {*} env - Environment bindings including DB
+ * @param {string} username - Normalized email
+ * @param {string|null} externalId - Identity provider user ID
+ * @returns {Promise<Object|null>} users row
+ */
+export async function findScimUser(env, username, externalId) {
+  return env.DB.prepare(
+    `
+    SELECT ${SCIM_USER_COLUMNS} FROM users
+    WHERE username = ?1 OR (?2 IS NOT NULL AND idp_user_id = ?2)
+    ORDER BY username = ?1 DESC
+    LIMIT 1
+  `,
+  )
+    .bind(username, externalId)
+    .first()
+}
+
+/**
+ * List users provisioned by SCIM, optionally only the one with a given
+ * userName
+ * @param {*} env - Environment bindings including DB
+ * @param {string|null} username - Normalized email to filter on
+ * @param {number} offset - Rows to skip
+ * @param {number} limit - Maximum rows returned
+ * @returns {Promise<Object>} `total` matching users and the `users` page
+ */
+export async function listScimUsers(env, username, offset, limit) {
+  const where = username
+    ? 'WHERE idp_provider = ? AND username = ?'
+    : 'WHERE idp_provider = ?'
+  const params = username ? [SCIM_PROVIDER, username] : [SCIM_PROVIDER]
+
+  const [count, page] = await env.DB.batch([
+    env.DB.prepare(`SELECT COUNT(*) AS total FROM users ${where}`).bind(
+      ...params,
+    ),
+    env.DB.prepare(
+      `SELECT ${SCIM_USER_COLUMNS} FROM users ${where} ORDER BY id LIMIT ? OFFSET ?`,
+    ).bind(...params, limit, offset),
+  ])
+
+  return { total: count.results[0].total, users: page.results || [] }
+}
+
+/**
+ * Insert a user owned by SCIM
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} user - username, externalId, firstName, lastName, email and
+ *   active
+ * @returns {Promise<number>} New user id
+ */
+export async function createScimUser(env, user) {
+  const result = await env.DB.prepare(
+    `
+    INSERT INTO users (username, idp_user_id, first_name, last_name, primary_email, deprovisioned_at, idp_provider, training_status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, CASE WHEN ? THEN NULL ELSE CURRENT_TIMESTAMP END, ?, 'not started', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `,
+  )
+    .bind(
+      user.username,
+      user.externalId,
+      user.firstName,
+      user.lastName,
+      user.email,
+      user.active ? 1 : 0,
+      SCIM_PROVIDER,
+    )
+    .run()
+
+  return result.meta?.last_row_id
+}
+
+/**
+ * Replace the attributes of a SCIM user, or of an unowned user who then
+ * becomes one. An inactive user is deprovisioned (keeping their training
+ * history) and an active one restored.
+ * @param {*} env - Environment bindings including DB
+ * @param {number} id - User id
+ * @param {Object} user - See createScimUser
+ * @returns {Promise<boolean>} True if the user exists and SCIM may change them
+ */
+export async function updateScimUser(env, id, user) {
+  const result = await env.DB.prepare(
+    `
+    UPDATE users
+    SET username = ?1, idp_user_id = ?2, first_name = ?3, last_name = ?4, primary_email = ?5,
+        deprovisioned_at = CASE WHEN ?6 THEN NULL ELSE COALESCE(deprovisioned_at, CURRENT_TIMESTAMP) END,
+        idp_provider = ?7, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?8 AND (idp_provider IS NULL OR idp_provider = ?7)
+  `,
+  )
+    .bind(
+      user.username,
+      user.externalId,
+      user.firstName,
+      user.lastName,
+      user.email,
+      user.active ? 1 : 0,
+      SCIM_PROVIDER,
+      id,
+    )
+    .run()
+
+  const changes = result.changes || result.meta?.changes || 0
+  return changes > 0
+}
+
+/**
+ * Deprovision a SCIM user, keeping their training history
+ * @param {*} env - Environment bindings including DB
+ * @param {number} id - User id
+ * @returns {Promise<boolean>} True if the SCIM user exists
+ */
+export async function deprovisionScimUser(env, id) {
+  const result = await env.DB.prepare(
+    `
+    UPDATE users
+    SET deprovisioned_at = COALESCE(deprovisioned_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND idp_provider = ?
+  `,
+  )
+    .bind(id, SCIM_PROVIDER)
+    .run()
+
+  const changes = result.changes || result.meta?.changes || 0
+  return changes > 0
+}
+
+/**
+ * Get a group with its members
+ * @param {*} env - Environment bindings including DB
+ * @param {string} id - Group id
+ * @returns {Promise<Object|null>} scim_groups row with `members` (user id and
+ *   username)
+ */
+export async function getScimGroup(env, id) {
+  const group = await env.DB.prepare('SELECT * FROM scim_groups WHERE id = ?')
+    .bind(id)
+    .first()
+  if (!group) {
+    return null
+  }
+
+  const members = await env.DB.prepare(
+    `
+    SELECT u.id, u.username
+    FROM user_groups g JOIN users u ON u.id = g.user_id
+    WHERE g.group_id = ?
+    ORDER BY u.username
+  `,
+  )
+    .bind(id)
+    .all()
+
+  return { ...group, members: members.results || [] }
+}
+
+/**
+ * List groups, optionally only the one with a given displayName
+ * @param {*} env - Environment bindings including DB
+ * @param {string|null} displayName - Display name to filter on
+ * @param {number} offset - Rows to skip
+ * @param {number} limit - Maximum rows returned
+ * @returns {Promise<Object>} `total` matching groups and the `groups` page,
+ *   with their members
+ */
+export async function listScimGroups(env, displayName, offset, limit) {
+  const where = displayName ? 'WHERE display_name = ?' : ''
+  const params = displayName ? [displayName] : []
+
+  const [count, page] = await env.DB.batch([
+    env.DB.prepare(`SELECT COUNT(*) AS total FROM scim_groups ${where}`).bind(
+      ...params,
+    ),
+    env.DB.prepare(
+      `SELECT id FROM scim_groups ${where} ORDER BY display_name, id LIMIT ? OFFSET ?`,
+    ).bind(...params, limit, offset),
+  ])
+
+  const groups = []
+  for (const { id } of page.results || []) {
+    groups.push(await getScimGroup(env, id))
+  }
+  return { total: count.results[0].total, groups }
+}
+
+/**
+ * Insert a group
+ * @param {*} env - Environment bindings including DB
+ * @param {string} id - New group id
+ * @param {Object} group - displayName and externalId
+ */
+export async function createScimGroup(env, id, group) {
+  await env.DB.prepare(
+    'INSERT INTO scim_groups (id, display_name, external_id) VALUES (?, ?, ?)',
+  )
+    .bind(id, group.displayName, group.externalId)
+    .run()
+}
+
+/**
+ * Update a group's display name and externalId
+ * @param {*} env - Environment bindings including DB
+ * @param {string} id - Group id
+ * @param {Object} group - displayName and externalId
+ * @returns {Promise<boolean>} True if the group exists
+ */
+export async function updateScimGroup(env, id, group) {
+  const [result] = await env.DB.batch([
+    env.DB.prepare(
+      `
+      UPDATE scim_groups
+      SET display_name = ?, external_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+    ).bind(group.displayName, group.externalId, id),
+    env.DB.prepare(
+      'UPDATE user_groups SET group_name = ? WHERE group_id = ?',
+    ).bind(group.displayName, id),
+  ])
+
+  const changes = result.changes || result.meta?.changes || 0
+  return changes > 0
+}
+
+/**
+ * Add or remove group members. Unknown user ids and users SCIM does not own
+ * are ignored.
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} group - Group id and displayName
+ * @param {Object} changes - `add` and `remove` user ids
+ */
+export async function updateScimGroupMembers(env, group, changes) {
+  const statements = []
+  const insertStmt = env.DB.prepare(
+    `
+    INSERT OR IGNORE INTO user_groups (user_id, group_id, group_name)
+    SELECT id, ?, ? FROM users WHERE id = ? AND idp_provider = ?
+  `,
+  )
+  for (const userId of changes.add) {
+    statements.push(
+      insertStmt.bind(group.id, group.displayName, userId, SCIM_PROVIDER),
+    )
+  }
+
+  const deleteStmt = env.DB.prepare(
+    'DELETE FROM user_groups WHERE group_id = ? AND user_id = ?',
+  )
+  for (const userId of changes.remove) {
+    statements.push(deleteStmt.bind(group.id, userId))
+  }
+
+  statements.push(
+    env.DB.prepare(
+      'UPDATE scim_groups SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    ).bind(group.id),
+  )
+  await env.DB.batch(statements)
+}
+
+/**
+ * Delete a group and its memberships
+ * @param {*} env - Environment bindings including DB
+ * @param {string} id - Group id
+ * @returns {Promise<boolean>} True if the group existed
+ */
+export async function deleteScimGroup(env, id) {
+  const [result] = await env.DB.batch([
+    env.DB.prepare('DELETE FROM scim_groups WHERE id = ?').bind(id),
+    env.DB.prepare('DELETE FROM user_groups WHERE group_id = ?').bind(id),
+  ])
+
+  const changes = result.changes || result.meta?.changes || 0
+  return changes > 0
+}
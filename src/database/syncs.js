@@ -0,0 +1,352 @@
+/**
+ * Directory sync run history database operations
+ *
+ * Every sync that writes to the database, whether started by an admin or by
+ * the cron trigger, is recorded in the sync_runs table with the directory it
+ * synced from, and each user it added, updated, restored or removed in
+ * sync_run_changes.
+ */
+
+// Default and maximum number of runs returned by listSyncRuns (the maximum
+// keeps the run id list within D1's 100 bound parameters)
+const DEFAULT_SYNC_RUN_LIMIT = 20
+const MAX_SYNC_RUN_LIMIT = 100
+
+// Table definitions, shared by initializeSyncRunTables and the rebuild in
+// allowPartialSyncRuns
+const SYNC_RUNS_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL DEFAULT 'okta',
+  trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'manual')),
+  group_ids TEXT,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'success', 'partial', 'aborted', 'failed')),
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME,
+  directory_users INTEGER, -- users fetched from the directory
+  added INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  restored INTEGER NOT NULL DEFAULT 0,
+  removed INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  errors TEXT
+`
+
+const SYNC_RUN_CHANGES_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('add', 'update', 'restore', 'remove')),
+  previous_email TEXT,
+  fields TEXT
+`
+
+/**
+ * Sync run triggers
+ */
+export const SYNC_TRIGGERS = {
+  CRON: 'cron',
+  MANUAL: 'manual',
+}
+
+/**
+ * Rebuild a sync_runs table created before runs could finish as `partial`.
+ * SQLite cannot change a CHECK constraint in place. Dropping sync_runs would
+ * cascade to sync_run_changes, so the changes are set aside and restored
+ * around the rebuild.
+ * @param {*} env - Environment bindings including DB
+ */
+async function allowPartialSyncRuns(env) {
+  const table = await env.DB.prepare(
+    `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'sync_runs'`,
+  ).first()
+  if (table.sql.includes("'partial'")) {
+    return
+  }
+
+  const runColumns =
+    'id, provider, trigger, group_ids, status, started_at, finished_at, directory_users, added, updated, restored, removed, skipped, errors'
+  await env.DB.batch(
+    [
+      `CREATE TABLE sync_runs_rebuild (${SYNC_RUNS_COLUMNS})`,
+      `INSERT INTO sync_runs_rebuild (${runColumns}) SELECT ${runColumns} FROM sync_runs`,
+      `CREATE TABLE sync_run_changes_copy AS SELECT * FROM sync_run_changes`,
+      `DROP TABLE sync_run_changes`,
+      `DROP TABLE sync_runs`,
+      `ALTER TABLE sync_runs_rebuild RENAME TO sync_runs`,
+      `CREATE TABLE sync_run_changes (${SYNC_RUN_CHANGES_COLUMNS})`,
+      `INSERT INTO sync_run_changes (id, run_id, email, action, previous_email, fields) SELECT id, run_id, email, action, previous_email, fields FROM sync_run_changes_copy`,
+      `DROP TABLE sync_run_changes_copy`,
+    ].map((sql) => env.DB.prepare(sql)),
+  )
+}
+
+/**
+ * Create the sync runs table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeSyncRunTables(env) {
+  await env.DB.prepare(
+    `CREATE TABLE IF NOT EXISTS sync_runs (${SYNC_RUNS_COLUMNS})`,
+  ).run()
+
+  await env.DB.prepare(
+    `CREATE TABLE IF NOT EXISTS sync_run_changes (${SYNC_RUN_CHANGES_COLUMNS})`,
+  ).run()
+
+  // Runs recorded before Entra support were all Okta syncs
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE sync_runs ADD COLUMN provider TEXT NOT NULL DEFAULT 'okta'`,
+    ).run()
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Tables created before Entra support named the fetched user count after
+  // Okta
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE sync_runs RENAME COLUMN okta_users TO directory_users`,
+    ).run()
+  } catch (e) {
+    // Column already renamed
+  }
+
+  await allowPartialSyncRuns(env)
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at)
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_sync_run_changes_run ON sync_run_changes(run_id)
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_sync_run_changes_email ON sync_run_changes(email)
+  `,
+  ).run()
+}
+
+/**
+ * Record the start of a sync run
+ * @param {*} env - Environment bindings including DB
+ * @param {string} provider - Directory synced (see DIRECTORY_PROVIDERS)
+ * @param {string} trigger - One of SYNC_TRIGGERS
+ * @param {Array<string>} groupIds - Groups synced (empty = all users)
+ * @returns {Promise<number|null>} New run id, or null on error
+ */
+export async function startSyncRun(env, provider, trigger, groupIds = []) {
+  try {
+    const result = await env.DB.prepare(
+      'INSERT INTO sync_runs (provider, trigger, group_ids) VALUES (?, ?, ?)',
+    )
+      .bind(provider, trigger, groupIds.length ? groupIds.join(',') : null)
+      .run()
+
+    return result.meta?.last_row_id ?? null
+  } catch (error) {
+    console.error('Database update error:', error)
+    return null
+  }
+}
+
+/**
+ * Flatten the changes a sync applied into sync_run_changes rows
+ * @param {Object} diff - `applied` from syncUsersToDatabase results
+ * @returns {Array<Object>} Changes with email, action, previousEmail and fields
+ */
+function flattenSyncDiff(diff) {
+  return [
+    ...diff.add.map((email) => ({ email, action: 'add' })),
+    ...diff.update.map((change) => ({
+      email: change.email,
+      action: 'update',
+      previousEmail: change.previousEmail,
+      fields: change.fields,
+    })),
+    ...diff.restore.map((email) => ({ email, action: 'restore' })),
+    ...diff.remove.map((email) => ({ email, action: 'remove' })),
+  ]
+}
+
+/**
+ * Record the outcome of a sync run and, unless it was aborted, the per-user
+ * changes it applied. A run that applied its changes with errors (some users
+ * could not be written) is recorded as `partial`.
+ * @param {*} env - Environment bindings including DB
+ * @param {number} id - Run id from startSyncRun
+ * @param {Object} outcome - `results` from syncUsersToDatabase and the number
+ *   of `directoryUsers` fetched, or the `error` that stopped the run
+ * @returns {Promise<boolean>} Success status
+ */
+export async function finishSyncRun(env, id, outcome) {
+  const { results, directoryUsers, error } = outcome
+  let status = 'success'
+  if (error) {
+    status = 'failed'
+  } else if (results.aborted) {
+    status = 'aborted'
+  } else if (results.errors.length > 0) {
+    status = 'partial'
+  }
+  const errors = error ? [error] : results.errors
+
+  try {
+    await env.DB.prepare(
+      `
+      UPDATE sync_runs
+      SET status = ?, finished_at = CURRENT_TIMESTAMP, directory_users = ?,
+          added = ?, updated = ?, restored = ?, removed = ?, skipped = ?,
+          errors = ?
+      WHERE id = ?
+    `,
+    )
+      .bind(
+        status,
+        directoryUsers ?? null,
+        results?.added || 0,
+        results?.updated || 0,
+        results?.restored || 0,
+        results?.removed || 0,
+        results?.skipped || 0,
+        errors.length ? JSON.stringify(errors) : null,
+        id,
+      )
+      .run()
+
+    const changes =
+      (status === 'success' || status === 'partial') && results.applied
+        ? flattenSyncDiff(results.applied)
+        : []
+    if (changes.length > 0) {
+      const insertStmt = env.DB.prepare(
+        'INSERT INTO sync_run_changes (run_id, email, action, previous_email, fields) VALUES (?, ?, ?, ?, ?)',
+      )
+      await env.DB.batch(
+        changes.map((change) =>
+          insertStmt.bind(
+            id,
+            change.email,
+            change.action,
+            change.previousEmail || null,
+            change.fields ? change.fields.join(',') : null,
+          ),
+        ),
+      )
+    }
+
+    return true
+  } catch (dbError) {
+    console.error('Database update error:', dbError)
+    return false
+  }
+}
+
+/**
+ * Parse the stored columns of a sync run
+ * @param {Object} run - sync_runs row
+ * @returns {Object} Run with `group_ids` and `errors` as arrays
+ */
+function parseSyncRun(run) {
+  return {
+    ...run,
+    group_ids: run.group_ids ? run.group_ids.split(',') : [],
+    errors: run.errors ? JSON.parse(run.errors) : [],
+  }
+}
+
+/**
+ * List sync runs, newest first, each with its per-user `changes`
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} filters - Optional user (email that was changed) and limit
+ * @returns {Promise<Array>} Sync runs
+ */
+export async function listSyncRuns(env, filters = {}) {
+  const limit = Math.min(
+    filters.limit > 0 ? filters.limit : DEFAULT_SYNC_RUN_LIMIT,
+    MAX_SYNC_RUN_LIMIT,
+  )
+
+  try {
+    const user = filters.user ? filters.user.toLowerCase() : null
+    const runs = await env.DB.prepare(
+      `
+      SELECT * FROM sync_runs
+      ${user ? 'WHERE id IN (SELECT run_id FROM sync_run_changes WHERE email = ?1 OR previous_email = ?1)' : ''}
+      ORDER BY started_at DESC, id DESC
+      LIMIT ${user ? '?2' : '?1'}
+    `,
+    )
+      .bind(...(user ? [user, limit] : [limit]))
+      .all()
+
+    const results = (runs.results || []).map(parseSyncRun)
+    if (results.length === 0) {
+      return []
+    }
+
+    const changes = await env.DB.prepare(
+      `
+      SELECT run_id, email, action, previous_email, fields
+      FROM sync_run_changes
+      WHERE run_id IN (${results.map(() => '?').join(',')})
+      ORDER BY id
+    `,
+    )
+      .bind(...results.map((run) => run.id))
+      .all()
+
+    const changesByRun = new Map()
+    for (const change of changes.results || []) {
+      if (!changesByRun.has(change.run_id)) {
+        changesByRun.set(change.run_id, [])
+      }
+      changesByRun.get(change.run_id).push({
+        email: change.email,
+        action: change.action,
+        previous_email: change.previous_email,
+        fields: change.fields ? change.fields.split(',') : [],
+      })
+    }
+
+    return results.map((run) => ({
+      ...run,
+      changes: changesByRun.get(run.id) || [],
+    }))
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Get the most recent sync run of a directory
+ * @param {*} env - Environment bindings including DB
+ * @param {string} provider - Directory (see DIRECTORY_PROVIDERS)
+ * @returns {Promise<Object|null>} Latest run with parsed `errors`, or null
+ */
+export async function getLatestSyncRun(env, provider) {
+  try {
+    const run = await env.DB.prepare(
+      'SELECT * FROM sync_runs WHERE provider = ? ORDER BY started_at DESC, id DESC LIMIT 1',
+    )
+      .bind(provider)
+      .first()
+
+    if (!run) {
+      return null
+    }
+
+    return parseSyncRun(run)
+  } catch (error) {
+    console.error('Database error:', error)
+    return null
+  }
+}
@@ -2,6 +2,158 @@
  * Training certification database operations
  */
 
+import { initializePolicyTables } from './policies.js'
+import { initializeDecisionTables } from './decisions.js'
+import { initializeExemptionTables } from './exemptions.js'
+import { initializeAliasTables } from './aliases.js'
+import { initializeSyncRunTables } from './syncs.js'
+import { initializeGroupTables, getUserGroupIds } from './groups.js'
+import { initializeWritebackTables } from './writeback.js'
+import { initializeScimTables } from './scim.js'
+import { toDbTimestamp } from '../utils/time.js'
+import { normalizeEmail } from '../utils/validation.js'
+
+// Course that the legacy single users.training_status column was migrated into
+export const DEFAULT_COURSE = 'security-awareness'
+
+// Default number of days before expiry during which a certification is "expiring soon"
+export const DEFAULT_EXPIRY_WARNING_DAYS = 30
+
+// Default onboarding grace period for new hires, in days (0 disables it)
+export const DEFAULT_ONBOARDING_GRACE_DAYS = 0
+
+// Default number of days deprovisioned users are kept before being purged
+export const DEFAULT_DEPROVISIONED_RETENTION_DAYS = 365
+
+// Okta statuses allowed access by default; suspended, not yet activated
+// (STAGED, PROVISIONED) and deactivated users are denied
+export const DEFAULT_ALLOWED_IDP_STATUSES = [
+  'ACTIVE',
+  'PASSWORD_EXPIRED',
+  'LOCKED_OUT',
+  'RECOVERY',
+]
+
+// Courses seeded on first initialization (admins can add more via the API)
+const SEED_COURSES = [
+  {
+    slug: 'security-awareness',
+    name: 'Security Awareness',
+    description: 'Annual security awareness training',
+    required: 1,
+    validityDays: 365,
+  },
+  {
+    slug: 'secure-coding',
+    name: 'Secure Coding',
+    description: 'Secure software development practices',
+    required: 0,
+    validityDays: 365,
+  },
+  {
+    slug: 'privacy',
+    name: 'Privacy',
+    description: 'Data protection and privacy obligations',
+    required: 0,
+    validityDays: 365,
+  },
+  {
+    slug: 'pci',
+    name: 'PCI DSS',
+    description: 'Payment card industry data security',
+    required: 0,
+    validityDays: 365,
+  },
+]
+
+// One-time merge of users whose emails only differ in case or surrounding
+// whitespace, run before keying users on their normalized email (see
+// migration 0011): each group is merged into its oldest row, keeping the
+// furthest progress of every course
+const MERGE_DUPLICATE_EMAIL_USERS_SQL = [
+  `
+    CREATE TABLE IF NOT EXISTS user_merge AS
+    SELECT d.id AS duplicate_id, k.keeper_id
+    FROM users d
+    JOIN (
+      SELECT lower(trim(primary_email)) AS email, MIN(id) AS keeper_id
+      FROM users
+      WHERE primary_email IS NOT NULL AND trim(primary_email) <> ''
+      GROUP BY lower(trim(primary_email))
+      HAVING COUNT(*) > 1
+    ) k ON lower(trim(d.primary_email)) = k.email
+    WHERE d.id <> k.keeper_id
+  `,
+  `
+    UPDATE enrollments
+    SET status = 'completed',
+        completed_at = (
+          SELECT MAX(de.completed_at) FROM enrollments de
+          JOIN user_merge m ON m.duplicate_id = de.user_id
+          WHERE m.keeper_id = enrollments.user_id
+            AND de.course_id = enrollments.course_id AND de.status = 'completed'
+        ),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE EXISTS (
+      SELECT 1 FROM enrollments de
+      JOIN user_merge m ON m.duplicate_id = de.user_id
+      WHERE m.keeper_id = enrollments.user_id
+        AND de.course_id = enrollments.course_id AND de.status = 'completed'
+        AND (enrollments.status <> 'completed'
+          OR de.completed_at > enrollments.completed_at)
+    )
+  `,
+  `
+    UPDATE enrollments SET status = 'started', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'not started' AND EXISTS (
+      SELECT 1 FROM enrollments de
+      JOIN user_merge m ON m.duplicate_id = de.user_id
+      WHERE m.keeper_id = enrollments.user_id
+        AND de.course_id = enrollments.course_id AND de.status = 'started'
+    )
+  `,
+  `
+    UPDATE OR IGNORE enrollments
+    SET user_id = (
+      SELECT keeper_id FROM user_merge WHERE duplicate_id = enrollments.user_id
+    )
+    WHERE user_id IN (SELECT duplicate_id FROM user_merge)
+  `,
+  `
+    DELETE FROM enrollments WHERE user_id IN (SELECT duplicate_id FROM user_merge)
+  `,
+  `
+    DELETE FROM users WHERE id IN (SELECT duplicate_id FROM user_merge)
+  `,
+  `
+    DROP TABLE user_merge
+  `,
+]
+
+/**
+ * Key users on their normalized email instead of the email local part, unless
+ * done already (the users table then has idp_user_id). Users whose emails only
+ * differ in case or surrounding whitespace are merged first, so that the
+ * unique username constraint holds. The merge, the rewrite and the
+ * idp_user_id column are applied in one batch, so a failure leaves the
+ * database as it was and is retried on the next start.
+ * @param {*} env - Environment bindings including DB
+ */
+async function keyUsersOnEmail(env) {
+  const columns = await env.DB.prepare('PRAGMA table_info(users)').all()
+  if (columns.results.some((column) => column.name === 'idp_user_id')) {
+    return
+  }
+
+  await env.DB.batch(
+    [
+      ...MERGE_DUPLICATE_EMAIL_USERS_SQL,
+      `UPDATE users SET username = lower(trim(primary_email)) WHERE primary_email IS NOT NULL AND trim(primary_email) <> ''`,
+      `ALTER TABLE users ADD COLUMN idp_user_id TEXT`,
+    ].map((sql) => env.DB.prepare(sql)),
+  )
+}
+
 /**
  * Initialize the D1 database with users table and data
  * @param {*} env - Environment bindings including DB
@@ -9,14 +161,21 @@
  */
 export async function initializeDatabase(env) {
   try {
-    // Create users table
+    // Create users table (training_status is the legacy single-course status,
+    // superseded by the enrollments table and no longer read)
     await env.DB.prepare(
       `
       CREATE TABLE IF NOT EXISTS users (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         username TEXT UNIQUE NOT NULL,
+        idp_user_id TEXT,
         first_name TEXT,
+        last_name TEXT,
         primary_email TEXT,
+        idp_created_at DATETIME,
+        idp_status TEXT,
+        attributes TEXT,
+        deprovisioned_at DATETIME,
         training_status TEXT NOT NULL CHECK (training_status IN ('not started', 'started', 'completed')),
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -52,7 +211,109 @@ export async function initializeDatabase(env) {
       // Column already exists
     }
 
-    // No initial user data - users will be synced from Okta
+    try {
+      await env.DB.prepare(
+        `ALTER TABLE users ADD COLUMN idp_created_at DATETIME`,
+      ).run()
+    } catch (e) {
+      // Column already exists
+    }
+
+    // Per-course training catalog and enrollments, whose progress is merged
+    // when users are keyed on their email
+    await initializeCourseTables(env)
+
+    // Users used to be keyed on the email local part, which collided across
+    // email domains; they are now keyed on the full normalized email
+    await keyUsersOnEmail(env)
+
+    await env.DB.prepare(
+      `
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_idp_user_id ON users(idp_user_id)
+    `,
+    ).run()
+
+    // Users removed from Okta are soft-deleted rather than deleted
+    try {
+      await env.DB.prepare(
+        `ALTER TABLE users ADD COLUMN deprovisioned_at DATETIME`,
+      ).run()
+    } catch (e) {
+      // Column already exists
+    }
+
+    // Okta last name and mapped profile attributes (JSON)
+    try {
+      await env.DB.prepare(`ALTER TABLE users ADD COLUMN last_name TEXT`).run()
+    } catch (e) {
+      // Column already exists
+    }
+
+    try {
+      await env.DB.prepare(`ALTER TABLE users ADD COLUMN attributes TEXT`).run()
+    } catch (e) {
+      // Column already exists
+    }
+
+    // Okta lifecycle status (ACTIVE, SUSPENDED, ...)
+    try {
+      await env.DB.prepare(`ALTER TABLE users ADD COLUMN idp_status TEXT`).run()
+    } catch (e) {
+      // Column already exists
+    }
+
+    // Directory each user is synced from (okta, entra, google), or scim for
+    // users provisioned by SCIM; null for users added by hand. Users synced
+    // before Entra support came from Okta, which always stores their status or
+    // creation date; other users with an externalId came from SCIM.
+    // The backfill only touches unlabelled rows, so it is safe to run on
+    // every start.
+    try {
+      await env.DB.prepare(
+        `ALTER TABLE users ADD COLUMN idp_provider TEXT`,
+      ).run()
+    } catch (e) {
+      // Column already exists
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(
+        `
+        UPDATE users SET idp_provider = 'okta'
+        WHERE idp_provider IS NULL AND idp_user_id IS NOT NULL
+          AND (idp_status IS NOT NULL OR idp_created_at IS NOT NULL)
+      `,
+      ),
+      env.DB.prepare(
+        `UPDATE users SET idp_provider = 'scim' WHERE idp_provider IS NULL AND idp_user_id IS NOT NULL`,
+      ),
+    ])
+
+    // Alternate emails that resolve to a user
+    await initializeAliasTables(env)
+
+    // Access application to required course mappings
+    await initializePolicyTables(env)
+
+    // Access decision audit log
+    await initializeDecisionTables(env)
+
+    // Time-limited training exemptions
+    await initializeExemptionTables(env)
+
+    // Directory sync run history
+    await initializeSyncRunTables(env)
+
+    // Directory group membership of synced users
+    await initializeGroupTables(env)
+
+    // Training status write-back queue for Okta
+    await initializeWritebackTables(env)
+
+    // Groups pushed by SCIM provisioning
+    await initializeScimTables(env)
+
+    // No initial user data - users will be synced from the directory
 
     console.log('Database initialized successfully')
     return true
@@ -63,20 +324,128 @@ export async function initializeDatabase(env) {
 }
 
 /**
- * Get user training status from D1 database
+ * Create the courses and enrollments tables, seed the default catalog and
+ * migrate the legacy users.training_status column into the default course
+ * @param {*} env - Environment bindings including DB
+ */
+async function initializeCourseTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS courses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      required INTEGER NOT NULL DEFAULT 0,
+      validity_days INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS enrollments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      status TEXT NOT NULL DEFAULT 'not started' CHECK (status IN ('not started', 'started', 'completed')),
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, course_id)
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_enrollments_user ON enrollments(user_id)
+  `,
+  ).run()
+
+  // Apply certification expiry migration if the columns don't exist
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE courses ADD COLUMN validity_days INTEGER`,
+    ).run()
+  } catch (e) {
+    // Column already exists
+  }
+
+  try {
+    await env.DB.prepare(
+      `ALTER TABLE enrollments ADD COLUMN completed_at DATETIME`,
+    ).run()
+    // Existing completions count from their last update
+    await env.DB.prepare(
+      `UPDATE enrollments SET completed_at = updated_at WHERE status = 'completed'`,
+    ).run()
+  } catch (e) {
+    // Column already exists
+  }
+
+  const seedStmt = env.DB.prepare(
+    'INSERT OR IGNORE INTO courses (slug, name, description, required, validity_days) VALUES (?, ?, ?, ?, ?)',
+  )
+  for (const course of SEED_COURSES) {
+    await seedStmt
+      .bind(
+        course.slug,
+        course.name,
+        course.description,
+        course.required,
+        course.validityDays,
+      )
+      .run()
+  }
+
+  // Carry over progress recorded in the legacy single-status column
+  await env.DB.prepare(
+    `
+    INSERT OR IGNORE INTO enrollments (user_id, course_id, status, completed_at)
+    SELECT u.id, c.id, u.training_status,
+           CASE WHEN u.training_status = 'completed' THEN u.updated_at END
+    FROM users u, courses c
+    WHERE c.slug = ? AND u.training_status != 'not started'
+  `,
+  )
+    .bind(DEFAULT_COURSE)
+    .run()
+}
+
+/**
+ * List all courses in the training catalog
  * @param {*} env - Environment bindings including DB
- * @param {string} username - Username to lookup
- * @returns {Promise<string|null>} Training status or null if user not found
+ * @returns {Promise<Array>} Courses ordered by name
  */
-export async function getUserTrainingStatus(env, username) {
+export async function listCourses(env) {
   try {
     const result = await env.DB.prepare(
-      'SELECT training_status FROM users WHERE username = ?',
+      'SELECT id, slug, name, description, required, validity_days, created_at, updated_at FROM courses ORDER BY name',
+    ).all()
+
+    return result.results || []
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Get a single course by slug
+ * @param {*} env - Environment bindings including DB
+ * @param {string} slug - Course slug
+ * @returns {Promise<Object|null>} Course or null if not found
+ */
+export async function getCourse(env, slug) {
+  try {
+    return await env.DB.prepare(
+      'SELECT id, slug, name, description, required, validity_days, created_at, updated_at FROM courses WHERE slug = ?',
     )
-      .bind(username)
+      .bind(slug)
       .first()
-
-    return result ? result.training_status : null
   } catch (error) {
     console.error('Database error:', error)
     return null
@@ -84,24 +453,54 @@ export async function getUserTrainingStatus(env, username) {
 }
 
 /**
- * Update user training status by username
+ * Create a course, or update it if the slug already exists
  * @param {*} env - Environment bindings including DB
- * @param {string} username - Username to update
- * @param {string} status - New training status
+ * @param {Object} course - Course fields (slug, name, description, required,
+ *   validityDays where null means the certification never expires)
  * @returns {Promise<boolean>} Success status
  */
-export async function updateUserTrainingStatus(env, username, status) {
+export async function saveCourse(env, course) {
   try {
-    const result = await env.DB.prepare(
+    await env.DB.prepare(
       `
-      UPDATE users SET training_status = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE username = ?
+      INSERT INTO courses (slug, name, description, required, validity_days)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(slug) DO UPDATE SET
+        name = excluded.name,
+        description = excluded.description,
+        required = excluded.required,
+        validity_days = excluded.validity_days,
+        updated_at = CURRENT_TIMESTAMP
     `,
     )
-      .bind(status, username)
+      .bind(
+        course.slug,
+        course.name,
+        course.description || null,
+        course.required ? 1 : 0,
+        course.validityDays ?? null,
+      )
+      .run()
+
+    return true
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Delete a course and all of its enrollments
+ * @param {*} env - Environment bindings including DB
+ * @param {string} slug - Course slug
+ * @returns {Promise<boolean>} True if a course was deleted
+ */
+export async function deleteCourse(env, slug) {
+  try {
+    const result = await env.DB.prepare('DELETE FROM courses WHERE slug = ?')
+      .bind(slug)
       .run()
 
-    // Check both result.changes and result.meta.changes for compatibility
     const changes = result.changes || result.meta?.changes || 0
     return changes > 0
   } catch (error) {
@@ -111,26 +510,466 @@ export async function updateUserTrainingStatus(env, username, status) {
 }
 
 /**
- * Update user training status by email
+ * Find a user by email, matching either their identity key (the normalized
+ * primary email) or one of their alias emails. Database errors are thrown.
  * @param {*} env - Environment bindings including DB
- * @param {string} email - Email to update
- * @param {string} status - New training status
- * @returns {Promise<boolean>} Success status
+ * @param {string} email - Normalized email (see normalizeEmail)
+ * @returns {Promise<Object|null>} User (with parsed `attributes`) or null if
+ *   not found
+ */
+export async function getUserByEmail(env, email) {
+  const user = await env.DB.prepare(
+    `
+    SELECT id, username, idp_user_id, first_name, last_name, primary_email,
+           idp_created_at, idp_status, attributes, deprovisioned_at, created_at,
+           updated_at
+    FROM users
+    WHERE username = ?1
+       OR id = (SELECT user_id FROM user_aliases WHERE email = ?1)
+    LIMIT 1
+  `,
+  )
+    .bind(email)
+    .first()
+
+  return user ? parseUserAttributes(user) : null
+}
+
+/**
+ * Get a user's training status for every course in the catalog.
+ * Courses without an enrollment row are reported as 'not started', and each
+ * course carries its certification `state` (see getCertificationState).
+ * Database errors are thrown rather than swallowed so that callers can tell a
+ * user without training apart from an unavailable database.
+ * @param {*} env - Environment bindings including DB
+ * @param {number} userId - User id (see getUserByEmail)
+ * @returns {Promise<Array>} Per-course statuses
+ */
+export async function getUserTrainingStatus(env, userId) {
+  const result = await env.DB.prepare(
+    `
+    SELECT c.slug AS course, c.name, c.required, c.validity_days,
+           COALESCE(e.status, 'not started') AS status,
+           e.completed_at, e.updated_at
+    FROM courses c
+    LEFT JOIN enrollments e ON e.course_id = c.id AND e.user_id = ?
+    ORDER BY c.name
+  `,
+  )
+    .bind(userId)
+    .all()
+
+  return (result.results || []).map((courseStatus) =>
+    withCertificationState(courseStatus, env),
+  )
+}
+
+/**
+ * Parse a user row's JSON attributes column
+ * @param {Object} user - users row
+ * @returns {Object} User with an `attributes` object
+ */
+function parseUserAttributes(user) {
+  try {
+    return {
+      ...user,
+      attributes: user.attributes ? JSON.parse(user.attributes) : {},
+    }
+  } catch (error) {
+    console.error('Invalid attributes for user:', user.id)
+    return { ...user, attributes: {} }
+  }
+}
+
+/**
+ * Get all users from the database, including deprovisioned ones
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Array>} Users ordered by username
+ */
+async function getAllUsers(env) {
+  try {
+    const result = await env.DB.prepare(
+      'SELECT id, username, idp_user_id, idp_provider, first_name, last_name, primary_email, idp_created_at, idp_status, attributes, deprovisioned_at, created_at, updated_at FROM users ORDER BY username',
+    ).all()
+
+    return (result.results || []).map(parseUserAttributes)
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Get every enrollment row, for building the dashboard matrix
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Array>} Enrollments with user id, course slug and status
  */
-export async function updateUserTrainingStatusByEmail(env, email, status) {
+export async function getAllEnrollments(env) {
   try {
     const result = await env.DB.prepare(
       `
-      UPDATE users SET training_status = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE primary_email = ?
+      SELECT e.user_id, c.slug AS course, c.validity_days, e.status,
+             e.completed_at, e.updated_at
+      FROM enrollments e JOIN courses c ON c.id = e.course_id
     `,
+    ).all()
+
+    return result.results || []
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Attach each user's per-course statuses and overall status
+ * @param {Array} users - Users from the database
+ * @param {Array} courses - Training course catalog
+ * @param {Array} enrollments - All enrollment rows
+ * @param {*} env - Environment bindings
+ * @returns {Array} Users with `courseStatuses`, `overallStatus` and
+ *   `grace_ends_at` (set while the user's onboarding grace period is running)
+ */
+function buildTrainingMatrix(users, courses, enrollments, env) {
+  const enrollmentMap = new Map()
+  for (const enrollment of enrollments) {
+    enrollmentMap.set(`${enrollment.user_id}:${enrollment.course}`, enrollment)
+  }
+
+  return users.map((user) => {
+    const courseStatuses = courses.map((course) => {
+      const enrollment = enrollmentMap.get(`${user.id}:${course.slug}`)
+      return withCertificationState(
+        {
+          course: course.slug,
+          required: course.required,
+          validity_days: course.validity_days,
+          status: enrollment ? enrollment.status : 'not started',
+          completed_at: enrollment ? enrollment.completed_at : null,
+        },
+        env,
+      )
+    })
+    const graceEndsAt = getGracePeriodEnd(user.idp_created_at, env)
+    return {
+      ...user,
+      courseStatuses,
+      overallStatus: summarizeTrainingStatus(courseStatuses),
+      grace_ends_at:
+        graceEndsAt && graceEndsAt > new Date()
+          ? graceEndsAt.toISOString()
+          : null,
+    }
+  })
+}
+
+/**
+ * Load every user with their per-course certification states
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Object>} `users` (see buildTrainingMatrix, plus their Okta
+ *   `group_ids`) and the `courses` catalog
+ */
+export async function getTrainingMatrix(env) {
+  const [users, courses, enrollments, groupIds] = await Promise.all([
+    getAllUsers(env),
+    listCourses(env),
+    getAllEnrollments(env),
+    getUserGroupIds(env),
+  ])
+
+  return {
+    users: buildTrainingMatrix(users, courses, enrollments, env).map(
+      (user) => ({ ...user, group_ids: groupIds.get(user.id) || [] }),
+    ),
+    courses,
+  }
+}
+
+/**
+ * Parse a D1 CURRENT_TIMESTAMP value (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {string|null} value - Timestamp from the database
+ * @returns {Date|null} Parsed date or null
+ */
+export function parseDbTimestamp(value) {
+  if (!value) {
+    return null
+  }
+  const date = new Date(
+    value.includes('T') ? value : `${value.replace(' ', 'T')}Z`,
+  )
+  return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Get the number of days before expiry during which a certification is
+ * reported as expiring soon
+ * @param {*} env - Environment bindings
+ * @returns {number} Warning window in days
+ */
+export function getExpiryWarningDays(env) {
+  const days = parseInt(env.EXPIRY_WARNING_DAYS, 10)
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_EXPIRY_WARNING_DAYS
+}
+
+/**
+ * Get the Okta statuses allowed access, from the comma-separated
+ * OKTA_ALLOWED_STATUSES variable
+ * @param {*} env - Environment bindings
+ * @returns {Array<string>} Allowed statuses (upper case)
+ */
+export function getAllowedIdpStatuses(env) {
+  const statuses = String(env.OKTA_ALLOWED_STATUSES || '')
+    .split(',')
+    .map((status) => status.trim().toUpperCase())
+    .filter(Boolean)
+  return statuses.length > 0 ? statuses : DEFAULT_ALLOWED_IDP_STATUSES
+}
+
+/**
+ * Check whether a user's Okta status allows access. Users without a stored
+ * status (not synced from Okta) are allowed.
+ * @param {*} env - Environment bindings
+ * @param {string|null} status - users.idp_status
+ * @returns {boolean} True if the status allows access
+ */
+export function isAllowedIdpStatus(env, status) {
+  return !status || getAllowedIdpStatuses(env).includes(status.toUpperCase())
+}
+
+/**
+ * Get the number of days after IdP account creation during which a new hire
+ * is allowed in without completed training
+ * @param {*} env - Environment bindings
+ * @returns {number} Grace period in days (0 = disabled)
+ */
+export function getOnboardingGraceDays(env) {
+  const days = parseInt(env.ONBOARDING_GRACE_DAYS, 10)
+  return Number.isFinite(days) && days >= 0
+    ? days
+    : DEFAULT_ONBOARDING_GRACE_DAYS
+}
+
+/**
+ * Compute when a user's onboarding grace period ends
+ * @param {string|null} idpCreatedAt - IdP account creation timestamp
+ * @param {*} env - Environment bindings
+ * @returns {Date|null} End of the grace period, or null if there is none
+ */
+export function getGracePeriodEnd(idpCreatedAt, env) {
+  const created = parseDbTimestamp(idpCreatedAt)
+  const days = getOnboardingGraceDays(env)
+  if (!created || days === 0) {
+    return null
+  }
+  return new Date(created.getTime() + days * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Get the number of days deprovisioned users are kept before being purged
+ * @param {*} env - Environment bindings
+ * @returns {number} Retention period in days
+ */
+export function getDeprovisionedRetentionDays(env) {
+  const days = parseInt(env.DEPROVISIONED_RETENTION_DAYS, 10)
+  return Number.isFinite(days) && days > 0
+    ? days
+    : DEFAULT_DEPROVISIONED_RETENTION_DAYS
+}
+
+/**
+ * Permanently delete users deprovisioned longer ago than the retention
+ * period, together with their enrollments and aliases
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<number|null>} Number of users deleted, or null on error
+ */
+export async function purgeDeprovisionedUsers(env) {
+  const cutoff = new Date(
+    Date.now() - getDeprovisionedRetentionDays(env) * 24 * 60 * 60 * 1000,
+  )
+
+  try {
+    const result = await env.DB.prepare(
+      'DELETE FROM users WHERE deprovisioned_at IS NOT NULL AND deprovisioned_at < ?',
     )
-      .bind(status, email)
+      .bind(toDbTimestamp(cutoff))
       .run()
 
-    // Check both result.changes and result.meta.changes for compatibility
-    const changes = result.changes || result.meta?.changes || 0
-    return changes > 0
+    return result.changes || result.meta?.changes || 0
+  } catch (error) {
+    console.error('Database update error:', error)
+    return null
+  }
+}
+
+/**
+ * Determine the certification state of a course enrollment. A completion is
+ * valid for the course's validity_days; after that it is 'expired', and within
+ * the warning window before expiry it is 'expiring'.
+ * @param {Object} courseStatus - Enrollment with status, completed_at and validity_days
+ * @param {number} warningDays - Expiring-soon window in days
+ * @param {Date} [now] - Reference time
+ * @returns {{state: string, expiresAt: Date|null}} One of 'not started',
+ *   'started', 'completed', 'expiring' or 'expired', plus the expiry date
+ */
+export function getCertificationState(
+  courseStatus,
+  warningDays,
+  now = new Date(),
+) {
+  const {
+    status,
+    completed_at: completedAt,
+    validity_days: validity,
+  } = courseStatus
+
+  if (status !== 'completed' || !validity) {
+    return { state: status, expiresAt: null }
+  }
+
+  // A completion without a recorded date cannot be shown to be current
+  const completed = parseDbTimestamp(completedAt)
+  if (!completed) {
+    return { state: 'expired', expiresAt: null }
+  }
+
+  const expiresAt = new Date(completed.getTime() + validity * 86400000)
+  if (expiresAt <= now) {
+    return { state: 'expired', expiresAt }
+  }
+  if (expiresAt.getTime() - now.getTime() <= warningDays * 86400000) {
+    return { state: 'expiring', expiresAt }
+  }
+  return { state: 'completed', expiresAt }
+}
+
+/**
+ * Attach the certification state and expiry date to a course enrollment
+ * @param {Object} courseStatus - Enrollment row
+ * @param {*} env - Environment bindings
+ * @returns {Object} Enrollment with `state` and `expires_at`
+ */
+export function withCertificationState(courseStatus, env) {
+  const { state, expiresAt } = getCertificationState(
+    courseStatus,
+    getExpiryWarningDays(env),
+  )
+  return {
+    ...courseStatus,
+    state,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+  }
+}
+
+/**
+ * Whether a certification state counts as compliant (completed and not expired)
+ * @param {string} state - Certification state
+ * @returns {boolean} True if compliant
+ */
+export function isCompliantState(state) {
+  return state === 'completed' || state === 'expiring'
+}
+
+/**
+ * Summarize per-course statuses into a single status over the required courses
+ * @param {Array} courseStatuses - Items with `required`, `status` and `state`
+ * @returns {string} 'completed' if every required course is completed and not
+ *   expired, 'started' if any progress was made, 'not started' otherwise
+ */
+export function summarizeTrainingStatus(courseStatuses) {
+  const required = courseStatuses.filter((c) => c.required)
+
+  if (
+    required.length > 0 &&
+    required.every((c) => isCompliantState(c.state ?? c.status))
+  ) {
+    return 'completed'
+  }
+
+  return courseStatuses.some((c) => c.status !== 'not started')
+    ? 'started'
+    : 'not started'
+}
+
+/**
+ * Update a user's training status for a course. Marking a course completed
+ * (again) starts a new certification period.
+ * @param {*} env - Environment bindings including DB
+ * @param {string} username - User identity key (normalized email)
+ * @param {string} status - New training status
+ * @param {string} course - Course slug
+ * @returns {Promise<boolean>} Success status
+ */
+async function setEnrollmentStatus(env, username, status, course) {
+  const result = await env.DB.prepare(
+    `
+    INSERT INTO enrollments (user_id, course_id, status, completed_at)
+    SELECT u.id, c.id, ?1,
+           CASE WHEN ?1 = 'completed' THEN CURRENT_TIMESTAMP END
+    FROM users u, courses c
+    WHERE u.username = ?2 AND c.slug = ?3
+    ON CONFLICT(user_id, course_id) DO UPDATE SET
+      status = excluded.status,
+      completed_at = excluded.completed_at,
+      updated_at = CURRENT_TIMESTAMP
+  `,
+  )
+    .bind(status, username, course)
+    .run()
+
+  // Check both result.changes and result.meta.changes for compatibility
+  const changes = result.changes || result.meta?.changes || 0
+  if (changes > 0) {
+    await env.DB.prepare(
+      'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE username = ?',
+    )
+      .bind(username)
+      .run()
+  }
+  return changes > 0
+}
+
+/**
+ * Update user training status by username
+ * @param {*} env - Environment bindings including DB
+ * @param {string} username - User identity key (normalized email)
+ * @param {string} status - New training status
+ * @param {string} [course] - Course slug (defaults to DEFAULT_COURSE)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function updateUserTrainingStatus(
+  env,
+  username,
+  status,
+  course = DEFAULT_COURSE,
+) {
+  try {
+    return await setEnrollmentStatus(env, username, status, course)
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Update user training status by email (primary or alias, any case)
+ * @param {*} env - Environment bindings including DB
+ * @param {string} email - Email to update
+ * @param {string} status - New training status
+ * @param {string} [course] - Course slug (defaults to DEFAULT_COURSE)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function updateUserTrainingStatusByEmail(
+  env,
+  email,
+  status,
+  course = DEFAULT_COURSE,
+) {
+  try {
+    const user = await getUserByEmail(env, normalizeEmail(email))
+    if (!user) {
+      return false
+    }
+    return await setEnrollmentStatus(env, user.username, status, course)
   } catch (error) {
     console.error('Database update error:', error)
     return false
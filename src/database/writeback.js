@@ -0,0 +1,222 @@
+/**
+ * Okta write-back outbox database operations
+ *
+ * Users whose training status changed are queued in the okta_writeback table
+ * and pushed to Okta in the background, so that an Okta outage never blocks
+ * the admin UI. Each row also remembers the status last pushed, which lets
+ * the scheduled run find users whose certification expired in the meantime.
+ */
+
+import { toDbTimestamp } from '../utils/time.js'
+
+/**
+ * Create the Okta write-back table
+ * @param {*} env - Environment bindings including DB
+ */
+export async function initializeWritebackTables(env) {
+  await env.DB.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS okta_writeback (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      pending INTEGER NOT NULL DEFAULT 1,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      pushed_status TEXT,
+      pushed_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  ).run()
+
+  await env.DB.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_okta_writeback_due ON okta_writeback(pending, next_attempt_at)
+  `,
+  ).run()
+}
+
+/**
+ * Queue users for write-back. A user already queued is retried from scratch.
+ * @param {*} env - Environment bindings including DB
+ * @param {Array<number>} userIds - User ids
+ * @returns {Promise<boolean>} Success status
+ */
+export async function enqueueWriteback(env, userIds) {
+  if (userIds.length === 0) {
+    return true
+  }
+
+  try {
+    const statement = env.DB.prepare(
+      `
+      INSERT INTO okta_writeback (user_id) VALUES (?)
+      ON CONFLICT(user_id) DO UPDATE SET
+        pending = 1,
+        attempts = 0,
+        next_attempt_at = CURRENT_TIMESTAMP,
+        last_error = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+    )
+    await env.DB.batch(userIds.map((userId) => statement.bind(userId)))
+
+    return true
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Get queued users that are due for a (re)try, oldest first
+ * @param {*} env - Environment bindings including DB
+ * @param {number} maxAttempts - Users that failed this many times are skipped
+ * @param {number} limit - Maximum number of users returned
+ * @param {Array<number>|null} [userIds] - Only these users (null = all)
+ * @returns {Promise<Array>} Queue rows with the user's username, directory
+ *   user ID and provider, and deprovisioned_at
+ */
+export async function getDueWritebacks(
+  env,
+  maxAttempts,
+  limit,
+  userIds = null,
+) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT w.user_id, w.attempts, u.username, u.idp_user_id, u.idp_provider,
+             u.deprovisioned_at
+      FROM okta_writeback w JOIN users u ON u.id = w.user_id
+      WHERE w.pending = 1 AND w.attempts < ?
+        AND w.next_attempt_at <= CURRENT_TIMESTAMP
+        ${userIds ? `AND w.user_id IN (${userIds.map(() => '?').join(', ')})` : ''}
+      ORDER BY w.next_attempt_at
+      LIMIT ?
+    `,
+    )
+      .bind(maxAttempts, ...(userIds || []), limit)
+      .all()
+
+    return result.results || []
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
+
+/**
+ * Get every user's write-back state
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Map<number, Object>>} `pending` flag and `pushed_status`
+ *   by user id
+ */
+export async function getWritebackStates(env) {
+  try {
+    const result = await env.DB.prepare(
+      'SELECT user_id, pending, pushed_status FROM okta_writeback',
+    ).all()
+
+    return new Map(
+      (result.results || []).map((row) => [
+        row.user_id,
+        { pending: row.pending === 1, pushed_status: row.pushed_status },
+      ]),
+    )
+  } catch (error) {
+    console.error('Database error:', error)
+    return new Map()
+  }
+}
+
+/**
+ * Mark a queued user as done
+ * @param {*} env - Environment bindings including DB
+ * @param {number} userId - User id
+ * @param {string|null} status - Status pushed to Okta, or null if the user
+ *   was skipped
+ * @param {string|null} [note] - Why the user was skipped
+ * @returns {Promise<boolean>} Success status
+ */
+export async function completeWriteback(env, userId, status, note = null) {
+  try {
+    await env.DB.prepare(
+      `
+      UPDATE okta_writeback
+      SET pending = 0,
+          attempts = 0,
+          last_error = ?2,
+          pushed_status = COALESCE(?3, pushed_status),
+          pushed_at = CASE WHEN ?3 IS NULL THEN pushed_at ELSE CURRENT_TIMESTAMP END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?1
+    `,
+    )
+      .bind(userId, note, status)
+      .run()
+
+    return true
+  } catch (error) {
+    console.error('Database update error:', error)
+    return false
+  }
+}
+
+/**
+ * Record a failed push and schedule the next attempt
+ * @param {*} env - Environment bindings including DB
+ * @param {number} userId - User id
+ * @param {string} error - Error message
+ * @param {Date} retryAt - Earliest time of the next attempt
+ * @returns {Promise<boolean>} Success status
+ */
+export async function failWriteback(env, userId, error, retryAt) {
+  try {
+    await env.DB.prepare(
+      `
+      UPDATE okta_writeback
+      SET attempts = attempts + 1,
+          last_error = ?,
+          next_attempt_at = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `,
+    )
+      .bind(error, toDbTimestamp(retryAt), userId)
+      .run()
+
+    return true
+  } catch (dbError) {
+    console.error('Database update error:', dbError)
+    return false
+  }
+}
+
+/**
+ * List users still queued for write-back or whose last push failed or was
+ * skipped
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<Array>} Queue rows with the user's username, oldest first
+ */
+export async function listWritebacks(env) {
+  try {
+    const result = await env.DB.prepare(
+      `
+      SELECT u.username, w.pending, w.attempts, w.next_attempt_at, w.last_error,
+             w.pushed_status, w.pushed_at, w.updated_at
+      FROM okta_writeback w JOIN users u ON u.id = w.user_id
+      WHERE w.pending = 1 OR w.last_error IS NOT NULL
+      ORDER BY w.updated_at, u.username
+    `,
+    ).all()
+
+    return (result.results || []).map((row) => ({
+      ...row,
+      pending: row.pending === 1,
+    }))
+  } catch (error) {
+    console.error('Database error:', error)
+    return []
+  }
+}
@@ -0,0 +1,129 @@
+import { listAliases, addAlias, removeAlias } from '../database/aliases.js'
+import { getUserByEmail } from '../database/training.js'
+import { normalizeEmail } from '../utils/validation.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+
+/**
+ * Create a JSON error response
+ * @param {*} env - Environment bindings
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Response} JSON response
+ */
+function createErrorResponse(env, status, message) {
+  return new Response(
+    JSON.stringify({
+      success: false,
+      message,
+    }),
+    {
+      status,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to list user alias emails
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handleListAliases(env) {
+  const aliases = await listAliases(env)
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      aliases,
+      count: aliases.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to add an alias email to a user
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleAddAlias(env, request) {
+  try {
+    const body = await request.json()
+
+    let email
+    let alias
+    try {
+      email = normalizeEmail(body.email)
+      alias = normalizeEmail(body.alias)
+    } catch (error) {
+      return createErrorResponse(
+        env,
+        400,
+        'Valid user email and alias email are required',
+      )
+    }
+
+    const user = await getUserByEmail(env, email)
+    if (!user) {
+      return createErrorResponse(env, 404, 'User not found')
+    }
+
+    // An alias must not shadow another user's email or an existing alias
+    if (await getUserByEmail(env, alias)) {
+      return createErrorResponse(
+        env,
+        409,
+        'Alias email already belongs to a user',
+      )
+    }
+
+    const added = await addAlias(env, user.id, alias)
+
+    return new Response(
+      JSON.stringify({
+        success: added,
+        message: added ? 'Alias added successfully' : 'Failed to add alias',
+      }),
+      {
+        status: added ? 200 : 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  } catch (error) {
+    console.error('Add alias error:', error)
+    return createErrorResponse(env, 500, 'Internal server error')
+  }
+}
+
+/**
+ * Handle request to remove an alias email
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleRemoveAlias(env, request) {
+  const url = new URL(request.url)
+
+  let alias
+  try {
+    alias = normalizeEmail(url.searchParams.get('email'))
+  } catch (error) {
+    return createErrorResponse(env, 400, 'Invalid alias email')
+  }
+
+  const removed = await removeAlias(env, alias)
+
+  return new Response(
+    JSON.stringify({
+      success: removed,
+      message: removed ? 'Alias removed successfully' : 'Alias not found',
+    }),
+    {
+      status: removed ? 200 : 404,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
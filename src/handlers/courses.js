@@ -0,0 +1,135 @@
+import { listCourses, saveCourse, deleteCourse } from '../database/training.js'
+import { isValidCourseSlug } from '../utils/validation.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+
+/**
+ * Handle request to list the training course catalog
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handleListCourses(env) {
+  const courses = await listCourses(env)
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      courses,
+      count: courses.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to create or update a training course
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleSaveCourse(env, request) {
+  try {
+    const body = await request.json()
+    const { slug, name, description, required } = body
+    const validityDays = body.validityDays ?? null
+
+    if (!isValidCourseSlug(slug) || !name || typeof name !== 'string') {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message:
+            'A valid slug (lowercase letters, digits and dashes) and name are required',
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    if (
+      validityDays !== null &&
+      !(Number.isInteger(validityDays) && validityDays > 0)
+    ) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: 'validityDays must be a positive number of days or null',
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    const saved = await saveCourse(env, {
+      slug,
+      name: name.trim(),
+      description,
+      required: !!required,
+      validityDays,
+    })
+
+    return new Response(
+      JSON.stringify({
+        success: saved,
+        message: saved ? 'Course saved successfully' : 'Failed to save course',
+      }),
+      {
+        status: saved ? 200 : 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  } catch (error) {
+    console.error('Save course error:', error)
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Internal server error',
+      }),
+      {
+        status: 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+}
+
+/**
+ * Handle request to delete a training course and its enrollments
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleDeleteCourse(env, request) {
+  const url = new URL(request.url)
+  const slug = url.searchParams.get('slug')
+
+  if (!isValidCourseSlug(slug)) {
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Invalid course slug',
+      }),
+      {
+        status: 400,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+
+  const deleted = await deleteCourse(env, slug)
+
+  return new Response(
+    JSON.stringify({
+      success: deleted,
+      message: deleted ? 'Course deleted successfully' : 'Course not found',
+    }),
+    {
+      status: deleted ? 200 : 404,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
@@ -0,0 +1,149 @@
+import {
+  listDecisions,
+  pruneDecisions,
+  getDecisionRetentionDays,
+} from '../database/decisions.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+import { structuredLog, LOG_LEVELS } from '../utils/logging.js'
+
+/**
+ * Parse an optional date query parameter
+ * @param {string|null} value - ISO 8601 date or date-time
+ * @returns {Date|null|undefined} Parsed date, null if absent, undefined if invalid
+ */
+function parseDateParam(value) {
+  if (!value) {
+    return null
+  }
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? undefined : date
+}
+
+/**
+ * Create a 400 response for an invalid query parameter
+ * @param {*} env - Environment bindings
+ * @param {string} message - Error message
+ * @returns {Response} JSON response
+ */
+function createBadRequestResponse(env, message) {
+  return new Response(
+    JSON.stringify({
+      success: false,
+      message,
+    }),
+    {
+      status: 400,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to query the access decision audit log.
+ * Supports user, app, decision (allow|deny), from, to and limit filters.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleListDecisions(env, request) {
+  const url = new URL(request.url)
+  const user = url.searchParams.get('user')
+  const app = url.searchParams.get('app')
+  const decision = url.searchParams.get('decision')
+  const limitParam = url.searchParams.get('limit')
+
+  if (user && user.length > 254) {
+    return createBadRequestResponse(env, 'Invalid user filter')
+  }
+
+  if (app && app.length > 253) {
+    return createBadRequestResponse(env, 'Invalid app filter')
+  }
+
+  if (decision && decision !== 'allow' && decision !== 'deny') {
+    return createBadRequestResponse(env, 'Decision must be "allow" or "deny"')
+  }
+
+  const from = parseDateParam(url.searchParams.get('from'))
+  const to = parseDateParam(url.searchParams.get('to'))
+  if (from === undefined || to === undefined) {
+    return createBadRequestResponse(
+      env,
+      'Invalid date range, use ISO 8601 dates',
+    )
+  }
+
+  const limit = limitParam ? parseInt(limitParam, 10) : null
+  if (limitParam && !(limit > 0)) {
+    return createBadRequestResponse(env, 'Limit must be a positive integer')
+  }
+
+  const decisions = await listDecisions(env, {
+    user,
+    app,
+    decision,
+    from,
+    to,
+    limit,
+  })
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      decisions,
+      count: decisions.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to prune decisions older than the retention period
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handlePruneDecisions(env) {
+  const deleted = await pruneDecisions(env)
+  const retentionDays = getDecisionRetentionDays(env)
+
+  return new Response(
+    JSON.stringify({
+      success: deleted !== null,
+      message:
+        deleted !== null
+          ? `Pruned ${deleted} decisions older than ${retentionDays} days`
+          : 'Failed to prune decisions',
+      deleted: deleted || 0,
+      retentionDays,
+    }),
+    {
+      status: deleted !== null ? 200 : 500,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Prune decisions older than DECISION_RETENTION_DAYS from the cron trigger,
+ * so the audit log stays within its retention period
+ * @param {*} env - Environment bindings
+ * @param {Object} controller - Scheduled event controller (cron, scheduledTime)
+ */
+export async function handleScheduledPrune(env, controller) {
+  const deleted = await pruneDecisions(env)
+
+  structuredLog(
+    deleted !== null ? LOG_LEVELS.INFO : LOG_LEVELS.ERROR,
+    deleted !== null
+      ? 'Scheduled decision pruning completed'
+      : 'Scheduled decision pruning failed',
+    {
+      cron: controller.cron,
+      deleted: deleted || 0,
+      retentionDays: getDecisionRetentionDays(env),
+    },
+    env,
+  )
+}
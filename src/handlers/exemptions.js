@@ -0,0 +1,176 @@
+import {
+  listExemptions,
+  createExemption,
+  revokeExemption,
+} from '../database/exemptions.js'
+import { getCourse } from '../database/training.js'
+import {
+  isValidEmail,
+  isValidApplicationAud,
+  isValidCourseSlug,
+} from '../utils/validation.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+
+// Longest an exemption may be granted for
+const MAX_EXEMPTION_DAYS = 365
+
+/**
+ * Create a 400 response for an invalid exemption request
+ * @param {*} env - Environment bindings
+ * @param {string} message - Error message
+ * @returns {Response} JSON response
+ */
+function createBadRequestResponse(env, message) {
+  return new Response(
+    JSON.stringify({
+      success: false,
+      message,
+    }),
+    {
+      status: 400,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to list exemptions. Only active exemptions are returned
+ * unless `?all=1` is given.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleListExemptions(env, request) {
+  const url = new URL(request.url)
+  const exemptions = await listExemptions(
+    env,
+    url.searchParams.get('all') === '1',
+  )
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      exemptions,
+      count: exemptions.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to grant an exemption. The approver is the admin making the
+ * request, taken from their Cloudflare Access claims.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @param {Object} accessClaims - Verified Access claims of the admin
+ * @returns {Response} JSON response
+ */
+export async function handleGrantExemption(env, request, accessClaims) {
+  try {
+    const { email, app, course, reason, expiresAt } = await request.json()
+
+    if (!isValidEmail(email)) {
+      return createBadRequestResponse(env, 'A valid user email is required')
+    }
+
+    if (app && !isValidApplicationAud(app)) {
+      return createBadRequestResponse(env, 'Invalid application AUD tag')
+    }
+
+    if (
+      course &&
+      !(isValidCourseSlug(course) && (await getCourse(env, course)))
+    ) {
+      return createBadRequestResponse(env, `Unknown course: ${course}`)
+    }
+
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 500) {
+      return createBadRequestResponse(
+        env,
+        'A reason of at most 500 characters is required',
+      )
+    }
+
+    const expires = new Date(expiresAt)
+    const maxExpiry = Date.now() + MAX_EXEMPTION_DAYS * 24 * 60 * 60 * 1000
+    if (
+      isNaN(expires.getTime()) ||
+      expires.getTime() <= Date.now() ||
+      expires.getTime() > maxExpiry
+    ) {
+      return createBadRequestResponse(
+        env,
+        `Expiry must be a future date within ${MAX_EXEMPTION_DAYS} days`,
+      )
+    }
+
+    const id = await createExemption(env, {
+      email,
+      app,
+      course,
+      reason: reason.trim(),
+      approvedBy: accessClaims.email,
+      expiresAt: expires,
+    })
+
+    return new Response(
+      JSON.stringify({
+        success: id !== null,
+        message:
+          id !== null
+            ? 'Exemption granted successfully'
+            : 'Failed to grant exemption',
+        id,
+      }),
+      {
+        status: id !== null ? 200 : 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  } catch (error) {
+    console.error('Grant exemption error:', error)
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Internal server error',
+      }),
+      {
+        status: 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+}
+
+/**
+ * Handle request to revoke an exemption
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @param {Object} accessClaims - Verified Access claims of the admin
+ * @returns {Response} JSON response
+ */
+export async function handleRevokeExemption(env, request, accessClaims) {
+  const url = new URL(request.url)
+  const id = parseInt(url.searchParams.get('id'), 10)
+
+  if (!(id > 0)) {
+    return createBadRequestResponse(env, 'Invalid exemption id')
+  }
+
+  const revoked = await revokeExemption(env, id, accessClaims.email)
+
+  return new Response(
+    JSON.stringify({
+      success: revoked,
+      message: revoked
+        ? 'Exemption revoked successfully'
+        : 'Active exemption not found',
+    }),
+    {
+      status: revoked ? 200 : 404,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
@@ -0,0 +1,273 @@
+import {
+  fetchOktaUser,
+  upsertOktaUser,
+  deprovisionOktaUser,
+  setOktaGroupMembership,
+  isOktaUserInSyncScope,
+  getSyncGroupIds,
+} from '../integrations/okta.js'
+import {
+  isOktaEventHookConfigured,
+  isOktaEventHookAuthenticated,
+} from '../auth/hooks.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+import { normalizeEmail } from '../utils/validation.js'
+import { structuredLog, LOG_LEVELS } from '../utils/logging.js'
+
+// Okta event types the hook acts on
+const OKTA_EVENT_TYPES = {
+  USER_CREATE: 'user.lifecycle.create',
+  USER_ACTIVATE: 'user.lifecycle.activate',
+  USER_REACTIVATE: 'user.lifecycle.reactivate',
+  USER_DEACTIVATE: 'user.lifecycle.deactivate',
+  USER_SUSPEND: 'user.lifecycle.suspend',
+  USER_UNSUSPEND: 'user.lifecycle.unsuspend',
+  GROUP_MEMBERSHIP_ADD: 'group.user_membership.add',
+  GROUP_MEMBERSHIP_REMOVE: 'group.user_membership.remove',
+}
+
+/**
+ * Create a JSON response
+ * @param {*} env - Environment bindings
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Response} JSON response
+ */
+function createJSONResponse(env, status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: createSecureJSONHeaders(env),
+  })
+}
+
+/**
+ * Get the user an Okta event targets
+ * @param {Object} event - Okta event
+ * @returns {Object|null} Okta user ID and normalized email
+ */
+function getEventUser(event) {
+  const target = (event.target || []).find((t) => t.type === 'User')
+  if (!target?.id) {
+    return null
+  }
+
+  let username = null
+  try {
+    username = normalizeEmail(target.alternateId)
+  } catch (error) {
+    // Not an email login; the user is matched on their Okta ID only
+  }
+  return { id: target.id, username }
+}
+
+/**
+ * Get the in-scope group (see OKTA_SYNC_GROUP_IDS) a group membership event
+ * is for
+ * @param {*} env - Environment bindings
+ * @param {Object} event - Okta event
+ * @returns {Object|null} Group ID and name, or null for other groups
+ */
+function getEventSyncGroup(env, event) {
+  const target = (event.target || []).find((t) => t.type === 'UserGroup')
+  if (!target || !getSyncGroupIds(env).includes(target.id)) {
+    return null
+  }
+  return { id: target.id, name: target.displayName }
+}
+
+/**
+ * Fetch the event's user from Okta and add, update or restore them
+ * @param {*} env - Environment bindings
+ * @param {Object} eventUser - Okta user ID and normalized email
+ * @returns {Promise<string|null>} Change made, or null
+ */
+async function upsertEventUser(env, eventUser) {
+  const user = await fetchOktaUser(env, eventUser.id)
+  return user ? upsertOktaUser(env, user) : null
+}
+
+/**
+ * Deprovision the event's user
+ * @param {*} env - Environment bindings
+ * @param {Object} eventUser - Okta user ID and normalized email
+ * @returns {Promise<string|null>} 'remove', or null if the user was not active
+ */
+async function deprovisionEventUser(env, eventUser) {
+  return (await deprovisionOktaUser(env, eventUser.id, eventUser.username))
+    ? 'remove'
+    : null
+}
+
+/**
+ * Apply one Okta event to the users table with the same rules as the full
+ * sync: only users in the sync scope are added, activations and suspensions
+ * update the stored Okta status, and users are deprovisioned when they are deactivated or leave
+ * the last in-scope group
+ * @param {*} env - Environment bindings
+ * @param {Object} event - Okta event
+ * @returns {Promise<string|null>} Change made ('add', 'update', 'restore' or
+ *   'remove'), or null when the event changed nothing
+ */
+async function applyOktaEvent(env, event) {
+  const eventUser = getEventUser(event)
+  if (!eventUser) {
+    return null
+  }
+
+  switch (event.eventType) {
+    case OKTA_EVENT_TYPES.USER_CREATE:
+      return (await isOktaUserInSyncScope(env, eventUser.id))
+        ? upsertEventUser(env, eventUser)
+        : null
+
+    case OKTA_EVENT_TYPES.USER_DEACTIVATE:
+      return deprovisionEventUser(env, eventUser)
+
+    // Suspended users are kept with their new Okta status, which the
+    // evaluator denies (see OKTA_ALLOWED_STATUSES). Users created as STAGED or
+    // PROVISIONED are denied the same way until they are activated, and
+    // reactivation restores deactivated users.
+    case OKTA_EVENT_TYPES.USER_ACTIVATE:
+    case OKTA_EVENT_TYPES.USER_REACTIVATE:
+    case OKTA_EVENT_TYPES.USER_SUSPEND:
+    case OKTA_EVENT_TYPES.USER_UNSUSPEND:
+      return (await isOktaUserInSyncScope(env, eventUser.id))
+        ? upsertEventUser(env, eventUser)
+        : null
+
+    case OKTA_EVENT_TYPES.GROUP_MEMBERSHIP_ADD: {
+      const group = getEventSyncGroup(env, event)
+      if (!group) {
+        return null
+      }
+      const change = await upsertEventUser(env, eventUser)
+      await setOktaGroupMembership(
+        env,
+        eventUser.id,
+        eventUser.username,
+        group,
+        true,
+      )
+      return change
+    }
+
+    case OKTA_EVENT_TYPES.GROUP_MEMBERSHIP_REMOVE: {
+      const group = getEventSyncGroup(env, event)
+      if (!group) {
+        return null
+      }
+      await setOktaGroupMembership(
+        env,
+        eventUser.id,
+        eventUser.username,
+        group,
+        false,
+      )
+      // Still synced through another in-scope group
+      return (await isOktaUserInSyncScope(env, eventUser.id))
+        ? null
+        : deprovisionEventUser(env, eventUser)
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Apply a delivery's events in order, logging each change
+ * @param {*} env - Environment bindings
+ * @param {Array} events - Okta events
+ */
+async function processOktaEvents(env, events) {
+  for (const event of events) {
+    try {
+      const change = await applyOktaEvent(env, event)
+      if (change) {
+        structuredLog(
+          LOG_LEVELS.INFO,
+          'Okta event applied',
+          {
+            eventType: event.eventType,
+            eventId: event.uuid,
+            change,
+          },
+          env,
+        )
+      }
+    } catch (error) {
+      structuredLog(
+        LOG_LEVELS.ERROR,
+        'Okta event failed',
+        {
+          eventType: event.eventType,
+          eventId: event.uuid,
+          error: error.message,
+        },
+        env,
+      )
+    }
+  }
+}
+
+/**
+ * Handle Okta Event Hook requests. A GET answers the one-time verification
+ * challenge; a POST delivers events, which are applied in the background so
+ * Okta gets its response within its 3 second timeout.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @param {*} ctx - Execution context
+ * @returns {Response} JSON response
+ */
+export async function handleOktaEventHook(env, request, ctx) {
+  if (!isOktaEventHookConfigured(env)) {
+    return createJSONResponse(env, 503, {
+      success: false,
+      message: 'Okta Event Hook not configured',
+    })
+  }
+
+  if (!(await isOktaEventHookAuthenticated(request, env))) {
+    return createJSONResponse(env, 401, {
+      success: false,
+      message: 'Unauthorized',
+    })
+  }
+
+  if (request.method === 'GET') {
+    const challenge = request.headers.get('x-okta-verification-challenge')
+    if (!challenge) {
+      return createJSONResponse(env, 400, {
+        success: false,
+        message: 'Missing x-okta-verification-challenge header',
+      })
+    }
+    return createJSONResponse(env, 200, { verification: challenge })
+  }
+
+  let events
+  try {
+    const body = await request.json()
+    events = body?.data?.events
+  } catch (error) {
+    events = null
+  }
+  if (!Array.isArray(events)) {
+    return createJSONResponse(env, 400, {
+      success: false,
+      message: 'Invalid event hook payload',
+    })
+  }
+
+  const pending = processOktaEvents(env, events)
+  if (ctx) {
+    ctx.waitUntil(pending)
+  } else {
+    await pending
+  }
+
+  return createJSONResponse(env, 200, {
+    success: true,
+    received: events.length,
+  })
+}
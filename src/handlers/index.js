@@ -1,8 +1,10 @@
 import { loadPublicKey } from '../auth/keys.js'
 import { verifyToken, signJWT } from '../auth/jwt.js'
-import { externalEvaluation } from '../auth/evaluation.js'
+import { externalEvaluation, DECISION_REASONS } from '../auth/evaluation.js'
 import { initializeDatabase } from '../database/training.js'
 import { sanitizeForLogging } from '../utils/validation.js'
+import { recordDecision } from '../database/decisions.js'
+import { logDecision } from '../utils/logging.js'
 import {
   generateNonce,
   addCSPHeaders,
@@ -49,13 +51,41 @@ export async function handleKeysRequest(env) {
   })
 }
 
+/**
+ * Log an access decision and persist it to the audit log. The database write
+ * runs after the response is sent when an execution context is available.
+ * @param {*} env - Environment bindings
+ * @param {*} ctx - Execution context
+ * @param {Request} request - HTTP request
+ * @param {Object} decision - Decision from externalEvaluation()
+ * @param {Object|null} claims - Verified evaluation token claims
+ * @param {number} startTime - Request start time in milliseconds
+ */
+async function auditDecision(env, ctx, request, decision, claims, startTime) {
+  logDecision(decision, env)
+
+  const pending = recordDecision(env, decision, {
+    latencyMs: Date.now() - startTime,
+    jti: claims?.jti,
+    nonce: claims?.nonce,
+    rayId: request.headers.get('cf-ray'),
+  })
+
+  if (ctx) {
+    ctx.waitUntil(pending)
+  } else {
+    await pending
+  }
+}
+
 /**
  * Top level handler for external evaluation requests
  * @param {*} env - Environment bindings
  * @param {Request} request - HTTP request
+ * @param {*} ctx - Execution context (used to record decisions in the background)
  * @returns {Response} HTTP response
  */
-export async function handleExternalEvaluationRequest(env, request) {
+export async function handleExternalEvaluationRequest(env, request, ctx) {
   // Handle browser GET requests with a friendly response
   if (request.method === 'GET') {
     const styleNonce = generateNonce()
@@ -173,9 +203,11 @@ export async function handleExternalEvaluationRequest(env, request) {
     return addCSPHeaders(response, env, null, styleNonce)
   }
 
-  const now = Math.round(Date.now() / 1000)
+  const startTime = Date.now()
+  const now = Math.round(startTime / 1000)
   const JWT_EXPIRY_SECONDS = 300
   let result = { success: false, iat: now, exp: now + JWT_EXPIRY_SECONDS }
+  let audited = false
 
   try {
     // Validate request body
@@ -193,9 +225,21 @@ export async function handleExternalEvaluationRequest(env, request) {
 
     if (claims) {
       result.nonce = claims.nonce
-      if (await externalEvaluation(claims, env)) {
-        result.success = true
-      }
+      const decision = await externalEvaluation(claims, env)
+      await auditDecision(env, ctx, request, decision, claims, startTime)
+      audited = true
+
+      // Access only reads `success`; the decision metadata explains denials
+      result.success = decision.allowed
+      result.reason = decision.reason
+      result.app = decision.app
+      result.mode = decision.mode
+      result.policy_version = decision.policyVersion
+      result.missing_courses = decision.missingCourses
+      result.expired_courses = decision.expiredCourses
+      result.waived_courses = decision.waivedCourses
+      result.exemption_ids = decision.exemptionIds
+      result.grace_ends_at = decision.graceEndsAt
     }
 
     const jwt = await signJWT(env, result)
@@ -212,6 +256,23 @@ export async function handleExternalEvaluationRequest(env, request) {
     // Log detailed error for debugging (sanitized)
     console.error('External evaluation error:', sanitizeForLogging(e.message))
 
+    // Requests rejected before evaluation are audited as invalid tokens
+    if (!audited) {
+      await auditDecision(
+        env,
+        ctx,
+        request,
+        {
+          allowed: false,
+          reason: DECISION_REASONS.INVALID_TOKEN,
+          missingCourses: [],
+          expiredCourses: [],
+        },
+        null,
+        startTime,
+      )
+    }
+
     // Create production-safe error response
     const errorResponse = {
       success: false,
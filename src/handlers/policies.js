@@ -0,0 +1,281 @@
+import {
+  listPolicies,
+  savePolicy,
+  deletePolicy,
+  getRequiredCourses,
+  POLICY_MODES,
+} from '../database/policies.js'
+import {
+  listCourses,
+  getTrainingMatrix,
+  isCompliantState,
+} from '../database/training.js'
+import {
+  isValidApplicationAud,
+  isValidHostname,
+  isValidAttributeName,
+} from '../utils/validation.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+
+/**
+ * Handle request to list Access application policies
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handleListPolicies(env) {
+  const policies = await listPolicies(env)
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      policies,
+      count: policies.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Handle request to create or update the courses required by an Access application
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleSavePolicy(env, request) {
+  try {
+    const body = await request.json()
+    const { aud, name, domain } = body
+    const mode = body.mode || POLICY_MODES.ENFORCE
+    const courses = Array.isArray(body.courses) ? body.courses : []
+    const attributeRules = Array.isArray(body.attributeRules)
+      ? body.attributeRules
+      : []
+
+    if (!isValidApplicationAud(aud)) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: 'A valid Access application AUD tag is required',
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    if (domain && !isValidHostname(domain)) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: 'Invalid application domain',
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    if (!Object.values(POLICY_MODES).includes(mode)) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: 'Mode must be "enforce" or "monitor"',
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    // Attribute rules add courses for users with an attribute value
+    const invalidRule = attributeRules.find(
+      (rule) =>
+        !isValidAttributeName(rule?.attribute) ||
+        typeof rule.value !== 'string' ||
+        !rule.value.trim() ||
+        rule.value.length > 200 ||
+        !Array.isArray(rule.courses) ||
+        rule.courses.length === 0,
+    )
+    if (invalidRule) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message:
+            'Each attribute rule needs an attribute name, a value and at least one course',
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    // Every mapped course must exist in the catalog
+    const knownCourses = new Set((await listCourses(env)).map((c) => c.slug))
+    const unknownCourses = [
+      ...new Set([
+        ...courses,
+        ...attributeRules.flatMap((rule) => rule.courses),
+      ]),
+    ].filter((slug) => !knownCourses.has(slug))
+    if (unknownCourses.length > 0) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: `Unknown courses: ${unknownCourses.join(', ')}`,
+        }),
+        {
+          status: 400,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
+
+    const saved = await savePolicy(env, {
+      aud,
+      name,
+      domain,
+      mode,
+      courses,
+      attributeRules: attributeRules.map((rule) => ({
+        attribute: rule.attribute,
+        value: rule.value.trim(),
+        courses: rule.courses,
+      })),
+    })
+
+    return new Response(
+      JSON.stringify({
+        success: saved,
+        message: saved ? 'Policy saved successfully' : 'Failed to save policy',
+      }),
+      {
+        status: saved ? 200 : 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  } catch (error) {
+    console.error('Save policy error:', error)
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Internal server error',
+      }),
+      {
+        status: 500,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+}
+
+/**
+ * Handle request to delete an Access application policy
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleDeletePolicy(env, request) {
+  const url = new URL(request.url)
+  const aud = url.searchParams.get('aud')
+
+  if (!isValidApplicationAud(aud)) {
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Invalid application AUD tag',
+      }),
+      {
+        status: 400,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+
+  const deleted = await deletePolicy(env, aud)
+
+  return new Response(
+    JSON.stringify({
+      success: deleted,
+      message: deleted ? 'Policy deleted successfully' : 'Policy not found',
+    }),
+    {
+      status: deleted ? 200 : 404,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * List the users each monitor-mode application would block if it were
+ * switched to enforce, based on their current certifications
+ * @param {*} env - Environment bindings
+ * @param {Array} [users] - Users from getTrainingMatrix(), loaded if omitted
+ * @returns {Promise<Array>} Monitor-mode policies with their `blockedUsers`
+ */
+export async function getMonitorReport(env, users = null) {
+  const policies = (await listPolicies(env)).filter(
+    (policy) => policy.mode === POLICY_MODES.MONITOR,
+  )
+  if (policies.length === 0) {
+    return []
+  }
+
+  if (!users) {
+    ;({ users } = await getTrainingMatrix(env))
+  }
+
+  return policies.map((policy) => ({
+    aud: policy.aud,
+    name: policy.name,
+    domain: policy.domain,
+    version: policy.version,
+    courses: policy.courses,
+    attributeRules: policy.attributeRules,
+    blockedUsers: users
+      .filter((user) => !user.deprovisioned_at)
+      .map((user) => {
+        const states = new Map(
+          user.courseStatuses.map((c) => [c.course, c.state]),
+        )
+        const missingCourses = getRequiredCourses(policy, user).filter(
+          (course) => !isCompliantState(states.get(course)),
+        )
+        return {
+          email: user.primary_email,
+          first_name: user.first_name,
+          missingCourses,
+          expiredCourses: missingCourses.filter(
+            (course) => states.get(course) === 'expired',
+          ),
+        }
+      })
+      .filter((user) => user.missingCourses.length > 0),
+  }))
+}
+
+/**
+ * Handle request for the monitor-mode report of users who would be blocked
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handleMonitorReport(env) {
+  const applications = await getMonitorReport(env)
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      applications,
+      count: applications.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
@@ -0,0 +1,91 @@
+import { getTrainingMatrix } from '../database/training.js'
+import { isValidAttributeName } from '../utils/validation.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+
+/**
+ * Summarize baseline training compliance of active users per value of an
+ * Okta attribute (see OKTA_ATTRIBUTE_MAPPING)
+ * @param {*} env - Environment bindings
+ * @param {string} attribute - Attribute name, e.g. "department"
+ * @returns {Promise<Array>} One entry per value (null for users without it)
+ *   with user counts by overall status and the compliance percentage
+ */
+export async function getComplianceReport(env, attribute) {
+  const { users } = await getTrainingMatrix(env)
+  const byValue = new Map()
+
+  for (const user of users.filter((u) => !u.deprovisioned_at)) {
+    const value = user.attributes[attribute] ?? null
+    const entry = byValue.get(value) || {
+      value,
+      users: 0,
+      completed: 0,
+      started: 0,
+      notStarted: 0,
+      expired: 0,
+    }
+    entry.users++
+    if (user.overallStatus === 'completed') {
+      entry.completed++
+    } else if (user.overallStatus === 'started') {
+      entry.started++
+    } else {
+      entry.notStarted++
+    }
+    if (user.courseStatuses.some((c) => c.state === 'expired')) {
+      entry.expired++
+    }
+    byValue.set(value, entry)
+  }
+
+  return [...byValue.values()]
+    .map((entry) => ({
+      ...entry,
+      compliancePercent: Math.round((entry.completed / entry.users) * 100),
+    }))
+    .sort((a, b) =>
+      a.value === null
+        ? 1
+        : b.value === null
+          ? -1
+          : a.value.localeCompare(b.value),
+    )
+}
+
+/**
+ * Handle request for the compliance report, `?attribute=department`
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleComplianceReport(env, request) {
+  const url = new URL(request.url)
+  const attribute = url.searchParams.get('attribute')
+
+  if (!isValidAttributeName(attribute)) {
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'A valid attribute name is required',
+      }),
+      {
+        status: 400,
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+
+  const values = await getComplianceReport(env, attribute)
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      attribute,
+      values,
+      count: values.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
@@ -0,0 +1,870 @@
+import {
+  getScimUser,
+  findScimUser,
+  listScimUsers,
+  createScimUser,
+  updateScimUser,
+  deprovisionScimUser,
+  getScimGroup,
+  listScimGroups,
+  createScimGroup,
+  updateScimGroup,
+  updateScimGroupMembers,
+  deleteScimGroup,
+  SCIM_PROVIDER,
+} from '../database/scim.js'
+import { parseDbTimestamp } from '../database/training.js'
+import { isScimConfigured, isScimAuthenticated } from '../auth/scim.js'
+import { normalizeEmail } from '../utils/validation.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+
+// SCIM 2.0 schema URNs (RFC 7643, RFC 7644)
+const SCIM_SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  SERVICE_PROVIDER_CONFIG:
+    'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+}
+
+// Default and maximum number of resources in a list response
+const DEFAULT_SCIM_PAGE_SIZE = 100
+const MAX_SCIM_PAGE_SIZE = 100
+
+// Longest accepted string attribute
+const MAX_SCIM_VALUE_LENGTH = 255
+
+/**
+ * Create a SCIM JSON response
+ * @param {*} env - Environment bindings
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Response body (null for 204)
+ * @returns {Response} SCIM response
+ */
+function createScimResponse(env, status, body) {
+  return new Response(body === null ? null : JSON.stringify(body), {
+    status,
+    headers: {
+      ...createSecureJSONHeaders(env),
+      'content-type': 'application/scim+json',
+    },
+  })
+}
+
+/**
+ * Create a SCIM error response
+ * @param {*} env - Environment bindings
+ * @param {number} status - HTTP status
+ * @param {string} detail - Error message
+ * @param {string} [scimType] - SCIM error type (e.g. 'invalidValue')
+ * @returns {Response} SCIM response
+ */
+function createScimError(env, status, detail, scimType) {
+  return createScimResponse(env, status, {
+    schemas: [SCIM_SCHEMAS.ERROR],
+    status: String(status),
+    ...(scimType ? { scimType } : {}),
+    detail,
+  })
+}
+
+/**
+ * Format a database timestamp as ISO 8601
+ * @param {string|null} value - Timestamp from the database
+ * @returns {string|undefined} ISO date, or undefined if absent
+ */
+function toScimDate(value) {
+  return parseDbTimestamp(value)?.toISOString()
+}
+
+/**
+ * Parse a SCIM boolean, which some clients (Entra ID) send as a string
+ * @param {*} value - Boolean or "True"/"False"
+ * @returns {boolean} Parsed value
+ */
+function parseScimBoolean(value) {
+  return value === true || String(value).toLowerCase() === 'true'
+}
+
+/**
+ * Get the primary email of a SCIM emails attribute
+ * @param {Array} emails - SCIM emails
+ * @returns {string|null} Primary (or first) email value
+ */
+function getPrimaryEmail(emails) {
+  if (!Array.isArray(emails) || emails.length === 0) {
+    return null
+  }
+  return (emails.find((email) => email?.primary) || emails[0])?.value ?? null
+}
+
+/**
+ * Parse a `<attribute> eq "<value>"` filter, the only filter supported
+ * @param {string|null} filter - Filter query parameter
+ * @param {string} attribute - Attribute the filter may compare
+ * @returns {Object} `value` (null without a filter), or `error`
+ */
+function parseScimFilter(filter, attribute) {
+  if (!filter) {
+    return { value: null }
+  }
+
+  const match = filter.match(/^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i)
+  if (!match || match[1].toLowerCase() !== attribute.toLowerCase()) {
+    return { error: `Only '${attribute} eq "value"' filters are supported` }
+  }
+  return { value: match[2].replace(/\\(.)/g, '$1') }
+}
+
+/**
+ * Parse the startIndex and count query parameters
+ * @param {URL} url - Request URL
+ * @returns {Object} 1-based `startIndex` and `count`
+ */
+function parseScimPagination(url) {
+  const startIndex = parseInt(url.searchParams.get('startIndex'), 10)
+  const count = parseInt(url.searchParams.get('count'), 10)
+
+  return {
+    startIndex: startIndex > 0 ? startIndex : 1,
+    count: Number.isFinite(count)
+      ? Math.min(Math.max(count, 0), MAX_SCIM_PAGE_SIZE)
+      : DEFAULT_SCIM_PAGE_SIZE,
+  }
+}
+
+/**
+ * Create a SCIM list response
+ * @param {*} env - Environment bindings
+ * @param {number} total - Number of matching resources
+ * @param {number} startIndex - 1-based index of the first resource
+ * @param {Array} resources - Resources on this page
+ * @returns {Response} SCIM response
+ */
+function createListResponse(env, total, startIndex, resources) {
+  return createScimResponse(env, 200, {
+    schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+    totalResults: total,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+  })
+}
+
+/**
+ * Convert a users row into a SCIM user resource
+ * @param {Object} row - users row (see getScimUser)
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Object} SCIM user
+ */
+function toScimUser(row, baseUrl) {
+  return {
+    schemas: [SCIM_SCHEMAS.USER],
+    id: String(row.id),
+    externalId: row.idp_user_id || undefined,
+    userName: row.username,
+    name: {
+      givenName: row.first_name || undefined,
+      familyName: row.last_name || undefined,
+    },
+    emails: [
+      { value: row.primary_email || row.username, type: 'work', primary: true },
+    ],
+    active: !row.deprovisioned_at,
+    meta: {
+      resourceType: 'User',
+      created: toScimDate(row.created_at),
+      lastModified: toScimDate(row.updated_at),
+      location: `${baseUrl}/Users/${row.id}`,
+    },
+  }
+}
+
+/**
+ * Get the user fields written to the users table from a users row
+ * @param {Object} row - users row (see getScimUser)
+ * @returns {Object} username, externalId, firstName, lastName, email, active
+ */
+function getRowUser(row) {
+  return {
+    username: row.username,
+    externalId: row.idp_user_id,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    email: row.primary_email,
+    active: !row.deprovisioned_at,
+  }
+}
+
+/**
+ * Get the user fields written to the users table from a SCIM user resource
+ * @param {Object} resource - SCIM user from a POST or PUT body
+ * @returns {Object} See getRowUser
+ */
+function getResourceUser(resource) {
+  return {
+    username: resource.userName,
+    externalId: resource.externalId ?? null,
+    firstName: resource.name?.givenName ?? null,
+    lastName: resource.name?.familyName ?? null,
+    email: getPrimaryEmail(resource.emails),
+    active: resource.active === undefined || parseScimBoolean(resource.active),
+  }
+}
+
+/**
+ * Validate and normalize user fields: the userName must be an email, which
+ * becomes the user's identity key like an Okta login does, and so must the
+ * primary email when one is given
+ * @param {Object} user - See getRowUser
+ * @returns {Object} Normalized `user`, or `error`
+ */
+function validateScimUser(user) {
+  let username
+  try {
+    username = normalizeEmail(String(user.username || ''))
+  } catch (error) {
+    return { error: 'userName must be an email address' }
+  }
+
+  const strings = [user.externalId, user.firstName, user.lastName, user.email]
+  if (
+    strings.some(
+      (value) =>
+        value !== null &&
+        value !== undefined &&
+        (typeof value !== 'string' || value.length > MAX_SCIM_VALUE_LENGTH),
+    )
+  ) {
+    return {
+      error: `externalId, name and email must be strings of at most ${MAX_SCIM_VALUE_LENGTH} characters`,
+    }
+  }
+
+  let email = username
+  if (user.email) {
+    try {
+      email = normalizeEmail(user.email)
+    } catch (error) {
+      return { error: 'emails must be email addresses' }
+    }
+  }
+
+  return {
+    user: {
+      username,
+      externalId: user.externalId || null,
+      firstName: user.firstName || null,
+      lastName: user.lastName || null,
+      email,
+      active: user.active,
+    },
+  }
+}
+
+/**
+ * Apply one PATCH value to user fields. Attributes this Worker does not store
+ * (phone numbers, enterprise extension, ...) are ignored.
+ * @param {Object} user - See getRowUser, updated in place
+ * @param {string} path - Attribute path (case-insensitive)
+ * @param {*} value - New value (undefined to remove)
+ */
+function applyUserPatchValue(user, path, value) {
+  const attribute = path
+    .toLowerCase()
+    .replace(`${SCIM_SCHEMAS.USER.toLowerCase()}:`, '')
+
+  if (/^emails(\[.*\])?(\.value)?$/.test(attribute)) {
+    user.email = Array.isArray(value) ? getPrimaryEmail(value) : value
+    return
+  }
+
+  switch (attribute) {
+    case 'username':
+      user.username = value
+      break
+    case 'externalid':
+      user.externalId = value ?? null
+      break
+    case 'active':
+      user.active = parseScimBoolean(value)
+      break
+    case 'name':
+      user.firstName = value?.givenName ?? null
+      user.lastName = value?.familyName ?? null
+      break
+    case 'name.givenname':
+      user.firstName = value ?? null
+      break
+    case 'name.familyname':
+      user.lastName = value ?? null
+      break
+  }
+}
+
+/**
+ * Apply PATCH operations to user fields
+ * @param {Object} user - See getRowUser
+ * @param {Array} operations - PatchOp Operations
+ * @returns {Object} Updated `user`, or `error`
+ */
+function applyUserPatch(user, operations) {
+  const patched = { ...user }
+
+  for (const operation of operations) {
+    const op = String(operation?.op || '').toLowerCase()
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      return { error: `Unsupported PATCH operation: ${operation?.op}` }
+    }
+
+    if (operation.path) {
+      applyUserPatchValue(
+        patched,
+        operation.path,
+        op === 'remove' ? undefined : operation.value,
+      )
+    } else if (op !== 'remove' && operation.value !== null) {
+      if (typeof operation.value !== 'object') {
+        return { error: 'PATCH operations without a path need an object value' }
+      }
+      for (const [path, value] of Object.entries(operation.value)) {
+        applyUserPatchValue(patched, path, value)
+      }
+    } else {
+      return { error: 'Remove operations need a path' }
+    }
+  }
+
+  return { user: patched }
+}
+
+/**
+ * Convert a group into a SCIM group resource
+ * @param {Object} group - Group with members (see getScimGroup)
+ * @param {string} baseUrl - SCIM base URL
+ * @returns {Object} SCIM group
+ */
+function toScimGroup(group, baseUrl) {
+  return {
+    schemas: [SCIM_SCHEMAS.GROUP],
+    id: group.id,
+    externalId: group.external_id || undefined,
+    displayName: group.display_name,
+    members: group.members.map((member) => ({
+      value: String(member.id),
+      display: member.username,
+      $ref: `${baseUrl}/Users/${member.id}`,
+    })),
+    meta: {
+      resourceType: 'Group',
+      created: toScimDate(group.created_at),
+      lastModified: toScimDate(group.updated_at),
+      location: `${baseUrl}/Groups/${group.id}`,
+    },
+  }
+}
+
+/**
+ * Get the user ids of a SCIM members attribute. Values that are not user ids
+ * are ignored.
+ * @param {Array} members - SCIM members ({ value })
+ * @returns {Array<number>} User ids
+ */
+function getMemberIds(members) {
+  return (Array.isArray(members) ? members : [])
+    .map((member) => Number(member?.value))
+    .filter((id) => Number.isInteger(id) && id > 0)
+}
+
+/**
+ * Validate a group's display name and externalId
+ * @param {Object} group - displayName and externalId
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScimGroup(group) {
+  if (
+    typeof group.displayName !== 'string' ||
+    !group.displayName.trim() ||
+    group.displayName.length > MAX_SCIM_VALUE_LENGTH
+  ) {
+    return `displayName is required and must be at most ${MAX_SCIM_VALUE_LENGTH} characters`
+  }
+  if (
+    group.externalId !== null &&
+    (typeof group.externalId !== 'string' ||
+      group.externalId.length > MAX_SCIM_VALUE_LENGTH)
+  ) {
+    return `externalId must be a string of at most ${MAX_SCIM_VALUE_LENGTH} characters`
+  }
+  return null
+}
+
+/**
+ * Apply PATCH operations to a group's attributes and member set
+ * @param {Object} group - displayName, externalId and `memberIds` (Set)
+ * @param {Array} operations - PatchOp Operations
+ * @returns {Object|null} Error message, or null once `group` is updated in
+ *   place
+ */
+function applyGroupPatch(group, operations) {
+  for (const operation of operations) {
+    const op = String(operation?.op || '').toLowerCase()
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      return `Unsupported PATCH operation: ${operation?.op}`
+    }
+
+    const path = String(operation.path || '').toLowerCase()
+    const values =
+      !operation.path && operation.value && typeof operation.value === 'object'
+        ? operation.value
+        : { [path]: operation.value }
+
+    for (const [key, value] of Object.entries(values)) {
+      const attribute = key.toLowerCase()
+      const memberFilter = attribute.match(/^members\[value eq "([^"]*)"\]$/)
+
+      if (attribute === 'displayname' && op !== 'remove') {
+        group.displayName = value
+      } else if (attribute === 'externalid') {
+        group.externalId = op === 'remove' ? null : (value ?? null)
+      } else if (memberFilter && op === 'remove') {
+        group.memberIds.delete(Number(memberFilter[1]))
+      } else if (attribute === 'members') {
+        if (op === 'replace' || (op === 'remove' && !value)) {
+          group.memberIds.clear()
+        }
+        for (const id of getMemberIds(value)) {
+          if (op === 'remove') {
+            group.memberIds.delete(id)
+          } else {
+            group.memberIds.add(id)
+          }
+        }
+      } else if (attribute !== 'id') {
+        return `Unsupported PATCH path: ${key}`
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Save a group's member set, writing only the members that changed
+ * @param {*} env - Environment bindings
+ * @param {Object} group - Group id and displayName
+ * @param {Array<number>} currentIds - Members before the change
+ * @param {Set<number>} memberIds - Members after the change
+ */
+async function saveGroupMembers(env, group, currentIds, memberIds) {
+  await updateScimGroupMembers(env, group, {
+    add: [...memberIds].filter((id) => !currentIds.includes(id)),
+    remove: currentIds.filter((id) => !memberIds.has(id)),
+  })
+}
+
+/**
+ * Read a JSON request body
+ * @param {Request} request - HTTP request
+ * @returns {Promise<Object|null>} Parsed object, or null if invalid
+ */
+async function readScimBody(request) {
+  try {
+    const body = await request.json()
+    return body && typeof body === 'object' ? body : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Handle requests to /scim/v2/Users and /scim/v2/Users/{id}
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @param {string} baseUrl - SCIM base URL
+ * @param {string|undefined} id - User id from the path
+ * @returns {Promise<Response>} SCIM response
+ */
+async function handleScimUsers(env, request, baseUrl, id) {
+  const { method } = request
+
+  if (!id) {
+    if (method === 'GET') {
+      const url = new URL(request.url)
+      const filter = parseScimFilter(url.searchParams.get('filter'), 'userName')
+      if (filter.error) {
+        return createScimError(env, 400, filter.error, 'invalidFilter')
+      }
+
+      let username = null
+      if (filter.value !== null) {
+        try {
+          username = normalizeEmail(filter.value)
+        } catch (error) {
+          // Not an email, so no user can match
+          return createListResponse(env, 0, 1, [])
+        }
+      }
+
+      const { startIndex, count } = parseScimPagination(url)
+      const { total, users } = await listScimUsers(
+        env,
+        username,
+        startIndex - 1,
+        count,
+      )
+      return createListResponse(
+        env,
+        total,
+        startIndex,
+        users.map((row) => toScimUser(row, baseUrl)),
+      )
+    }
+
+    if (method === 'POST') {
+      const body = await readScimBody(request)
+      if (!body) {
+        return createScimError(env, 400, 'Invalid JSON body', 'invalidSyntax')
+      }
+      const { user, error } = validateScimUser(getResourceUser(body))
+      if (error) {
+        return createScimError(env, 400, error, 'invalidValue')
+      }
+
+      // A deprovisioned user pushed again is restored with their history,
+      // and an unowned user (not synced from a directory) is taken over
+      const existing = await findScimUser(env, user.username, user.externalId)
+      if (existing?.idp_provider && existing.idp_provider !== SCIM_PROVIDER) {
+        return createScimError(
+          env,
+          409,
+          `A user with this userName or externalId is synced from ${existing.idp_provider}`,
+          'uniqueness',
+        )
+      }
+      if (
+        existing?.idp_provider === SCIM_PROVIDER &&
+        !existing.deprovisioned_at
+      ) {
+        return createScimError(
+          env,
+          409,
+          'A user with this userName or externalId already exists',
+          'uniqueness',
+        )
+      }
+
+      let userId
+      if (existing) {
+        await updateScimUser(env, existing.id, user)
+        userId = existing.id
+        console.log(
+          existing.idp_provider
+            ? 'Restored user from SCIM:'
+            : 'Took over unowned user from SCIM:',
+          user.username,
+        )
+      } else {
+        userId = await createScimUser(env, user)
+        console.log('Provisioned user from SCIM:', user.username)
+      }
+
+      return createScimResponse(
+        env,
+        201,
+        toScimUser(await getScimUser(env, userId), baseUrl),
+      )
+    }
+
+    return createScimError(env, 405, 'Method not allowed')
+  }
+
+  const userId = /^\d+$/.test(id) ? Number(id) : null
+  const row = userId ? await getScimUser(env, userId) : null
+  if (!row) {
+    return createScimError(env, 404, `User ${id} not found`)
+  }
+
+  if (method === 'GET') {
+    return createScimResponse(env, 200, toScimUser(row, baseUrl))
+  }
+
+  if (method === 'DELETE') {
+    // Deleting keeps the training history, like a user removed from Okta
+    await deprovisionScimUser(env, userId)
+    console.log('Deprovisioned user from SCIM:', row.username)
+    return createScimResponse(env, 204, null)
+  }
+
+  if (method === 'PUT' || method === 'PATCH') {
+    const body = await readScimBody(request)
+    if (!body) {
+      return createScimError(env, 400, 'Invalid JSON body', 'invalidSyntax')
+    }
+
+    let fields = getResourceUser(body)
+    if (method === 'PATCH') {
+      if (!Array.isArray(body.Operations)) {
+        return createScimError(
+          env,
+          400,
+          'PATCH body needs an Operations array',
+          'invalidSyntax',
+        )
+      }
+      const patch = applyUserPatch(getRowUser(row), body.Operations)
+      if (patch.error) {
+        return createScimError(env, 400, patch.error, 'invalidValue')
+      }
+      fields = patch.user
+    }
+
+    const { user, error } = validateScimUser(fields)
+    if (error) {
+      return createScimError(env, 400, error, 'invalidValue')
+    }
+
+    const existing = await findScimUser(env, user.username, user.externalId)
+    if (existing && existing.id !== userId) {
+      return createScimError(
+        env,
+        409,
+        'Another user has this userName or externalId',
+        'uniqueness',
+      )
+    }
+
+    await updateScimUser(env, userId, user)
+    console.log('Updated user from SCIM:', user.username)
+    return createScimResponse(
+      env,
+      200,
+      toScimUser(await getScimUser(env, userId), baseUrl),
+    )
+  }
+
+  return createScimError(env, 405, 'Method not allowed')
+}
+
+/**
+ * Handle requests to /scim/v2/Groups and /scim/v2/Groups/{id}
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @param {string} baseUrl - SCIM base URL
+ * @param {string|undefined} id - Group id from the path
+ * @returns {Promise<Response>} SCIM response
+ */
+async function handleScimGroups(env, request, baseUrl, id) {
+  const { method } = request
+
+  if (!id) {
+    if (method === 'GET') {
+      const url = new URL(request.url)
+      const filter = parseScimFilter(
+        url.searchParams.get('filter'),
+        'displayName',
+      )
+      if (filter.error) {
+        return createScimError(env, 400, filter.error, 'invalidFilter')
+      }
+
+      const { startIndex, count } = parseScimPagination(url)
+      const { total, groups } = await listScimGroups(
+        env,
+        filter.value,
+        startIndex - 1,
+        count,
+      )
+      return createListResponse(
+        env,
+        total,
+        startIndex,
+        groups.map((group) => toScimGroup(group, baseUrl)),
+      )
+    }
+
+    if (method === 'POST') {
+      const body = await readScimBody(request)
+      if (!body) {
+        return createScimError(env, 400, 'Invalid JSON body', 'invalidSyntax')
+      }
+      const group = {
+        id: crypto.randomUUID(),
+        displayName: body.displayName,
+        externalId: body.externalId ?? null,
+      }
+      const error = validateScimGroup(group)
+      if (error) {
+        return createScimError(env, 400, error, 'invalidValue')
+      }
+
+      if ((await listScimGroups(env, group.displayName, 0, 1)).total > 0) {
+        return createScimError(
+          env,
+          409,
+          'A group with this displayName already exists',
+          'uniqueness',
+        )
+      }
+
+      await createScimGroup(env, group.id, group)
+      await saveGroupMembers(
+        env,
+        group,
+        [],
+        new Set(getMemberIds(body.members)),
+      )
+      console.log('Provisioned group from SCIM:', group.displayName)
+
+      return createScimResponse(
+        env,
+        201,
+        toScimGroup(await getScimGroup(env, group.id), baseUrl),
+      )
+    }
+
+    return createScimError(env, 405, 'Method not allowed')
+  }
+
+  const existing = await getScimGroup(env, id)
+  if (!existing) {
+    return createScimError(env, 404, `Group ${id} not found`)
+  }
+
+  if (method === 'GET') {
+    return createScimResponse(env, 200, toScimGroup(existing, baseUrl))
+  }
+
+  if (method === 'DELETE') {
+    await deleteScimGroup(env, id)
+    console.log('Deleted group from SCIM:', existing.display_name)
+    return createScimResponse(env, 204, null)
+  }
+
+  if (method === 'PUT' || method === 'PATCH') {
+    const body = await readScimBody(request)
+    if (!body) {
+      return createScimError(env, 400, 'Invalid JSON body', 'invalidSyntax')
+    }
+
+    const currentIds = existing.members.map((member) => member.id)
+    const group = {
+      id,
+      displayName: existing.display_name,
+      externalId: existing.external_id,
+      memberIds: new Set(currentIds),
+    }
+
+    if (method === 'PATCH') {
+      if (!Array.isArray(body.Operations)) {
+        return createScimError(
+          env,
+          400,
+          'PATCH body needs an Operations array',
+          'invalidSyntax',
+        )
+      }
+      const patchError = applyGroupPatch(group, body.Operations)
+      if (patchError) {
+        return createScimError(env, 400, patchError, 'invalidValue')
+      }
+    } else {
+      group.displayName = body.displayName
+      group.externalId = body.externalId ?? null
+      group.memberIds = new Set(getMemberIds(body.members))
+    }
+
+    const error = validateScimGroup(group)
+    if (error) {
+      return createScimError(env, 400, error, 'invalidValue')
+    }
+
+    await updateScimGroup(env, id, group)
+    await saveGroupMembers(env, group, currentIds, group.memberIds)
+    console.log('Updated group from SCIM:', group.displayName)
+
+    // Okta and Entra ID accept an empty body for a PATCH
+    return method === 'PATCH'
+      ? createScimResponse(env, 204, null)
+      : createScimResponse(
+          env,
+          200,
+          toScimGroup(await getScimGroup(env, id), baseUrl),
+        )
+  }
+
+  return createScimError(env, 405, 'Method not allowed')
+}
+
+/**
+ * Handle SCIM 2.0 provisioning requests under /scim/v2: Users and Groups
+ * (create, replace, patch, delete and `eq` filters) plus the
+ * ServiceProviderConfig discovery document. Requests must carry the
+ * SCIM_BEARER_TOKEN secret as a bearer token.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Promise<Response>} SCIM response
+ */
+export async function handleScimRequest(env, request) {
+  if (!isScimConfigured(env)) {
+    return createScimError(env, 503, 'SCIM provisioning not configured')
+  }
+
+  if (!(await isScimAuthenticated(request, env))) {
+    return createScimError(env, 401, 'Unauthorized')
+  }
+
+  const url = new URL(request.url)
+  const baseUrl = `${url.origin}/scim/v2`
+
+  let segments
+  try {
+    segments = url.pathname
+      .slice('/scim/v2/'.length)
+      .split('/')
+      .map(decodeURIComponent)
+  } catch (error) {
+    return createScimError(env, 400, 'Malformed resource path')
+  }
+
+  const [resource, id, ...rest] = segments
+  if (rest.length > 0) {
+    return createScimError(env, 404, 'Not found')
+  }
+
+  try {
+    if (resource === 'Users') {
+      return await handleScimUsers(env, request, baseUrl, id)
+    }
+
+    if (resource === 'Groups') {
+      return await handleScimGroups(env, request, baseUrl, id)
+    }
+
+    if (resource === 'ServiceProviderConfig' && request.method === 'GET') {
+      return createScimResponse(env, 200, {
+        schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+        patch: { supported: true },
+        bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+        filter: { supported: true, maxResults: MAX_SCIM_PAGE_SIZE },
+        changePassword: { supported: false },
+        sort: { supported: false },
+        etag: { supported: false },
+        authenticationSchemes: [
+          {
+            type: 'oauthbearertoken',
+            name: 'OAuth Bearer Token',
+            description: 'The SCIM_BEARER_TOKEN secret as a bearer token',
+          },
+        ],
+        meta: { resourceType: 'ServiceProviderConfig' },
+      })
+    }
+
+    return createScimError(env, 404, 'Not found')
+  } catch (error) {
+    console.error('SCIM request error:', error)
+    return createScimError(env, 500, 'Internal server error')
+  }
+}
@@ -1,38 +1,72 @@
 import {
-  fetchOktaUsers,
-  fetchOktaGroupUsers,
-  fetchOktaGroups,
-  syncUsersToDatabase,
-} from '../integrations/okta.js'
-import { createCSPHeaders } from '../security/csp.js'
+  getDirectoryProvider,
+  getConfiguredDirectoryProviders,
+} from '../integrations/directory.js'
+import { runDirectorySync } from '../integrations/directory-sync.js'
+import { SYNC_TRIGGERS, listSyncRuns } from '../database/syncs.js'
+import {
+  getDeprovisionedRetentionDays,
+  purgeDeprovisionedUsers,
+} from '../database/training.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+import { structuredLog, LOG_LEVELS } from '../utils/logging.js'
 
 /**
- * Create secure headers for JSON responses
- * @param {Object} env - Environment bindings
- * @returns {Object} Headers with CSP and security headers
+ * Create the response for a directory that is not configured
+ * @param {*} env - Environment bindings
+ * @param {Object} provider - Directory provider
+ * @returns {Response} JSON error response
  */
-function createSecureJSONHeaders(env) {
-  return {
-    'content-type': 'application/json',
-    ...createCSPHeaders(env),
-  }
+function createNotConfiguredResponse(env, provider) {
+  return new Response(
+    JSON.stringify({
+      success: false,
+      message: `${provider.label} integration not configured. Please set ${provider.getRequiredSettings(env)}.`,
+    }),
+    {
+      status: 400,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
 }
 
 /**
- * Handle Okta user sync request
+ * Handle directory user sync request. Every in-scope group (the provider's
+ * sync group IDs setting) is synced unless `groupId` names some of them.
+ * With `?dryRun=1` the add/update/remove diff is returned without writing
+ * anything.
  * @param {*} env - Environment bindings
  * @param {Request} request - HTTP request
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
  * @returns {Response} JSON response
  */
-export async function handleOktaSync(env, request) {
+export async function handleDirectorySync(env, request, providerName) {
+  const provider = getDirectoryProvider(providerName)
+
   try {
-    // Check if Okta is configured
-    if (!env.OKTA_DOMAIN || !env.OKTA_API_TOKEN) {
+    // Check if the directory is configured
+    if (!provider.isConfigured(env)) {
+      return createNotConfiguredResponse(env, provider)
+    }
+
+    const url = new URL(request.url)
+    const requestedGroupIds = url.searchParams.getAll('groupId')
+    const dryRun = url.searchParams.get('dryRun') === '1'
+
+    // When the sync is scoped to groups, only those groups can be synced on
+    // their own; without a scope any group can be (nobody is removed then)
+    const scopeGroupIds = provider.getSyncGroupIds(env)
+    const outOfScope =
+      scopeGroupIds.length > 0
+        ? requestedGroupIds.filter(
+            (groupId) => !scopeGroupIds.includes(groupId),
+          )
+        : []
+    if (outOfScope.length > 0) {
       return new Response(
         JSON.stringify({
           success: false,
-          message:
-            'Okta integration not configured. Please set OKTA_DOMAIN and OKTA_API_TOKEN environment variables.',
+          message: `Group not in ${provider.syncGroupIdsSetting}: ${outOfScope.join(', ')}`,
         }),
         {
           status: 400,
@@ -41,23 +75,21 @@ export async function handleOktaSync(env, request) {
       )
     }
 
-    const url = new URL(request.url)
-    const groupId = url.searchParams.get('groupId')
-
-    let oktaUsers
-    if (groupId) {
-      console.log('Syncing users from Okta group:', groupId)
-      oktaUsers = await fetchOktaGroupUsers(env, groupId)
-    } else {
-      console.log('Syncing all users from Okta')
-      oktaUsers = await fetchOktaUsers(env)
-    }
+    const { results: syncResults, directoryUsers } = await runDirectorySync(
+      env,
+      provider,
+      {
+        trigger: SYNC_TRIGGERS.MANUAL,
+        groupIds: requestedGroupIds.length ? requestedGroupIds : scopeGroupIds,
+        dryRun,
+      },
+    )
 
-    if (oktaUsers.length === 0) {
+    if (!syncResults) {
       return new Response(
         JSON.stringify({
           success: true,
-          message: 'No users found in Okta',
+          message: `No users found in ${provider.label}`,
           results: { added: 0, updated: 0, skipped: 0, errors: [] },
         }),
         {
@@ -66,22 +98,36 @@ export async function handleOktaSync(env, request) {
       )
     }
 
-    // Sync users to database
-    const syncResults = await syncUsersToDatabase(env, oktaUsers)
+    if (syncResults.aborted) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: syncResults.errors[0],
+          results: syncResults,
+          directoryUsers,
+        }),
+        {
+          status: 409,
+          headers: createSecureJSONHeaders(env),
+        },
+      )
+    }
 
     return new Response(
       JSON.stringify({
         success: true,
-        message: `Sync completed. Added: ${syncResults.added}, Updated: ${syncResults.updated}, Removed: ${syncResults.removed}, Errors: ${syncResults.errors.length}`,
+        message: dryRun
+          ? `Dry run. Would add: ${syncResults.added}, update: ${syncResults.updated}, restore: ${syncResults.restored}, remove: ${syncResults.removed}`
+          : `Sync completed. Added: ${syncResults.added}, Updated: ${syncResults.updated}, Restored: ${syncResults.restored}, Removed: ${syncResults.removed}, Errors: ${syncResults.errors.length}`,
         results: syncResults,
-        oktaUsers: oktaUsers.length,
+        directoryUsers,
       }),
       {
-        headers: { 'content-type': 'application/json' },
+        headers: createSecureJSONHeaders(env),
       },
     )
   } catch (error) {
-    console.error('Okta sync error:', error)
+    console.error(`${provider.label} sync error:`, error)
     return new Response(
       JSON.stringify({
         success: false,
@@ -90,33 +136,27 @@ export async function handleOktaSync(env, request) {
       }),
       {
         status: 500,
-        headers: { 'content-type': 'application/json' },
+        headers: createSecureJSONHeaders(env),
       },
     )
   }
 }
 
 /**
- * Handle Okta groups list request
+ * Handle directory groups list request
  * @param {*} env - Environment bindings
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
  * @returns {Response} JSON response
  */
-export async function handleOktaGroups(env) {
+export async function handleDirectoryGroups(env, providerName) {
+  const provider = getDirectoryProvider(providerName)
+
   try {
-    if (!env.OKTA_DOMAIN || !env.OKTA_API_TOKEN) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          message: 'Okta integration not configured',
-        }),
-        {
-          status: 400,
-          headers: createSecureJSONHeaders(env),
-        },
-      )
+    if (!provider.isConfigured(env)) {
+      return createNotConfiguredResponse(env, provider)
     }
 
-    const groups = await fetchOktaGroups(env)
+    const groups = await provider.fetchGroups(env)
 
     return new Response(
       JSON.stringify({
@@ -125,11 +165,11 @@ export async function handleOktaGroups(env) {
         count: groups.length,
       }),
       {
-        headers: { 'content-type': 'application/json' },
+        headers: createSecureJSONHeaders(env),
       },
     )
   } catch (error) {
-    console.error('Okta groups error:', error)
+    console.error(`${provider.label} groups error:`, error)
     return new Response(
       JSON.stringify({
         success: false,
@@ -137,55 +177,49 @@ export async function handleOktaGroups(env) {
       }),
       {
         status: 500,
-        headers: { 'content-type': 'application/json' },
+        headers: createSecureJSONHeaders(env),
       },
     )
   }
 }
 
 /**
- * Handle request to view Okta users (without syncing)
+ * Handle request to view directory users (without syncing)
  * @param {*} env - Environment bindings
  * @param {Request} request - HTTP request
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
  * @returns {Response} JSON response
  */
-export async function handleOktaUsers(env, request) {
+export async function handleDirectoryUsers(env, request, providerName) {
+  const provider = getDirectoryProvider(providerName)
+
   try {
-    if (!env.OKTA_DOMAIN || !env.OKTA_API_TOKEN) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          message: 'Okta integration not configured',
-        }),
-        {
-          status: 400,
-          headers: createSecureJSONHeaders(env),
-        },
-      )
+    if (!provider.isConfigured(env)) {
+      return createNotConfiguredResponse(env, provider)
     }
 
     const url = new URL(request.url)
     const groupId = url.searchParams.get('groupId')
 
-    let oktaUsers
+    let directoryUsers
     if (groupId) {
-      oktaUsers = await fetchOktaGroupUsers(env, groupId)
+      directoryUsers = await provider.fetchGroupUsers(env, groupId)
     } else {
-      oktaUsers = await fetchOktaUsers(env)
+      directoryUsers = await provider.fetchUsers(env)
     }
 
     return new Response(
       JSON.stringify({
         success: true,
-        users: oktaUsers,
-        count: oktaUsers.length,
+        users: directoryUsers,
+        count: directoryUsers.length,
       }),
       {
-        headers: { 'content-type': 'application/json' },
+        headers: createSecureJSONHeaders(env),
       },
     )
   } catch (error) {
-    console.error('Okta users error:', error)
+    console.error(`${provider.label} users error:`, error)
     return new Response(
       JSON.stringify({
         success: false,
@@ -193,8 +227,155 @@ export async function handleOktaUsers(env, request) {
       }),
       {
         status: 500,
-        headers: { 'content-type': 'application/json' },
+        headers: createSecureJSONHeaders(env),
+      },
+    )
+  }
+}
+
+/**
+ * Handle request to permanently delete users deprovisioned longer ago than
+ * DEPROVISIONED_RETENTION_DAYS
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handlePurgeDeprovisionedUsers(env) {
+  const deleted = await purgeDeprovisionedUsers(env)
+  const retentionDays = getDeprovisionedRetentionDays(env)
+
+  return new Response(
+    JSON.stringify({
+      success: deleted !== null,
+      message:
+        deleted !== null
+          ? `Purged ${deleted} users deprovisioned more than ${retentionDays} days ago`
+          : 'Failed to purge deprovisioned users',
+      deleted: deleted || 0,
+      retentionDays,
+    }),
+    {
+      status: deleted !== null ? 200 : 500,
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Purge users deprovisioned longer ago than DEPROVISIONED_RETENTION_DAYS from
+ * the cron trigger, so the retention period is applied without an admin
+ * calling the purge endpoint
+ * @param {*} env - Environment bindings
+ * @param {Object} controller - Scheduled event controller (cron, scheduledTime)
+ */
+export async function handleScheduledPurge(env, controller) {
+  const deleted = await purgeDeprovisionedUsers(env)
+
+  structuredLog(
+    deleted !== null ? LOG_LEVELS.INFO : LOG_LEVELS.ERROR,
+    deleted !== null
+      ? 'Scheduled purge of deprovisioned users completed'
+      : 'Scheduled purge of deprovisioned users failed',
+    {
+      cron: controller.cron,
+      deleted: deleted || 0,
+      retentionDays: getDeprovisionedRetentionDays(env),
+    },
+    env,
+  )
+}
+
+/**
+ * Run the sync of every configured directory from the cron trigger, one after
+ * the other
+ * @param {*} env - Environment bindings
+ * @param {Object} controller - Scheduled event controller (cron, scheduledTime)
+ */
+export async function handleScheduledSync(env, controller) {
+  const providers = getConfiguredDirectoryProviders(env)
+  if (providers.length === 0) {
+    console.log('Scheduled sync skipped: no directory integration configured')
+    return
+  }
+
+  for (const provider of providers) {
+    try {
+      const { results, directoryUsers } = await runDirectorySync(
+        env,
+        provider,
+        {
+          trigger: SYNC_TRIGGERS.CRON,
+          groupIds: provider.getSyncGroupIds(env),
+        },
+      )
+
+      structuredLog(
+        results?.aborted ? LOG_LEVELS.WARN : LOG_LEVELS.INFO,
+        results?.aborted
+          ? `Scheduled ${provider.label} sync aborted`
+          : `Scheduled ${provider.label} sync completed`,
+        {
+          cron: controller.cron,
+          provider: provider.name,
+          directoryUsers,
+          added: results?.added || 0,
+          updated: results?.updated || 0,
+          restored: results?.restored || 0,
+          removed: results?.removed || 0,
+          errors: results?.errors || [],
+        },
+        env,
+      )
+    } catch (error) {
+      structuredLog(
+        LOG_LEVELS.ERROR,
+        `Scheduled ${provider.label} sync failed`,
+        {
+          cron: controller.cron,
+          provider: provider.name,
+          error: error.message,
+        },
+        env,
+      )
+    }
+  }
+}
+
+/**
+ * Handle request to list past sync runs with their per-user changes.
+ * Supports `user` (only runs that changed that email) and `limit` filters.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} JSON response
+ */
+export async function handleListSyncRuns(env, request) {
+  const url = new URL(request.url)
+  const user = url.searchParams.get('user')
+  const limitParam = url.searchParams.get('limit')
+  const limit = limitParam ? parseInt(limitParam, 10) : null
+
+  if ((user && user.length > 254) || (limitParam && !(limit > 0))) {
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Invalid user or limit filter',
+      }),
+      {
+        status: 400,
+        headers: createSecureJSONHeaders(env),
       },
     )
   }
+
+  const runs = await listSyncRuns(env, { user, limit })
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      runs,
+      count: runs.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
 }
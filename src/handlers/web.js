@@ -1,4 +1,23 @@
-import { updateUserTrainingStatusByEmail } from '../database/training.js'
+import {
+  updateUserTrainingStatusByEmail,
+  getTrainingMatrix,
+  getExpiryWarningDays,
+  parseDbTimestamp,
+  isAllowedIdpStatus,
+  DEFAULT_COURSE,
+} from '../database/training.js'
+import { queueOktaWriteback } from '../integrations/okta-writeback.js'
+import { isValidCourseSlug, isValidEmail } from '../utils/validation.js'
+import { listPolicies } from '../database/policies.js'
+import { listExemptions } from '../database/exemptions.js'
+import { getLatestSyncRun, listSyncRuns } from '../database/syncs.js'
+import {
+  DIRECTORY_PROVIDERS,
+  getDirectoryProvider,
+  getConfiguredDirectoryProviders,
+} from '../integrations/directory.js'
+import { listGroups } from '../database/groups.js'
+import { getMonitorReport } from './policies.js'
 import {
   generateNonce,
   addCSPHeaders,
@@ -6,21 +25,272 @@ import {
 } from '../security/csp.js'
 
 /**
- * Get all users from the database
- * @param {*} env - Environment bindings
- * @returns {Array} List of users with their training status
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-escaped string
  */
-async function getAllUsers(env) {
-  try {
-    const result = await env.DB.prepare(
-      'SELECT id, username, first_name, primary_email, training_status, created_at, updated_at FROM users ORDER BY username',
-    ).all()
+function escapeHtml(value) {
+  return String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      })[char],
+  )
+}
 
-    return result.results || []
-  } catch (error) {
-    console.error('Database error:', error)
-    return []
+/**
+ * Render the status dropdown for one user's course enrollment. The user's
+ * email is read from the row's data-user-email attribute when it changes.
+ * @param {Object} courseStatus - Course slug, required flag, status and certification state
+ * @returns {string} HTML select element with the certification expiry hint
+ */
+function renderStatusSelect(courseStatus) {
+  const {
+    course,
+    required,
+    status,
+    state,
+    expires_at: expiresAt,
+  } = courseStatus
+  const expiryLabel = expiresAt
+    ? `${state === 'expired' ? 'Expired' : 'Expires'} ${expiresAt.slice(0, 10)}`
+    : ''
+  return `
+                                    <select class="status-select status-${state.replace(' ', '-')}" 
+                                            data-course="${escapeHtml(course)}"
+                                            data-required="${required ? 'true' : 'false'}"
+                                            data-state="${state}"
+                                            onchange="updateTrainingStatus(this.closest('tr').dataset.userEmail, this.dataset.course, this.value, this)" 
+                                            data-original-value="${status}">
+                                        <option value="not started" ${status === 'not started' ? 'selected' : ''}>Not Started</option>
+                                        <option value="started" ${status === 'started' ? 'selected' : ''}>In Progress</option>
+                                        <option value="completed" ${status === 'completed' ? 'selected' : ''}>Completed</option>
+                                    </select>
+                                    <div class="cert-expiry">${expiryLabel}</div>`
+}
+
+/**
+ * Render the onboarding grace period countdown for a new hire
+ * @param {Object} user - User with `grace_ends_at` and `overallStatus`
+ * @returns {string} HTML countdown, or an empty string outside the grace period
+ */
+function renderGraceCountdown(user) {
+  if (!user.grace_ends_at) {
+    return ''
+  }
+  const daysLeft = Math.ceil(
+    (new Date(user.grace_ends_at) - Date.now()) / (24 * 60 * 60 * 1000),
+  )
+  return `<div class="grace-countdown" title="New hire grace period ends ${user.grace_ends_at.slice(0, 10)}"${user.overallStatus === 'completed' ? ' hidden' : ''}>⏳ Grace period: ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left</div>`
+}
+
+/**
+ * Render the outcome of a directory's latest sync run
+ * @param {Object} provider - Directory provider
+ * @param {Object|null} run - Latest run from getLatestSyncRun()
+ * @returns {string} HTML summary
+ */
+function renderLastSyncRun(provider, run) {
+  if (!run) {
+    return `<div class="last-sync">No ${provider.label} sync has run yet</div>`
+  }
+
+  const when = run.finished_at || run.started_at
+  let outcome
+  if (run.status === 'running') {
+    outcome = 'still running'
+  } else if (run.status === 'success' || run.status === 'partial') {
+    // A partial run applied its changes but some users failed to write
+    outcome = `${run.status === 'partial' ? 'partial: ' : ''}added ${run.added}, updated ${run.updated}, restored ${run.restored}, removed ${run.removed}${run.errors.length ? `, ${run.errors.length} errors` : ''}`
+  } else {
+    outcome = `${run.status}: ${escapeHtml(run.errors[0] || 'unknown error')}`
+  }
+
+  return `<div class="last-sync last-sync-${run.status}" title="${escapeHtml(run.errors.join('\n'))}">Last ${provider.label} sync (${run.trigger}) ${when} UTC: ${outcome} · <a href="/admin/sync-runs">History</a></div>`
+}
+
+/**
+ * Render the monitor-mode panel listing users each application would block
+ * @param {Array} report - Monitor-mode applications from getMonitorReport()
+ * @returns {string} HTML section, or an empty string if no application is in monitor mode
+ */
+function renderMonitorReport(report) {
+  if (report.length === 0) {
+    return ''
+  }
+
+  return `
+            <div class="monitor-report">
+                <h2>🔍 Monitor Mode</h2>
+                <p class="table-note">These applications log access decisions without enforcing them. Warn the users below before switching an application to enforce.</p>
+                ${report
+                  .map(
+                    (app) => `
+                <div class="monitor-app">
+                    <h3>${escapeHtml(app.name || app.aud)} <span class="monitor-count">${app.blockedUsers.length} would be blocked</span></h3>
+                    ${
+                      app.blockedUsers.length === 0
+                        ? '<p class="table-note">Every user meets this application\'s training requirements.</p>'
+                        : `<table class="monitor-table">
+                        <thead>
+                            <tr><th>Name</th><th>Email</th><th>Missing Courses</th></tr>
+                        </thead>
+                        <tbody>
+                            ${app.blockedUsers
+                              .map(
+                                (user) =>
+                                  `<tr><td>${escapeHtml(user.first_name || '-')}</td><td>${escapeHtml(user.email)}</td><td>${user.missingCourses.map((course) => escapeHtml(course) + (user.expiredCourses.includes(course) ? ' (expired)' : '')).join(', ')}</td></tr>`,
+                              )
+                              .join('')}
+                        </tbody>
+                    </table>`
+                    }
+                </div>`,
+                  )
+                  .join('')}
+            </div>`
+}
+
+// Exemptions expiring within this many days are highlighted on the dashboard
+const EXEMPTION_WARNING_DAYS = 7
+
+/**
+ * Render the exemptions panel with the grant form and active exemptions
+ * @param {Array} exemptions - Active exemptions from listExemptions()
+ * @param {Array} users - Users for the email suggestions
+ * @param {Array} policies - Application policies for the scope selector
+ * @param {Array} courses - Training course catalog for the scope selector
+ * @returns {string} HTML section
+ */
+function renderExemptionsPanel(exemptions, users, policies, courses) {
+  const now = Date.now()
+  const appNames = new Map(policies.map((p) => [p.aud, p.name || p.aud]))
+
+  return `
+            <div class="exemptions-panel">
+                <h2>🎫 Exemptions</h2>
+                <p class="table-note">Temporarily waive training for a user, optionally for one application or course. You are recorded as the approver.</p>
+                <div class="exemption-form">
+                    <input type="email" id="exemptionEmail" class="filter-input" placeholder="user@company.com" list="exemptionUsers">
+                    <datalist id="exemptionUsers">
+                        ${users.map((user) => `<option value="${escapeHtml(user.primary_email)}">`).join('')}
+                    </datalist>
+                    <select id="exemptionApp" class="filter-select">
+                        <option value="">All applications</option>
+                        ${policies.map((p) => `<option value="${escapeHtml(p.aud)}">${escapeHtml(p.name || p.aud)}</option>`).join('')}
+                    </select>
+                    <select id="exemptionCourse" class="filter-select">
+                        <option value="">All courses</option>
+                        ${courses.map((c) => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.name)}</option>`).join('')}
+                    </select>
+                    <input type="text" id="exemptionReason" class="filter-input" placeholder="Reason" maxlength="500">
+                    <input type="date" id="exemptionExpiry" class="filter-input">
+                    <button type="button" class="sync-button" onclick="grantExemption()">Grant</button>
+                </div>
+                ${
+                  exemptions.length === 0
+                    ? '<p class="table-note">No active exemptions.</p>'
+                    : `<table class="monitor-table">
+                    <thead>
+                        <tr><th>Email</th><th>Application</th><th>Course</th><th>Reason</th><th>Approved By</th><th>Expires</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${exemptions
+                          .map((exemption) => {
+                            const daysLeft = Math.ceil(
+                              (parseDbTimestamp(exemption.expires_at) - now) /
+                                (24 * 60 * 60 * 1000),
+                            )
+                            return `<tr>
+                            <td>${escapeHtml(exemption.email)}</td>
+                            <td>${exemption.app ? escapeHtml(appNames.get(exemption.app) || exemption.app) : 'All'}</td>
+                            <td>${exemption.course ? escapeHtml(exemption.course) : 'All'}</td>
+                            <td>${escapeHtml(exemption.reason)}</td>
+                            <td>${escapeHtml(exemption.approved_by)}</td>
+                            <td class="${daysLeft <= EXEMPTION_WARNING_DAYS ? 'exemption-expiring' : ''}">${escapeHtml(exemption.expires_at.slice(0, 10))} (${daysLeft} ${daysLeft === 1 ? 'day' : 'days'})</td>
+                            <td><button type="button" class="revoke-button" onclick="revokeExemption(${exemption.id})">Revoke</button></td>
+                        </tr>`
+                          })
+                          .join('')}
+                    </tbody>
+                </table>`
+                }
+            </div>`
+}
+
+/**
+ * Render the directory status filter, listing the statuses held by the given
+ * users
+ * @param {Array} users - Users with an `idp_status`
+ * @returns {string} HTML filter group, or '' when no user has a status
+ */
+function renderIdpStatusFilter(users) {
+  const statuses = [
+    ...new Set(users.map((user) => user.idp_status).filter(Boolean)),
+  ].sort()
+  if (statuses.length === 0) {
+    return ''
   }
+
+  return `<div class="filter-group">
+                    <label for="idpStatusFilter" class="filter-label">Directory Status:</label>
+                    <select id="idpStatusFilter" class="filter-select">
+                        <option value="">All Statuses</option>
+                        ${statuses
+                          .map(
+                            (status) =>
+                              `<option value="${escapeHtml(status)}">${escapeHtml(status)}</option>`,
+                          )
+                          .join('')}
+                    </select>
+                </div>`
+}
+
+/**
+ * Render the directory attribute filter, with one option group per attribute
+ * listing the values held by the given users
+ * @param {Array} users - Users with an `attributes` object
+ * @returns {string} HTML filter group, or '' when no user has attributes
+ */
+function renderAttributeFilter(users) {
+  const valuesByName = new Map()
+  for (const user of users) {
+    for (const [name, value] of Object.entries(user.attributes)) {
+      if (!valuesByName.has(name)) {
+        valuesByName.set(name, new Set())
+      }
+      valuesByName.get(name).add(value)
+    }
+  }
+  if (valuesByName.size === 0) {
+    return ''
+  }
+
+  return `<div class="filter-group">
+                    <label for="attributeFilter" class="filter-label">Directory Attribute:</label>
+                    <select id="attributeFilter" class="filter-select">
+                        <option value="">All Attributes</option>
+                        ${[...valuesByName.keys()]
+                          .sort()
+                          .map(
+                            (name) => `<optgroup label="${escapeHtml(name)}">
+                            ${[...valuesByName.get(name)]
+                              .sort()
+                              .map(
+                                (value) =>
+                                  `<option value="${escapeHtml(`${name}=${value}`)}">${escapeHtml(value)}</option>`,
+                              )
+                              .join('')}
+                        </optgroup>`,
+                          )
+                          .join('')}
+                    </select>
+                </div>`
 }
 
 /**
@@ -29,7 +299,26 @@ async function getAllUsers(env) {
  * @returns {Response} HTML response
  */
 export async function handleWebInterface(env) {
-  const users = await getAllUsers(env)
+  const { users, courses } = await getTrainingMatrix(env)
+  // Deprovisioned users are only listed under their own filter
+  const activeUsers = users.filter((user) => !user.deprovisioned_at)
+  // Without any directory configured the dashboard keeps the Okta button
+  const configuredProviders = getConfiguredDirectoryProviders(env)
+  const syncProviders = configuredProviders.length
+    ? configuredProviders
+    : [getDirectoryProvider(DIRECTORY_PROVIDERS.OKTA)]
+  const syncLabel = syncProviders.map((provider) => provider.label).join(' or ')
+  const [monitorReport, exemptions, policies, lastSyncRuns, groups] =
+    await Promise.all([
+      getMonitorReport(env, users),
+      listExemptions(env),
+      listPolicies(env),
+      Promise.all(
+        syncProviders.map((provider) => getLatestSyncRun(env, provider.name)),
+      ),
+      listGroups(env),
+    ])
+  const warningDays = getExpiryWarningDays(env)
 
   // Generate nonces for inline scripts and styles
   const styleNonce = generateNonce()
@@ -172,15 +461,36 @@ export async function handleWebInterface(env) {
             cursor: not-allowed;
         }
         
+        .sync-buttons {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+        }
+        
         .sync-status {
             font-weight: 600;
             color: var(--text-secondary);
             font-size: 14px;
         }
         
+        .last-sync {
+            margin-top: 4px;
+            color: var(--text-secondary);
+            font-size: 12px;
+        }
+        
+        .last-sync-aborted,
+        .last-sync-failed {
+            color: #b91c1c;
+        }
+        
+        .last-sync-partial {
+            color: #b45309;
+        }
+        
         .stats {
             display: grid;
-            grid-template-columns: repeat(4, minmax(0, 1fr));
+            grid-template-columns: repeat(6, minmax(0, 1fr));
             gap: 16px;
             margin: 18px 0 24px;
         }
@@ -217,6 +527,14 @@ export async function handleWebInterface(env) {
             color: #ef4444;
         }
         
+        .stat-card.expiring .stat-number {
+            color: #f97316;
+        }
+        
+        .stat-card.expired .stat-number {
+            color: #991b1b;
+        }
+        
         .stat-card.total .stat-number {
             color: var(--table-header);
         }
@@ -711,7 +1029,7 @@ export async function handleWebInterface(env) {
         /* Stats Grid */
         .stats {
             display: grid;
-            grid-template-columns: repeat(4, minmax(0, 1fr));
+            grid-template-columns: repeat(6, minmax(0, 1fr));
             gap: 16px;
             margin: 18px 0 24px;
         }
@@ -927,6 +1245,31 @@ export async function handleWebInterface(env) {
             border-color: #FECACA;
         }
         
+        .status-expiring {
+            background: #FFEDD5;
+            color: #9A3412;
+            border-color: #FED7AA;
+        }
+        
+        .status-expired {
+            background: #FECACA;
+            color: #7F1D1D;
+            border-color: #F87171;
+        }
+        
+        .grace-countdown {
+            margin-top: 4px;
+            font-size: 12px;
+            font-weight: 600;
+            color: var(--status-warning);
+        }
+        
+        .cert-expiry {
+            margin-top: 4px;
+            font-size: 11px;
+            color: var(--muted);
+        }
+        
         /* Access Indicators */
         .access-indicator {
             font-weight: 500;
@@ -941,6 +1284,71 @@ export async function handleWebInterface(env) {
             color: var(--status-danger);
         }
         
+        .table-note {
+            margin-top: 10px;
+            font-size: 13px;
+            color: var(--muted);
+        }
+        
+        /* Monitor Mode Report and Exemptions */
+        .monitor-report,
+        .exemptions-panel {
+            background: var(--panel);
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            padding: 18px;
+            margin-top: 24px;
+        }
+        
+        .monitor-report h2,
+        .exemptions-panel h2 {
+            font-size: 18px;
+            color: var(--text-primary);
+        }
+        
+        .monitor-app {
+            margin-top: 16px;
+        }
+        
+        .monitor-app h3 {
+            font-size: 15px;
+            color: var(--text-secondary);
+            margin-bottom: 8px;
+        }
+        
+        .monitor-count {
+            font-size: 12px;
+            font-weight: 600;
+            color: var(--status-warning);
+            margin-left: 8px;
+        }
+        
+        .monitor-table {
+            width: 100%;
+            font-size: 13px;
+        }
+        
+        .exemption-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin: 12px 0;
+        }
+        
+        .exemption-expiring {
+            color: var(--status-warning);
+            font-weight: 600;
+        }
+        
+        .revoke-button {
+            background: none;
+            border: 1px solid var(--status-danger);
+            color: var(--status-danger);
+            border-radius: 6px;
+            padding: 4px 10px;
+            cursor: pointer;
+        }
+        
         /* Success/Error Messages */
         .success-message,
         .error-message {
@@ -1031,29 +1439,46 @@ export async function handleWebInterface(env) {
             
             <div class="controls">
                 <div class="sync-status">
-                    <span id="syncStatus">Ready to sync users from Okta</span>
+                    <span id="syncStatus" data-ready="Ready to sync users from ${syncLabel}">Ready to sync users from ${syncLabel}</span>
+                    ${syncProviders.map((provider, i) => renderLastSyncRun(provider, lastSyncRuns[i])).join('')}
+                </div>
+                <div class="sync-buttons">
+                    ${syncProviders
+                      .map(
+                        (
+                          provider,
+                        ) => `<button class="sync-button" id="syncButton-${provider.name}" onclick="syncDirectoryUsers('${provider.name}', '${provider.label}')">
+                        🔄 Sync Users from ${provider.label}
+                    </button>`,
+                      )
+                      .join('')}
                 </div>
-                <button class="sync-button" id="syncButton" onclick="syncOktaUsers()">
-                    🔄 Sync Users from Okta
-                </button>
             </div>
             
             
             <div class="stats">
                 <div class="stat-card completed">
-                    <div class="stat-number" id="completedCount">${users.filter((u) => u.training_status === 'completed').length}</div>
+                    <div class="stat-number" id="completedCount">${activeUsers.filter((u) => u.overallStatus === 'completed').length}</div>
                     <div class="stat-label">Completed</div>
                 </div>
                 <div class="stat-card started">
-                    <div class="stat-number" id="startedCount">${users.filter((u) => u.training_status === 'started').length}</div>
+                    <div class="stat-number" id="startedCount">${activeUsers.filter((u) => u.overallStatus === 'started').length}</div>
                     <div class="stat-label">In Progress</div>
                 </div>
                 <div class="stat-card not-started">
-                    <div class="stat-number" id="notStartedCount">${users.filter((u) => u.training_status === 'not started').length}</div>
+                    <div class="stat-number" id="notStartedCount">${activeUsers.filter((u) => u.overallStatus === 'not started').length}</div>
                     <div class="stat-label">Not Started</div>
                 </div>
+                <div class="stat-card expiring">
+                    <div class="stat-number" id="expiringCount">${activeUsers.filter((u) => u.courseStatuses.some((c) => c.state === 'expiring')).length}</div>
+                    <div class="stat-label">Expiring in ${warningDays} days</div>
+                </div>
+                <div class="stat-card expired">
+                    <div class="stat-number" id="expiredCount">${activeUsers.filter((u) => u.courseStatuses.some((c) => c.state === 'expired')).length}</div>
+                    <div class="stat-label">Expired</div>
+                </div>
                 <div class="stat-card total">
-                    <div class="stat-number" id="totalCount">${users.length}</div>
+                    <div class="stat-number" id="totalCount">${activeUsers.length}</div>
                     <div class="stat-label">Total Users</div>
                 </div>
             </div>
@@ -1065,8 +1490,30 @@ export async function handleWebInterface(env) {
                         <option value="completed">Completed</option>
                         <option value="started">In Progress</option>
                         <option value="not started">Not Started</option>
+                        <option value="expiring">Expiring Soon</option>
+                        <option value="expired">Expired</option>
+                        <option value="grace">In Grace Period</option>
+                        <option value="deprovisioned">Deprovisioned</option>
                     </select>
                 </div>
+                ${
+                  groups.length > 0
+                    ? `<div class="filter-group">
+                    <label for="groupFilter" class="filter-label">Directory Group:</label>
+                    <select id="groupFilter" class="filter-select">
+                        <option value="">All Groups</option>
+                        ${groups
+                          .map(
+                            (group) =>
+                              `<option value="${escapeHtml(group.id)}">${escapeHtml(group.name || group.id)} (${group.members})</option>`,
+                          )
+                          .join('')}
+                    </select>
+                </div>`
+                    : ''
+                }
+                ${renderIdpStatusFilter(activeUsers)}
+                ${renderAttributeFilter(activeUsers)}
                 <div class="filter-group">
                     <label for="searchFilter" class="filter-label">Search:</label>
                     <input type="text" id="searchFilter" class="filter-input" placeholder="Search by name or email...">
@@ -1082,6 +1529,14 @@ export async function handleWebInterface(env) {
                     <span class="bulk-selection-count" id="bulkSelectionCount">0 users selected</span>
                 </div>
                 <div class="bulk-actions-right">
+                    <select id="bulkCourseSelect" class="bulk-action-btn" style="background: var(--color-neutral-600); color: var(--color-neutral-50);">
+                        ${courses
+                          .map(
+                            (course) =>
+                              `<option value="${course.slug}">${escapeHtml(course.name)}</option>`,
+                          )
+                          .join('')}
+                    </select>
                     <select id="bulkStatusSelect" class="bulk-action-btn" style="background: var(--color-neutral-600); color: var(--color-neutral-50);">
                         <option value="">Change Status To...</option>
                         <option value="completed">Mark as Completed</option>
@@ -1100,10 +1555,16 @@ export async function handleWebInterface(env) {
                             <th class="checkbox-cell">
                                 <input type="checkbox" class="select-all-checkbox" id="selectAllCheckbox" onchange="toggleAllSelection(this)">
                             </th>
-                            <th class="sortable" data-column="first_name">First Name</th>
+                            <th class="sortable" data-column="first_name">Name</th>
                             <th class="sortable" data-column="primary_email">Primary Email</th>
-                            <th class="sortable" data-column="training_status">Training Status</th>
-                            <th>Access Status</th>
+                            <th class="sortable" data-column="idp_status">Directory Status</th>
+                            ${courses
+                              .map(
+                                (course) =>
+                                  `<th class="sortable" data-column="course:${course.slug}" title="${escapeHtml(course.description)}">${escapeHtml(course.name)}${course.required ? ' *' : ''}</th>`,
+                              )
+                              .join('')}
+                            <th>Baseline Compliance</th>
                             <th class="sortable" data-column="updated_at">Last Updated</th>
                         </tr>
                     </thead>
@@ -1111,25 +1572,37 @@ export async function handleWebInterface(env) {
                         ${users
                           .map(
                             (user) => `
-                            <tr data-user-id="${user.id}" data-user-email="${user.primary_email}">
+                            <tr data-user-id="${user.id}" data-user-email="${escapeHtml(user.primary_email)}" data-groups="${escapeHtml(user.group_ids.join(' '))}" data-attributes="${escapeHtml(JSON.stringify(user.attributes))}" data-idp-status="${escapeHtml(user.idp_status || '')}"${user.deprovisioned_at ? ' data-deprovisioned="true" style="display: none"' : ''}>
                                 <td class="checkbox-cell">
-                                    <input type="checkbox" class="user-checkbox" value="${user.primary_email}" onchange="updateSelection()">
+                                    <input type="checkbox" class="user-checkbox" value="${escapeHtml(user.primary_email)}" onchange="updateSelection()">
                                 </td>
-                                <td class="username">${user.first_name || '-'}</td>
-                                <td class="email">${user.primary_email || '-'}</td>
+                                <td class="username" title="${escapeHtml(
+                                  Object.entries(user.attributes)
+                                    .map(([name, value]) => `${name}: ${value}`)
+                                    .join('\n'),
+                                )}">${escapeHtml([user.first_name, user.last_name].filter(Boolean).join(' ') || '-')}</td>
+                                <td class="email">${escapeHtml(user.primary_email || '-')}</td>
+                                <td class="idp-status">${escapeHtml(user.idp_status || '-')}</td>
+                                ${user.courseStatuses
+                                  .map(
+                                    (courseStatus) =>
+                                      `<td>${renderStatusSelect(courseStatus)}</td>`,
+                                  )
+                                  .join('')}
                                 <td>
-                                    <select class="status-select status-${user.training_status.replace(' ', '-')}" 
-                                            onchange="updateTrainingStatus('${user.primary_email}', this.value, this)" 
-                                            data-original-value="${user.training_status}">
-                                        <option value="not started" ${user.training_status === 'not started' ? 'selected' : ''}>Not Started</option>
-                                        <option value="started" ${user.training_status === 'started' ? 'selected' : ''}>In Progress</option>
-                                        <option value="completed" ${user.training_status === 'completed' ? 'selected' : ''}>Completed</option>
-                                    </select>
-                                </td>
-                                <td>
-                                    <span class="access-indicator ${user.training_status === 'completed' ? 'access-granted' : 'access-denied'}">
-                                        ${user.training_status === 'completed' ? '✅ Access Granted' : '❌ Access Denied'}
+                                    ${
+                                      user.deprovisioned_at
+                                        ? `<span class="access-indicator access-denied" title="Removed from the directory ${user.deprovisioned_at.slice(0, 10)}">🚫 Deprovisioned</span>`
+                                        : !isAllowedIdpStatus(
+                                              env,
+                                              user.idp_status,
+                                            )
+                                          ? `<span class="access-indicator access-denied" title="Directory status not in OKTA_ALLOWED_STATUSES">🚫 ${escapeHtml(user.idp_status)}</span>`
+                                          : `<span class="access-indicator ${user.overallStatus === 'completed' ? 'access-granted' : 'access-denied'}">
+                                        ${user.overallStatus === 'completed' ? '✅ Compliant' : '❌ Not Compliant'}
                                     </span>
+                                    ${renderGraceCountdown(user)}`
+                                    }
                                 </td>
                                 <td class="timestamp">${new Date(user.updated_at).toLocaleString()}</td>
                             </tr>
@@ -1139,11 +1612,14 @@ export async function handleWebInterface(env) {
                     </tbody>
                     </table>
                 </div>
+                <p class="table-note">* Baseline course every user is expected to complete. Application access is decided by the courses mapped to each Access application.</p>
+                ${renderMonitorReport(monitorReport)}
+                ${renderExemptionsPanel(exemptions, activeUsers, policies, courses)}
         </div>
     </div>
 
     <script nonce="${scriptNonce}">
-        async function updateTrainingStatus(email, newStatus, selectElement) {
+        async function updateTrainingStatus(email, course, newStatus, selectElement) {
             const originalValue = selectElement.getAttribute('data-original-value');
             
             if (newStatus === originalValue) {
@@ -1161,6 +1637,7 @@ export async function handleWebInterface(env) {
                     },
                     body: JSON.stringify({
                         email: email,
+                        course: course,
                         status: newStatus
                     })
                 });
@@ -1171,6 +1648,7 @@ export async function handleWebInterface(env) {
                     // Update the select styling
                     selectElement.className = 'status-select status-' + newStatus.replace(' ', '-');
                     selectElement.setAttribute('data-original-value', newStatus);
+                    refreshCertificationState(selectElement, newStatus);
                     
                     // Update timestamp
                     const row = selectElement.closest('tr');
@@ -1178,14 +1656,7 @@ export async function handleWebInterface(env) {
                     timestampCell.textContent = new Date().toLocaleString();
                     
                     // Update access status
-                    const accessCell = row.querySelector('.access-indicator');
-                    if (newStatus === 'completed') {
-                        accessCell.className = 'access-indicator access-granted';
-                        accessCell.textContent = '✅ Access Granted';
-                    } else {
-                        accessCell.className = 'access-indicator access-denied';
-                        accessCell.textContent = '❌ Access Denied';
-                    }
+                    refreshRowAccess(row);
                     
                     // Update stats
                     updateStats();
@@ -1207,41 +1678,142 @@ export async function handleWebInterface(env) {
             }
         }
         
+        // A new completion starts a fresh certification period
+        function refreshCertificationState(selectElement, newStatus) {
+            selectElement.setAttribute('data-state', newStatus);
+            const expiry = selectElement.parentElement.querySelector('.cert-expiry');
+            if (expiry) {
+                expiry.textContent = newStatus === 'completed' ? 'Certified today' : '';
+            }
+        }
+        
+        function isCompliantState(state) {
+            return state === 'completed' || state === 'expiring';
+        }
+        
+        function rowHasState(row, state) {
+            return row.querySelector('.status-select[data-state="' + state + '"]') !== null;
+        }
+        
+        // Overall status of a row: completed once every required course is completed and not expired
+        function rowOverallStatus(row) {
+            const selects = Array.from(row.querySelectorAll('.status-select'));
+            const required = selects.filter(select => select.getAttribute('data-required') === 'true');
+            
+            if (required.length > 0 && required.every(select => isCompliantState(select.getAttribute('data-state')))) {
+                return 'completed';
+            }
+            return selects.some(select => select.value !== 'not started') ? 'started' : 'not started';
+        }
+        
+        function isDeprovisionedRow(row) {
+            return row.getAttribute('data-deprovisioned') === 'true';
+        }
+        
+        function refreshRowAccess(row) {
+            if (isDeprovisionedRow(row)) return;
+            const accessCell = row.querySelector('.access-indicator');
+            if (rowOverallStatus(row) === 'completed') {
+                accessCell.className = 'access-indicator access-granted';
+                accessCell.textContent = '✅ Compliant';
+            } else {
+                accessCell.className = 'access-indicator access-denied';
+                accessCell.textContent = '❌ Not Compliant';
+            }
+            
+            const grace = row.querySelector('.grace-countdown');
+            if (grace) {
+                grace.hidden = rowOverallStatus(row) === 'completed';
+            }
+        }
+        
         function updateStats() {
-            const selects = document.querySelectorAll('.status-select');
-            let completed = 0, started = 0, notStarted = 0;
+            const rows = document.querySelectorAll('#usersTable tbody tr');
+            let completed = 0, started = 0, notStarted = 0, expiring = 0, expired = 0;
+            
+            let total = 0;
             
-            selects.forEach(select => {
-                const status = select.value;
+            rows.forEach(row => {
+                if (isDeprovisionedRow(row)) return;
+                total++;
+                const status = rowOverallStatus(row);
                 if (status === 'completed') completed++;
                 else if (status === 'started') started++;
                 else if (status === 'not started') notStarted++;
+                if (rowHasState(row, 'expiring')) expiring++;
+                if (rowHasState(row, 'expired')) expired++;
             });
             
             document.getElementById('completedCount').textContent = completed;
             document.getElementById('startedCount').textContent = started;
             document.getElementById('notStartedCount').textContent = notStarted;
+            document.getElementById('expiringCount').textContent = expiring;
+            document.getElementById('expiredCount').textContent = expired;
+            document.getElementById('totalCount').textContent = total;
+        }
+        
+        function formatSyncDiff(diff, label) {
+            // Show at most 10 emails per change type
+            const section = (title, emails) => {
+                if (emails.length === 0) return '';
+                const shown = emails.slice(0, 10).map(email => '  ' + email).join('\\n');
+                const more = emails.length > 10 ? '\\n  ...and ' + (emails.length - 10) + ' more' : '';
+                return '\\n\\n' + title + ' (' + emails.length + '):\\n' + shown + more;
+            };
+            
+            return 'Apply these changes from ' + label + '?' +
+                section('Add', diff.add) +
+                section('Update', diff.update.map(change =>
+                    (change.previousEmail ? change.previousEmail + ' -> ' : '') + change.email)) +
+                section('Restore (back in ' + label + ')', diff.restore) +
+                section('Deprovision (access denied, training history kept)', diff.remove);
         }
         
-        async function syncOktaUsers() {
-            const syncButton = document.getElementById('syncButton');
+        async function syncDirectoryUsers(provider, label) {
+            const syncButton = document.getElementById('syncButton-' + provider);
             const syncStatus = document.getElementById('syncStatus');
+            const buttonHtml = syncButton.innerHTML;
             
             // Disable button and show loading state
             syncButton.disabled = true;
             syncButton.classList.add('loading');
             syncButton.innerHTML = '<span class="spinner"></span>Syncing...';
-            syncStatus.textContent = 'Syncing users from Okta...';
+            syncStatus.textContent = 'Comparing ' + label + ' with the training database...';
             
             try {
-                const response = await fetch('/api/okta/sync', {
+                // Preview the changes first and let the admin confirm them
+                const previewResponse = await fetch('/api/' + provider + '/sync?dryRun=1', {
+                    method: 'POST'
+                });
+                const preview = await previewResponse.json();
+                
+                if (!preview.success) {
+                    syncStatus.textContent = 'Sync failed';
+                    showMessage('error', preview.message || 'Failed to compare users with ' + label);
+                    return;
+                }
+                
+                const diff = preview.results.diff;
+                if (!diff || diff.add.length + diff.update.length + diff.restore.length + diff.remove.length === 0) {
+                    syncStatus.textContent = 'Already in sync with ' + label;
+                    showMessage('success', 'No changes: the training database already matches ' + label);
+                    return;
+                }
+                
+                if (!confirm(formatSyncDiff(diff, label))) {
+                    syncStatus.textContent = 'Sync cancelled';
+                    return;
+                }
+                
+                syncStatus.textContent = 'Syncing users from ' + label + '...';
+                const response = await fetch('/api/' + provider + '/sync', {
                     method: 'POST'
                 });
                 
                 const result = await response.json();
                 
                 if (result.success) {
-                    syncStatus.textContent = \`Sync completed: Added \${result.results.added}, Updated \${result.results.updated}, Skipped \${result.results.skipped}\`;
+                    syncStatus.textContent = \`Sync completed: Added \${result.results.added}, Updated \${result.results.updated}, Restored \${result.results.restored}, Skipped \${result.results.skipped}\`;
                     showMessage('success', result.message);
                     
                     // Refresh the page to show new users
@@ -1250,7 +1822,7 @@ export async function handleWebInterface(env) {
                     }, 2000);
                 } else {
                     syncStatus.textContent = 'Sync failed';
-                    showMessage('error', result.message || 'Failed to sync users from Okta');
+                    showMessage('error', result.message || 'Failed to sync users from ' + label);
                 }
             } catch (error) {
                 console.error('Sync error:', error);
@@ -1260,15 +1832,72 @@ export async function handleWebInterface(env) {
                 // Re-enable button
                 syncButton.disabled = false;
                 syncButton.classList.remove('loading');
-                syncButton.innerHTML = '🔄 Sync Users from Okta';
+                syncButton.innerHTML = buttonHtml;
                 
                 // Reset status after delay
                 setTimeout(() => {
-                    syncStatus.textContent = 'Ready to sync users from Okta';
+                    syncStatus.textContent = syncStatus.dataset.ready;
                 }, 5000);
             }
         }
         
+        async function grantExemption() {
+            const expiry = document.getElementById('exemptionExpiry').value;
+            
+            try {
+                const response = await fetch('/api/exemptions', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        email: document.getElementById('exemptionEmail').value.trim(),
+                        app: document.getElementById('exemptionApp').value || null,
+                        course: document.getElementById('exemptionCourse').value || null,
+                        reason: document.getElementById('exemptionReason').value.trim(),
+                        // Exemptions last until the end of the chosen day (UTC)
+                        expiresAt: expiry ? expiry + 'T23:59:59Z' : null
+                    })
+                });
+                
+                const result = await response.json();
+                
+                if (result.success) {
+                    showMessage('success', result.message);
+                    setTimeout(() => window.location.reload(), 1000);
+                } else {
+                    showMessage('error', result.message || 'Failed to grant exemption');
+                }
+            } catch (error) {
+                console.error('Grant exemption error:', error);
+                showMessage('error', 'Network error. Please try again.');
+            }
+        }
+        
+        async function revokeExemption(id) {
+            if (!confirm('Revoke this exemption? Access will again require completed training.')) {
+                return;
+            }
+            
+            try {
+                const response = await fetch('/api/exemptions?id=' + encodeURIComponent(id), {
+                    method: 'DELETE'
+                });
+                
+                const result = await response.json();
+                
+                if (result.success) {
+                    showMessage('success', result.message);
+                    setTimeout(() => window.location.reload(), 1000);
+                } else {
+                    showMessage('error', result.message || 'Failed to revoke exemption');
+                }
+            } catch (error) {
+                console.error('Revoke exemption error:', error);
+                showMessage('error', 'Network error. Please try again.');
+            }
+        }
+        
         function showMessage(type, message) {
             const successMsg = document.getElementById('successMessage');
             const errorMsg = document.getElementById('errorMessage');
@@ -1327,7 +1956,7 @@ export async function handleWebInterface(env) {
                 if (column === 'updated_at') {
                     aValue = new Date(aValue);
                     bValue = new Date(bValue);
-                } else if (column === 'training_status') {
+                } else if (column.startsWith('course:')) {
                     // Custom sort order for training status
                     const statusOrder = { 'completed': 3, 'started': 2, 'not started': 1 };
                     aValue = statusOrder[aValue] || 0;
@@ -1357,11 +1986,15 @@ export async function handleWebInterface(env) {
                     return row.querySelector('.username').textContent.trim();
                 case 'primary_email':
                     return row.querySelector('.email').textContent.trim();
-                case 'training_status':
-                    return row.querySelector('.status-select').value;
+                case 'idp_status':
+                    return row.querySelector('.idp-status').textContent.trim();
                 case 'updated_at':
                     return row.querySelector('.timestamp').textContent.trim();
                 default:
+                    if (column.startsWith('course:')) {
+                        const select = row.querySelector('.status-select[data-course="' + column.slice(7) + '"]');
+                        return select ? select.value : '';
+                    }
                     return '';
             }
         }
@@ -1373,26 +2006,62 @@ export async function handleWebInterface(env) {
             
             statusFilter.addEventListener('change', applyFilters);
             searchFilter.addEventListener('input', debounce(applyFilters, 300));
+
+            // Only rendered once a sync has recorded groups, statuses or attributes
+            ['groupFilter', 'idpStatusFilter', 'attributeFilter'].forEach(id => {
+                const filter = document.getElementById(id);
+                if (filter) {
+                    filter.addEventListener('change', applyFilters);
+                }
+            });
         }
         
         function applyFilters() {
             const statusFilter = document.getElementById('statusFilter').value;
             const searchFilter = document.getElementById('searchFilter').value.toLowerCase();
+            const groupSelect = document.getElementById('groupFilter');
+            const groupFilter = groupSelect ? groupSelect.value : '';
+            const idpStatusSelect = document.getElementById('idpStatusFilter');
+            const idpStatusFilter = idpStatusSelect ? idpStatusSelect.value : '';
+            const attributeSelect = document.getElementById('attributeFilter');
+            const attributeFilter = attributeSelect ? attributeSelect.value : '';
+            const attributeName = attributeFilter.slice(0, attributeFilter.indexOf('='));
+            const attributeValue = attributeFilter.slice(attributeFilter.indexOf('=') + 1);
             const rows = document.querySelectorAll('#usersTable tbody tr');
             
             let visibleCount = 0;
+            let totalCount = 0;
             
             rows.forEach(row => {
-                const status = row.querySelector('.status-select').value;
+                // Deprovisioned users only appear under their own filter
+                if (isDeprovisionedRow(row) !== (statusFilter === 'deprovisioned')) {
+                    row.style.display = 'none';
+                    return;
+                }
+                totalCount++;
+                
+                const status = rowOverallStatus(row);
                 const name = row.querySelector('.username').textContent.toLowerCase();
                 const email = row.querySelector('.email').textContent.toLowerCase();
                 
-                const statusMatch = !statusFilter || status === statusFilter;
+                let statusMatch = !statusFilter || statusFilter === 'deprovisioned' || status === statusFilter;
+                if (statusFilter === 'expiring' || statusFilter === 'expired') {
+                    statusMatch = rowHasState(row, statusFilter);
+                } else if (statusFilter === 'grace') {
+                    const grace = row.querySelector('.grace-countdown');
+                    statusMatch = grace !== null && !grace.hidden;
+                }
                 const searchMatch = !searchFilter || 
                     name.includes(searchFilter) || 
                     email.includes(searchFilter);
+                const groupMatch = !groupFilter ||
+                    row.getAttribute('data-groups').split(' ').includes(groupFilter);
+                const idpStatusMatch = !idpStatusFilter ||
+                    row.getAttribute('data-idp-status') === idpStatusFilter;
+                const attributeMatch = !attributeFilter ||
+                    JSON.parse(row.getAttribute('data-attributes'))[attributeName] === attributeValue;
                 
-                if (statusMatch && searchMatch) {
+                if (statusMatch && searchMatch && groupMatch && idpStatusMatch && attributeMatch) {
                     row.style.display = '';
                     visibleCount++;
                 } else {
@@ -1401,12 +2070,18 @@ export async function handleWebInterface(env) {
             });
             
             // Update visible count indicator
-            updateFilteredCount(visibleCount, rows.length);
+            updateFilteredCount(visibleCount, totalCount);
         }
         
         function clearFilters() {
             document.getElementById('statusFilter').value = '';
             document.getElementById('searchFilter').value = '';
+            ['groupFilter', 'idpStatusFilter', 'attributeFilter'].forEach(id => {
+                const filter = document.getElementById(id);
+                if (filter) {
+                    filter.value = '';
+                }
+            });
             applyFilters();
         }
         
@@ -1525,9 +2200,10 @@ export async function handleWebInterface(env) {
         }
         
         async function applyBulkStatusUpdate() {
+            const course = document.getElementById('bulkCourseSelect').value;
             const newStatus = document.getElementById('bulkStatusSelect').value;
-            if (!newStatus || selectedUsers.length === 0) {
-                showError('Please select a status and at least one user.');
+            if (!course || !newStatus || selectedUsers.length === 0) {
+                showMessage('error', 'Please select a course, a status and at least one user.');
                 return;
             }
             
@@ -1546,6 +2222,7 @@ export async function handleWebInterface(env) {
                         },
                         body: JSON.stringify({
                             email: email,
+                            course: course,
                             status: newStatus
                         })
                     });
@@ -1561,32 +2238,26 @@ export async function handleWebInterface(env) {
                     successful.forEach(result => {
                         const row = document.querySelector('tr[data-user-email="' + result.email + '"]');
                         if (row) {
-                            const select = row.querySelector('.status-select');
-                            const accessIndicator = row.querySelector('.access-indicator');
+                            const select = row.querySelector('.status-select[data-course="' + course + '"]');
                             
                             select.value = newStatus;
                             select.className = 'status-select status-' + newStatus.replace(' ', '-');
                             select.setAttribute('data-original-value', newStatus);
+                            refreshCertificationState(select, newStatus);
                             
                             // Update access indicator
-                            if (newStatus === 'completed') {
-                                accessIndicator.className = 'access-indicator access-granted';
-                                accessIndicator.textContent = '✅ Access Granted';
-                            } else {
-                                accessIndicator.className = 'access-indicator access-denied';
-                                accessIndicator.textContent = '❌ Access Denied';
-                            }
+                            refreshRowAccess(row);
                         }
                     });
                     
                     // Update statistics
-                    updateStatistics();
+                    updateStats();
                     
-                    showSuccess('Successfully updated ' + successful.length + ' user' + (successful.length !== 1 ? 's' : '') + ' to "' + newStatus + '".');
+                    showMessage('success', 'Successfully updated ' + successful.length + ' user' + (successful.length !== 1 ? 's' : '') + ' to "' + newStatus + '".');
                 }
                 
                 if (failed.length > 0) {
-                    showError('Failed to update ' + failed.length + ' user' + (failed.length !== 1 ? 's' : '') + '. Please try again.');
+                    showMessage('error', 'Failed to update ' + failed.length + ' user' + (failed.length !== 1 ? 's' : '') + '. Please try again.');
                 }
                 
                 // Clear selection after bulk update
@@ -1594,29 +2265,13 @@ export async function handleWebInterface(env) {
                 
             } catch (error) {
                 console.error('Bulk update error:', error);
-                showError('Bulk update failed. Please try again.');
+                showMessage('error', 'Bulk update failed. Please try again.');
             } finally {
                 applyButton.disabled = false;
                 applyButton.textContent = originalText;
             }
         }
         
-        function updateStatistics() {
-            const rows = document.querySelectorAll('#usersTable tbody tr');
-            let completed = 0, started = 0, notStarted = 0;
-            
-            rows.forEach(row => {
-                const status = row.querySelector('.status-select').value;
-                if (status === 'completed') completed++;
-                else if (status === 'started') started++;
-                else if (status === 'not started') notStarted++;
-            });
-            
-            document.getElementById('completedCount').textContent = completed;
-            document.getElementById('startedCount').textContent = started;
-            document.getElementById('notStartedCount').textContent = notStarted;
-        }
-        
         // Initialize sorting and filtering when page loads
         document.addEventListener('DOMContentLoaded', () => {
             initializeSorting();
@@ -1636,15 +2291,18 @@ export async function handleWebInterface(env) {
 }
 
 /**
- * Handle API request to update training status
+ * Handle API request to update training status. With Okta write-back on, the
+ * new status is pushed to Okta after the response is sent.
  * @param {*} env - Environment bindings
  * @param {Request} request - HTTP request
+ * @param {Object} ctx - Execution context
  * @returns {Response} JSON response
  */
-export async function handleUpdateTraining(env, request) {
+export async function handleUpdateTraining(env, request, ctx) {
   try {
     const body = await request.json()
     const { email, status } = body
+    const course = body.course || DEFAULT_COURSE
 
     // Create secure headers for JSON responses
     const secureHeaders = {
@@ -1665,6 +2323,19 @@ export async function handleUpdateTraining(env, request) {
       )
     }
 
+    if (typeof email !== 'string' || !isValidEmail(email.trim())) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: 'Invalid email',
+        }),
+        {
+          status: 400,
+          headers: secureHeaders,
+        },
+      )
+    }
+
     if (!['not started', 'started', 'completed'].includes(status)) {
       return new Response(
         JSON.stringify({
@@ -1678,9 +2349,29 @@ export async function handleUpdateTraining(env, request) {
       )
     }
 
-    const updated = await updateUserTrainingStatusByEmail(env, email, status)
+    if (!isValidCourseSlug(course)) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: 'Invalid course',
+        }),
+        {
+          status: 400,
+          headers: secureHeaders,
+        },
+      )
+    }
+
+    const updated = await updateUserTrainingStatusByEmail(
+      env,
+      email,
+      status,
+      course,
+    )
 
     if (updated) {
+      await queueOktaWriteback(env, email, ctx)
+
       return new Response(
         JSON.stringify({
           success: true,
@@ -1694,7 +2385,7 @@ export async function handleUpdateTraining(env, request) {
       return new Response(
         JSON.stringify({
           success: false,
-          message: 'User not found or update failed',
+          message: 'User or course not found, or update failed',
         }),
         {
           status: 404,
@@ -2028,3 +2719,201 @@ export async function handleSystemOverview(env) {
   // Add CSP headers with nonces
   return addCSPHeaders(response, env, null, styleNonce)
 }
+
+/**
+ * Describe one user change applied by a sync run
+ * @param {Object} change - Change from listSyncRuns()
+ * @returns {string} HTML list item
+ */
+function renderSyncChange(change) {
+  const labels = {
+    add: '➕ Added',
+    update: '✏️ Updated',
+    restore: '♻️ Restored',
+    remove: '🚫 Removed',
+  }
+  const details = [
+    change.previous_email ? `was ${escapeHtml(change.previous_email)}` : '',
+    change.fields.length ? escapeHtml(change.fields.join(', ')) : '',
+  ]
+    .filter(Boolean)
+    .join('; ')
+
+  return `<li>${labels[change.action]} <strong>${escapeHtml(change.email)}</strong>${details ? ` (${details})` : ''}</li>`
+}
+
+/**
+ * Handle GET request for the sync history page. `?user=` limits the list to
+ * runs that changed that email, e.g. to find when a user was removed.
+ * @param {*} env - Environment bindings
+ * @param {Request} request - HTTP request
+ * @returns {Response} HTML response
+ */
+export async function handleSyncHistoryPage(env, request) {
+  const url = new URL(request.url)
+  const user = (url.searchParams.get('user') || '').trim().slice(0, 254)
+  const runs = await listSyncRuns(env, { user: user || null })
+
+  const styleNonce = generateNonce()
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Directory Sync History</title>
+    <style nonce="${styleNonce}">
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: #f8fafc;
+            color: #111827;
+            margin: 0;
+            padding: 24px;
+        }
+        
+        .container {
+            max-width: 1100px;
+            margin: 0 auto;
+        }
+        
+        h1 {
+            font-size: 24px;
+            margin-bottom: 8px;
+        }
+        
+        .search {
+            display: flex;
+            gap: 8px;
+            margin: 16px 0;
+        }
+        
+        .search input {
+            flex: 1;
+            padding: 8px 12px;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+        }
+        
+        .search button {
+            padding: 8px 16px;
+            border: none;
+            border-radius: 8px;
+            background: #2563eb;
+            color: #fff;
+            cursor: pointer;
+        }
+        
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            background: #fff;
+            border-radius: 12px;
+            overflow: hidden;
+        }
+        
+        th, td {
+            padding: 10px 12px;
+            border-bottom: 1px solid #e5e7eb;
+            text-align: left;
+            vertical-align: top;
+            font-size: 14px;
+        }
+        
+        th {
+            background: #f1f5f9;
+        }
+        
+        .status-aborted, .status-failed {
+            color: #b91c1c;
+            font-weight: 600;
+        }
+        
+        .status-success {
+            color: #15803d;
+            font-weight: 600;
+        }
+        
+        .status-partial {
+            color: #b45309;
+            font-weight: 600;
+        }
+        
+        ul {
+            margin: 6px 0 0;
+            padding-left: 18px;
+        }
+        
+        .empty {
+            color: #6b7280;
+            padding: 24px 0;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/admin">← Back to dashboard</a>
+        <h1>🔄 Directory Sync History</h1>
+        <form class="search" method="GET" action="/admin/sync-runs">
+            <input type="search" name="user" value="${escapeHtml(user)}" placeholder="Show only runs that changed this email...">
+            <button type="submit">Search</button>
+        </form>
+        ${
+          runs.length === 0
+            ? `<p class="empty">${user ? `No sync run changed ${escapeHtml(user)}` : 'No directory sync has run yet'}</p>`
+            : `<table>
+            <thead>
+                <tr>
+                    <th>Started (UTC)</th>
+                    <th>Directory</th>
+                    <th>Trigger</th>
+                    <th>Status</th>
+                    <th>Directory Users</th>
+                    <th>Changes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${runs
+                  .map(
+                    (run) => `
+                <tr>
+                    <td>${run.started_at}</td>
+                    <td>${escapeHtml(getDirectoryProvider(run.provider)?.label || run.provider)}</td>
+                    <td>${run.trigger}${run.group_ids.length ? `<br><small>Groups: ${escapeHtml(run.group_ids.join(', '))}</small>` : ''}</td>
+                    <td class="status-${run.status}">${run.status}${run.errors.length ? `<br><small>${escapeHtml(run.errors[0])}</small>` : ''}</td>
+                    <td>${run.directory_users ?? '-'}</td>
+                    <td>
+                        Added ${run.added}, updated ${run.updated}, restored ${run.restored}, removed ${run.removed}
+                        ${
+                          run.changes.length
+                            ? `<details${user ? ' open' : ''}><summary>${run.changes.length} users changed</summary><ul>${run.changes
+                                .filter(
+                                  (change) =>
+                                    !user ||
+                                    change.email === user.toLowerCase() ||
+                                    change.previous_email ===
+                                      user.toLowerCase(),
+                                )
+                                .map(renderSyncChange)
+                                .join('')}</ul></details>`
+                            : ''
+                        }
+                    </td>
+                </tr>`,
+                  )
+                  .join('')}
+            </tbody>
+        </table>`
+        }
+    </div>
+</body>
+</html>
+  `
+
+  const response = new Response(html, {
+    headers: { 'content-type': 'text/html' },
+  })
+
+  // Add CSP headers with nonces
+  return addCSPHeaders(response, env, null, styleNonce)
+}
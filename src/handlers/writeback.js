@@ -0,0 +1,61 @@
+import { listWritebacks } from '../database/writeback.js'
+import {
+  getOktaWritebackMode,
+  processOktaWriteback,
+  reconcileOktaWriteback,
+} from '../integrations/okta-writeback.js'
+import { createSecureJSONHeaders } from '../security/csp.js'
+import { structuredLog, LOG_LEVELS } from '../utils/logging.js'
+
+/**
+ * Handle request to list users queued for Okta write-back and those whose
+ * last push failed or was skipped
+ * @param {*} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handleListWriteback(env) {
+  const entries = await listWritebacks(env)
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      mode: getOktaWritebackMode(env),
+      entries,
+      count: entries.length,
+    }),
+    {
+      headers: createSecureJSONHeaders(env),
+    },
+  )
+}
+
+/**
+ * Run the Okta write-back from the cron trigger: queue users whose status
+ * drifted from the one last pushed, then push everything that is due
+ * @param {*} env - Environment bindings
+ * @param {Object} controller - Scheduled event controller (cron, scheduledTime)
+ */
+export async function handleScheduledWriteback(env, controller) {
+  if (!getOktaWritebackMode(env)) {
+    return
+  }
+
+  try {
+    const queued = await reconcileOktaWriteback(env)
+    const results = await processOktaWriteback(env)
+
+    structuredLog(
+      results.failed > 0 ? LOG_LEVELS.WARN : LOG_LEVELS.INFO,
+      'Scheduled Okta write-back completed',
+      { cron: controller.cron, queued, ...results },
+      env,
+    )
+  } catch (error) {
+    structuredLog(
+      LOG_LEVELS.ERROR,
+      'Scheduled Okta write-back failed',
+      { cron: controller.cron, error: error.message },
+      env,
+    )
+  }
+}
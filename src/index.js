@@ -3,12 +3,54 @@ import {
   handleDatabaseInitRequest,
   handleExternalEvaluationRequest,
 } from './handlers/index.js'
-import { handleWebInterface, handleUpdateTraining } from './handlers/web.js'
 import {
-  handleOktaSync,
-  handleOktaGroups,
-  handleOktaUsers,
+  handleWebInterface,
+  handleUpdateTraining,
+  handleSyncHistoryPage,
+} from './handlers/web.js'
+import {
+  handleDirectorySync,
+  handleDirectoryGroups,
+  handleDirectoryUsers,
+  handlePurgeDeprovisionedUsers,
+  handleScheduledSync,
+  handleScheduledPurge,
+  handleListSyncRuns,
 } from './handlers/sync.js'
+import { DIRECTORY_PROVIDERS } from './integrations/directory.js'
+import { handleOktaEventHook } from './handlers/hooks.js'
+import { handleScimRequest } from './handlers/scim.js'
+import {
+  handleListWriteback,
+  handleScheduledWriteback,
+} from './handlers/writeback.js'
+import {
+  handleListCourses,
+  handleSaveCourse,
+  handleDeleteCourse,
+} from './handlers/courses.js'
+import {
+  handleListPolicies,
+  handleSavePolicy,
+  handleDeletePolicy,
+  handleMonitorReport,
+} from './handlers/policies.js'
+import { handleComplianceReport } from './handlers/reports.js'
+import {
+  handleListExemptions,
+  handleGrantExemption,
+  handleRevokeExemption,
+} from './handlers/exemptions.js'
+import {
+  handleListAliases,
+  handleAddAlias,
+  handleRemoveAlias,
+} from './handlers/aliases.js'
+import {
+  handleListDecisions,
+  handlePruneDecisions,
+  handleScheduledPrune,
+} from './handlers/decisions.js'
 import {
   createUnauthorizedResponse,
   createUnauthorizedHtmlResponse,
@@ -26,7 +68,8 @@ import {
  * Unified admin request handler with Cloudflare Access authentication
  * @param {Request} request - HTTP request
  * @param {*} env - Environment bindings
- * @param {Function} handler - Handler function to execute if authenticated
+ * @param {Function} handler - Handler function to execute if authenticated,
+ *   called with the admin's verified Access claims
  * @param {boolean} isWebInterface - Whether this is a web interface request (affects redirects)
  * @returns {Response} HTTP response
  */
@@ -60,7 +103,7 @@ async function handleAdminRequest(
   )
 
   // Execute the handler
-  return handler()
+  return handler(accessClaims)
 }
 
 /**
@@ -103,6 +146,25 @@ export default {
           () => handleWebInterface(env),
           true,
         )
+      } else if (url.pathname === '/admin/sync-runs') {
+        // Sync history page - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleSyncHistoryPage(env, request),
+          true,
+        )
+      } else if (
+        url.pathname === '/api/sync/runs' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListSyncRuns(env, request),
+          false,
+        )
       } else if (
         url.pathname === '/api/update-training' &&
         request.method === 'POST'
@@ -111,9 +173,18 @@ export default {
         response = await handleAdminRequest(
           request,
           env,
-          () => handleUpdateTraining(env, request),
+          () => handleUpdateTraining(env, request, ctx),
           false,
         )
+      } else if (
+        url.pathname === '/hooks/okta' &&
+        (request.method === 'GET' || request.method === 'POST')
+      ) {
+        // Okta Event Hook - authenticated by the hook's shared secret
+        response = await handleOktaEventHook(env, request, ctx)
+      } else if (url.pathname.startsWith('/scim/v2/')) {
+        // SCIM 2.0 provisioning - authenticated by SCIM_BEARER_TOKEN
+        response = await handleScimRequest(env, request)
       } else if (
         url.pathname === '/api/okta/sync' &&
         request.method === 'POST'
@@ -122,7 +193,29 @@ export default {
         response = await handleAdminRequest(
           request,
           env,
-          () => handleOktaSync(env, request),
+          () => handleDirectorySync(env, request, DIRECTORY_PROVIDERS.OKTA),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/users/purge-deprovisioned' &&
+        request.method === 'POST'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handlePurgeDeprovisionedUsers(env),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/okta/writeback' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListWriteback(env),
           false,
         )
       } else if (
@@ -133,7 +226,7 @@ export default {
         response = await handleAdminRequest(
           request,
           env,
-          () => handleOktaGroups(env),
+          () => handleDirectoryGroups(env, DIRECTORY_PROVIDERS.OKTA),
           false,
         )
       } else if (
@@ -144,11 +237,238 @@ export default {
         response = await handleAdminRequest(
           request,
           env,
-          () => handleOktaUsers(env, request),
+          () => handleDirectoryUsers(env, request, DIRECTORY_PROVIDERS.OKTA),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/entra/sync' &&
+        request.method === 'POST'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDirectorySync(env, request, DIRECTORY_PROVIDERS.ENTRA),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/entra/groups' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDirectoryGroups(env, DIRECTORY_PROVIDERS.ENTRA),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/entra/users' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDirectoryUsers(env, request, DIRECTORY_PROVIDERS.ENTRA),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/google/sync' &&
+        request.method === 'POST'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDirectorySync(env, request, DIRECTORY_PROVIDERS.GOOGLE),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/google/groups' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDirectoryGroups(env, DIRECTORY_PROVIDERS.GOOGLE),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/google/users' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDirectoryUsers(env, request, DIRECTORY_PROVIDERS.GOOGLE),
+          false,
+        )
+      } else if (url.pathname === '/api/courses' && request.method === 'GET') {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListCourses(env),
+          false,
+        )
+      } else if (url.pathname === '/api/courses' && request.method === 'POST') {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleSaveCourse(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/courses' &&
+        request.method === 'DELETE'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDeleteCourse(env, request),
+          false,
+        )
+      } else if (url.pathname === '/api/policies' && request.method === 'GET') {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListPolicies(env),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/policies' &&
+        request.method === 'POST'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleSavePolicy(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/policies' &&
+        request.method === 'DELETE'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleDeletePolicy(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/policies/monitor-report' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleMonitorReport(env),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/reports/compliance' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleComplianceReport(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/exemptions' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListExemptions(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/exemptions' &&
+        request.method === 'POST'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          (accessClaims) => handleGrantExemption(env, request, accessClaims),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/exemptions' &&
+        request.method === 'DELETE'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          (accessClaims) => handleRevokeExemption(env, request, accessClaims),
+          false,
+        )
+      } else if (url.pathname === '/api/aliases' && request.method === 'GET') {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListAliases(env),
+          false,
+        )
+      } else if (url.pathname === '/api/aliases' && request.method === 'POST') {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleAddAlias(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/aliases' &&
+        request.method === 'DELETE'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleRemoveAlias(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/decisions' &&
+        request.method === 'GET'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handleListDecisions(env, request),
+          false,
+        )
+      } else if (
+        url.pathname === '/api/decisions/prune' &&
+        request.method === 'POST'
+      ) {
+        // Admin API - Cloudflare Access authentication
+        response = await handleAdminRequest(
+          request,
+          env,
+          () => handlePruneDecisions(env),
           false,
         )
       } else {
-        response = await handleExternalEvaluationRequest(env, request)
+        response = await handleExternalEvaluationRequest(env, request, ctx)
       }
 
       // Log request metrics
@@ -188,4 +508,18 @@ export default {
       )
     }
   },
+
+  /**
+   * Cron trigger entry point: runs the scheduled directory syncs, purges
+   * users past the deprovisioned retention period and decisions past the
+   * audit retention period, then pushes training statuses to Okta
+   */
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(
+      handleScheduledSync(env, controller)
+        .then(() => handleScheduledPurge(env, controller))
+        .then(() => handleScheduledPrune(env, controller))
+        .then(() => handleScheduledWriteback(env, controller)),
+    )
+  },
 }
@@ -0,0 +1,287 @@
+/**
+ * HTTP helpers shared by the directory integrations (Okta, Entra ID and
+ * Google Workspace)
+ *
+ * Every directory API is called the same way: auth headers are fetched per
+ * attempt, an access token the API rejects is replaced once, rate-limited and
+ * failed requests are retried with backoff, and listings are followed page by
+ * page up to a cap. Each integration supplies what differs: its settings,
+ * how it reads a page and, where needed, how it spots a rate limit.
+ */
+
+import { getCached, setCache } from '../utils/cache.js'
+
+// Default cap on the number of pages followed for one listing
+const DEFAULT_MAX_PAGES = 50
+
+// Default number of retries for a request that fails with a rate limit or 5xx
+const DEFAULT_MAX_RETRIES = 3
+
+// Backoff before the first retry, doubled (with jitter) on each attempt
+const DEFAULT_BACKOFF_BASE_MS = 500
+
+// Longest single wait for a rate-limit reset, Retry-After or backoff
+export const MAX_WAIT_MS = 60 * 1000
+
+// Refresh access tokens this long before the provider expires them
+const TOKEN_EXPIRY_SKEW_SECONDS = 60
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Get the maximum number of pages followed for one listing
+ * @param {*} env - Environment bindings
+ * @param {string} setting - Setting name, e.g. OKTA_MAX_PAGES
+ * @returns {number} Page cap
+ */
+export function getMaxPages(env, setting) {
+  const pages = parseInt(env[setting], 10)
+  return Number.isFinite(pages) && pages > 0 ? pages : DEFAULT_MAX_PAGES
+}
+
+/**
+ * Get the number of retries for a failed request
+ * @param {*} env - Environment bindings
+ * @param {string} setting - Setting name, e.g. OKTA_MAX_RETRIES
+ * @returns {number} Retry count
+ */
+export function getMaxRetries(env, setting) {
+  const retries = parseInt(env[setting], 10)
+  return Number.isFinite(retries) && retries >= 0
+    ? retries
+    : DEFAULT_MAX_RETRIES
+}
+
+/**
+ * Create the retry and rate-limit counters updated by fetchWithRetry
+ * @returns {Object} retries, rateLimitWaits and rateLimitWaitMs
+ */
+export function createFetchStats() {
+  return { retries: 0, rateLimitWaits: 0, rateLimitWaitMs: 0 }
+}
+
+/**
+ * Check whether a response is a rate limit (429) or server error
+ * @param {Response} response - API response
+ * @returns {boolean} True if the request should be retried
+ */
+function isRateLimitOrServerError(response) {
+  return response.status === 429 || response.status >= 500
+}
+
+/**
+ * Get the Retry-After delay of a response
+ * @param {Response} response - API response
+ * @returns {number|null} Milliseconds to wait (capped), or null if absent
+ */
+function getRetryAfterDelay(response) {
+  const retryAfter = parseInt(response.headers.get('retry-after'), 10)
+  return Number.isFinite(retryAfter)
+    ? Math.min(retryAfter * 1000, MAX_WAIT_MS)
+    : null
+}
+
+/**
+ * Fetch from a directory API, retrying rate-limited and 5xx responses after
+ * the delay the API asks for, or with jittered exponential backoff when it
+ * gives none. Auth headers are added per attempt; an access token the API
+ * rejects (401) is replaced once.
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.label - API name for log messages, e.g. 'Graph API'
+ * @param {Function} options.getRequestOptions - Returns a promise of the
+ *   fetch options with auth headers
+ * @param {Function|null} [options.clearAccessToken] - Forgets the cached
+ *   access token; without it a 401 is returned as is
+ * @param {Object} [options.init] - Extra fetch options (method, body)
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} [options.backoffBaseMs] - Backoff before the first retry
+ * @param {Function} [options.isRetryable] - Returns whether (a promise that)
+ *   a response should be retried; 429 and 5xx by default. Retried responses
+ *   below 500 count as rate limits.
+ * @param {Function} [options.getRetryDelay] - Returns the delay a response
+ *   asks for, or null to back off; Retry-After by default
+ * @param {Object} options.stats - Counters updated in place (see
+ *   createFetchStats)
+ * @returns {Promise<Response>} Final response (may still be an error)
+ */
+export async function fetchWithRetry(url, options) {
+  const {
+    label,
+    getRequestOptions,
+    clearAccessToken = null,
+    init = {},
+    maxRetries,
+    backoffBaseMs = DEFAULT_BACKOFF_BASE_MS,
+    isRetryable = isRateLimitOrServerError,
+    getRetryDelay = getRetryAfterDelay,
+    stats,
+  } = options
+  let tokenRefreshed = false
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      ...init,
+      ...(await getRequestOptions()),
+    })
+
+    if (response.status === 401 && clearAccessToken && !tokenRefreshed) {
+      // Revoked, rotated or expired early: get a new token
+      clearAccessToken()
+      tokenRefreshed = true
+      attempt--
+      continue
+    }
+
+    if (attempt >= maxRetries || !(await isRetryable(response))) {
+      return response
+    }
+
+    const rateLimited = response.status < 500
+    const delay =
+      getRetryDelay(response) ??
+      Math.min(Math.random() * backoffBaseMs * 2 ** attempt, MAX_WAIT_MS)
+
+    console.warn(
+      `${label} returned ${response.status}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${maxRetries})`,
+    )
+    stats.retries++
+    if (rateLimited) {
+      stats.rateLimitWaits++
+      stats.rateLimitWaitMs += Math.round(delay)
+    }
+
+    await sleep(delay)
+  }
+}
+
+/**
+ * Fetch every page of a directory API listing. The aggregated result is
+ * cached when a cache key is given. A listing longer than the page cap is an
+ * error rather than a truncated result, since sync treats users missing from
+ * the listing as removed from the directory, and next-page URLs must stay on
+ * the API's origin. On failure the retry and rate-limit counters are kept in
+ * the error's `fetchStats` for the caller's failure log.
+ * @param {string} url - First page URL
+ * @param {Object} options - Listing options
+ * @param {string} options.label - API name for error messages
+ * @param {number} options.maxPages - Page cap (see getMaxPages)
+ * @param {string} options.maxPagesSetting - Page cap setting, for errors
+ * @param {Function} options.fetchPage - Fetches a page URL, given the stats,
+ *   e.g. with fetchWithRetry
+ * @param {Function} options.readPage - Reads a successful page response into
+ *   a promise of its `items` and the `nextUrl` (null on the last page)
+ * @param {string|null} [options.cacheKey] - Cache key for the aggregated
+ *   result
+ * @param {number} [options.ttlSeconds] - Cache TTL in seconds
+ * @returns {Promise<Object>} { items, pages, cacheUsed, retries,
+ *   rateLimitWaits, rateLimitWaitMs }
+ */
+export async function fetchPages(url, options) {
+  const {
+    label,
+    maxPages,
+    maxPagesSetting,
+    fetchPage,
+    readPage,
+    cacheKey = null,
+    ttlSeconds = 0,
+  } = options
+
+  if (cacheKey) {
+    const cached = getCached(cacheKey)
+    if (cached) {
+      return { items: cached, pages: 0, cacheUsed: true, ...createFetchStats() }
+    }
+  }
+
+  const stats = createFetchStats()
+  const { origin } = new URL(url)
+  const items = []
+  let pageUrl = url
+  let pages = 0
+
+  try {
+    while (pageUrl) {
+      if (pages >= maxPages) {
+        throw new Error(
+          `${label} listing exceeds ${maxPagesSetting} (${maxPages} pages); refusing to return a partial result`,
+        )
+      }
+
+      const response = await fetchPage(pageUrl, stats)
+      if (!response.ok) {
+        throw new Error(
+          `${label} error: ${response.status} ${response.statusText}`,
+        )
+      }
+
+      const page = await readPage(response)
+      items.push(...page.items)
+      pages++
+
+      pageUrl = page.nextUrl || null
+
+      // Only follow cursors back to the same API
+      if (pageUrl && new URL(pageUrl).origin !== origin) {
+        throw new Error(`${label} pagination link points to an unexpected host`)
+      }
+    }
+  } catch (error) {
+    error.fetchStats = stats
+    throw error
+  }
+
+  if (cacheKey) {
+    setCache(cacheKey, items, ttlSeconds)
+  }
+
+  return { items, pages, cacheUsed: false, ...stats }
+}
+
+/**
+ * Get an OAuth access token from cache while it is valid, or request a new
+ * one and cache it until shortly before it expires
+ * @param {string} cacheKey - Cache key of the token
+ * @param {Object} cacheConfig - CACHE_CONFIG entry, whose ttl caps how long
+ *   the token is cached
+ * @param {string} label - Provider name for error messages, e.g. 'Entra'
+ * @param {Function} requestToken - Sends the token request and returns a
+ *   promise of the token endpoint's response
+ * @returns {Promise<string>} Access token
+ */
+export async function getCachedAccessToken(
+  cacheKey,
+  cacheConfig,
+  label,
+  requestToken,
+) {
+  const cached = getCached(cacheKey)
+  if (cached) {
+    return cached
+  }
+
+  const response = await requestToken()
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok || !body.access_token) {
+    throw new Error(
+      `${label} token request failed: ${response.status} ${body.error || response.statusText}${body.error_description ? ` (${body.error_description.split('\r\n')[0]})` : ''}`,
+    )
+  }
+
+  const ttl = Math.min(
+    (body.expires_in || cacheConfig.ttl) - TOKEN_EXPIRY_SKEW_SECONDS,
+    cacheConfig.ttl,
+  )
+  if (ttl > 0) {
+    setCache(cacheKey, body.access_token, ttl)
+  }
+  return body.access_token
+}
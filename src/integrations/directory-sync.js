@@ -0,0 +1,653 @@
+/**
+ * Directory sync engine
+ *
+ * Users fetched from a directory provider (see directory.js) are written to
+ * the users table with the same rules whatever the provider. Each row records
+ * the provider it was synced from in users.idp_provider, and a provider's sync
+ * only updates and removes its own users, so several directories (and SCIM
+ * provisioning) can feed one deployment. Unowned rows, such as users added by
+ * hand, are claimed by the first provider that matches them, but never
+ * removed by a sync.
+ *
+ * Providers map their users to a common shape: `id` (the directory's
+ * immutable user ID), `username` (normalized email), `email`, `firstName`,
+ * `lastName`, `status`, `created`, `attributes` and, when synced by group,
+ * `groups` ({ id, name }).
+ */
+
+import {
+  isValidAttributeName,
+  sanitizeForLogging,
+} from '../utils/validation.js'
+import {
+  SYNC_TRIGGERS,
+  startSyncRun,
+  finishSyncRun,
+} from '../database/syncs.js'
+import { getUserGroupIds } from '../database/groups.js'
+
+/**
+ * Directory provider names, stored in users.idp_provider and sync_runs.provider
+ */
+export const DIRECTORY_PROVIDERS = {
+  OKTA: 'okta',
+  ENTRA: 'entra',
+  GOOGLE: 'google',
+}
+
+// Default share of database users a sync may remove before it is aborted
+const DEFAULT_SYNC_MAX_REMOVAL_PERCENT = 20
+
+// Default number of users a sync may always remove, whatever the share, so
+// that ordinary departures do not abort syncs of small directories
+const DEFAULT_SYNC_MIN_REMOVAL_LIMIT = 3
+
+// Directory statuses of users who are treated as gone from the directory
+// (deprovisioned). Other statuses, such as SUSPENDED, are stored in
+// users.idp_status and checked by the evaluator (see OKTA_ALLOWED_STATUSES).
+const INACTIVE_IDP_STATUSES = ['DEPROVISIONED']
+
+// User writes shared by the full sync and the Okta event hook
+export const INSERT_USER_SQL = `
+  INSERT INTO users (username, idp_user_id, first_name, last_name, primary_email, idp_created_at, idp_status, attributes, idp_provider, training_status, created_at, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'not started', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+`
+export const UPDATE_USER_SQL = `
+  UPDATE users SET username = ?, idp_user_id = ?, first_name = ?, last_name = ?, primary_email = ?, idp_created_at = ?, idp_status = ?, attributes = ?, idp_provider = ?, deprovisioned_at = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`
+export const DEPROVISION_USER_SQL = `
+  UPDATE users SET deprovisioned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND deprovisioned_at IS NULL
+`
+const INSERT_USER_GROUP_SQL = `
+  INSERT OR REPLACE INTO user_groups (user_id, group_id, group_name)
+  SELECT id, ?, ? FROM users WHERE username = ? AND idp_provider = ?
+`
+
+// Columns compared by the sync
+const SYNCED_USER_COLUMNS =
+  'id, username, idp_user_id, first_name, last_name, primary_email, idp_created_at, idp_status, attributes, idp_provider, deprovisioned_at'
+
+/**
+ * Get the largest share of database users (in percent) a provider's sync may
+ * remove
+ * @param {*} env - Environment bindings
+ * @param {Object} provider - Directory provider
+ * @returns {number} Percentage between 0 and 100
+ */
+function getSyncMaxRemovalPercent(env, provider) {
+  const percent = parseFloat(env[provider.maxRemovalPercentSetting])
+  return Number.isFinite(percent) && percent >= 0
+    ? Math.min(percent, 100)
+    : DEFAULT_SYNC_MAX_REMOVAL_PERCENT
+}
+
+/**
+ * Get the number of users a sync may remove even when they are more than the
+ * maximum removal percentage, from SYNC_MIN_REMOVAL_LIMIT
+ * @param {*} env - Environment bindings
+ * @returns {number} Removal count
+ */
+function getSyncMinRemovalLimit(env) {
+  const limit = parseInt(env.SYNC_MIN_REMOVAL_LIMIT, 10)
+  return Number.isFinite(limit) && limit >= 0
+    ? limit
+    : DEFAULT_SYNC_MIN_REMOVAL_LIMIT
+}
+
+/**
+ * Parse a JSON attribute mapping setting (attribute name => path in the
+ * directory user, e.g. `{"department": "profile.department"}`), dropping
+ * invalid entries
+ * @param {string|Object|undefined} value - Setting value
+ * @param {Object} defaults - Mapping used when the setting is unset or invalid
+ * @param {string} setting - Setting name, for log messages
+ * @returns {Object} Attribute name => user path
+ */
+export function parseAttributeMapping(value, defaults, setting) {
+  if (!value) {
+    return defaults
+  }
+
+  let mapping
+  try {
+    mapping = typeof value === 'string' ? JSON.parse(value) : value
+  } catch (error) {
+    console.error(`Ignoring ${setting}: invalid JSON`)
+    return defaults
+  }
+
+  return Object.fromEntries(
+    Object.entries(mapping || {}).filter(([name, path]) => {
+      if (
+        isValidAttributeName(name) &&
+        typeof path === 'string' &&
+        /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(path)
+      ) {
+        return true
+      }
+      console.error(
+        `Ignoring invalid ${setting} entry:`,
+        sanitizeForLogging(name),
+      )
+      return false
+    }),
+  )
+}
+
+/**
+ * Read the mapped attributes of a directory user. Missing and empty values
+ * are left out; lists are joined with commas.
+ * @param {Object} user - User from the directory API
+ * @param {Object} mapping - Attribute mapping (see parseAttributeMapping)
+ * @returns {Object} Attribute name => string value
+ */
+export function getDirectoryUserAttributes(user, mapping) {
+  const attributes = {}
+  for (const [name, path] of Object.entries(mapping)) {
+    let value = path.split('.').reduce((obj, key) => obj?.[key], user)
+    if (Array.isArray(value)) {
+      value = value.join(', ')
+    }
+    if (value !== null && value !== undefined && typeof value !== 'object') {
+      value = String(value).trim()
+      if (value) {
+        attributes[name] = value
+      }
+    }
+  }
+  return attributes
+}
+
+/**
+ * List the fields of a database user that differ from their directory user
+ * @param {Object} existingUser - users row
+ * @param {Object} user - Directory user
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
+ * @returns {Array<string>} Changed fields
+ */
+export function getChangedFields(existingUser, user, providerName) {
+  const existingAttributes = existingUser.attributes
+    ? JSON.parse(existingUser.attributes)
+    : {}
+  const attributeNames = new Set([
+    ...Object.keys(existingAttributes),
+    ...Object.keys(user.attributes),
+  ])
+
+  return [
+    existingUser.username !== user.username && 'email',
+    existingUser.idp_user_id !== user.id && 'idp_user_id',
+    existingUser.first_name !== user.firstName && 'first_name',
+    existingUser.last_name !== user.lastName && 'last_name',
+    existingUser.primary_email !== user.email && 'primary_email',
+    existingUser.idp_created_at !== (user.created || null) && 'idp_created_at',
+    existingUser.idp_status !== (user.status || null) && 'idp_status',
+    existingUser.idp_provider !== providerName && 'idp_provider',
+    ...[...attributeNames].filter(
+      (name) => existingAttributes[name] !== user.attributes[name],
+    ),
+  ].filter(Boolean)
+}
+
+/**
+ * Get the values bound to INSERT_USER_SQL (and, followed by the row id, to
+ * UPDATE_USER_SQL) for a directory user
+ * @param {Object} user - Directory user
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
+ * @returns {Array} Bind values
+ */
+export function getUserValues(user, providerName) {
+  return [
+    user.username,
+    user.id,
+    user.firstName,
+    user.lastName,
+    user.email,
+    user.created || null,
+    user.status || null,
+    Object.keys(user.attributes).length
+      ? JSON.stringify(user.attributes)
+      : null,
+    providerName,
+  ]
+}
+
+/**
+ * Check whether a directory user still counts as present in the directory
+ * @param {Object} user - Directory user
+ * @returns {boolean} False for deactivated users
+ */
+export function isActiveDirectoryUser(user) {
+  return !INACTIVE_IDP_STATUSES.includes(user.status)
+}
+
+/**
+ * Check whether a database user was synced from a provider, which may then
+ * update or remove them
+ * @param {Object} user - users row
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
+ * @returns {boolean} True if the user belongs to the provider
+ */
+export function isOwnedBy(user, providerName) {
+  return user.idp_provider === providerName
+}
+
+/**
+ * Check whether a provider's sync may match a database user: its own users
+ * and users nobody has claimed yet (who become the provider's on update)
+ * @param {Object} user - users row
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
+ * @returns {boolean} True if the provider may update the user
+ */
+function isClaimableBy(user, providerName) {
+  return !user.idp_provider || isOwnedBy(user, providerName)
+}
+
+/**
+ * Find the database row for a directory user, matching on their directory
+ * user ID first and normalized email second (as syncUsersToDatabase does).
+ * Users synced from another provider or provisioned by SCIM are never
+ * matched; unowned users are (see isClaimableBy).
+ * @param {*} env - Environment bindings including DB
+ * @param {string} providerName - One of DIRECTORY_PROVIDERS
+ * @param {string} idpUserId - Directory user ID
+ * @param {string|null} username - Normalized email, if known
+ * @returns {Promise<Object|null>} users row
+ */
+export async function findDirectoryUser(
+  env,
+  providerName,
+  idpUserId,
+  username,
+) {
+  return env.DB.prepare(
+    `
+    SELECT ${SYNCED_USER_COLUMNS}
+    FROM users
+    WHERE (idp_user_id = ?1 OR username = ?2)
+      AND (idp_provider IS NULL OR idp_provider = ?3)
+    ORDER BY idp_user_id = ?1 DESC
+    LIMIT 1
+  `,
+  )
+    .bind(idpUserId, username, providerName)
+    .first()
+}
+
+/**
+ * Sync directory users to the training database with two-way sync (add,
+ * update, and remove). Users are matched on their immutable directory user ID
+ * first and on their normalized email second, so a renamed login updates the
+ * existing row. Each user's directory status (ACTIVE, SUSPENDED, ...) is
+ * stored for the evaluator. Users no longer in the directory, or deactivated
+ * there, are marked deprovisioned (keeping their training history) and are
+ * restored if a later sync sees them again. A user whose email belongs to a
+ * user synced from another provider or provisioned by SCIM is reported as an
+ * error and skipped.
+ *
+ * A sync of `groupIds` also replaces the recorded members of those groups
+ * (see fetchSyncUsers). When it covers only some of the provider's in-scope
+ * groups, only users whose recorded groups all were synced are removed; users
+ * still covered by another in-scope group are kept.
+ *
+ * Nothing is written when the sync would remove more than the provider's
+ * maximum removal percentage of the users it covers; the results are then
+ * marked `aborted`. With `dryRun` the diff is computed but not applied.
+ * Otherwise the changes that were written are listed in `applied`, in the
+ * same shape as the diff, which leaves out users that failed to write.
+ * @param {*} env - Environment bindings
+ * @param {Object} provider - Directory provider (see directory.js)
+ * @param {Array} directoryUsers - Users from the directory
+ * @param {Object} options - Sync options ({ dryRun, groupIds })
+ * @returns {Object} Sync results, including the add/update/remove diff and
+ *   the changes applied
+ */
+export async function syncUsersToDatabase(
+  env,
+  provider,
+  directoryUsers,
+  options = {},
+) {
+  const dryRun = options.dryRun === true
+  const groupIds = options.groupIds || []
+  const scopeGroupIds = provider.getSyncGroupIds(env)
+  const partialSync =
+    groupIds.length > 0 &&
+    (scopeGroupIds.length === 0 ||
+      scopeGroupIds.some((groupId) => !groupIds.includes(groupId)))
+  const results = {
+    dryRun,
+    aborted: false,
+    added: 0,
+    updated: 0,
+    removed: 0,
+    restored: 0,
+    skipped: 0,
+    errors: [],
+    diff: { add: [], update: [], remove: [], restore: [] },
+    applied: { add: [], update: [], remove: [], restore: [] },
+  }
+
+  try {
+    // Get all existing users from database
+    const existingUsers = await env.DB.prepare(
+      `SELECT ${SYNCED_USER_COLUMNS} FROM users`,
+    ).all()
+
+    const existingUserMap = new Map()
+    const existingIdpMap = new Map()
+    existingUsers.results.forEach((user) => {
+      existingUserMap.set(user.username, user)
+      if (user.idp_user_id && isClaimableBy(user, provider.name)) {
+        existingIdpMap.set(user.idp_user_id, user)
+      }
+    })
+
+    // Database rows matched by a directory user (everything else is
+    // deprovisioned)
+    const matchedUserIds = new Set()
+
+    // Users to write once the removal check below passes
+    const usersToAdd = []
+    const usersToUpdate = []
+    const activeDirectoryUsers = directoryUsers.filter(isActiveDirectoryUser)
+
+    // Categorize users
+    for (const user of activeDirectoryUsers) {
+      try {
+        const existingUser =
+          existingIdpMap.get(user.id) || existingUserMap.get(user.username)
+
+        if (existingUser && !isClaimableBy(existingUser, provider.name)) {
+          results.errors.push(
+            `${user.username}: already synced from ${existingUser.idp_provider}`,
+          )
+        } else if (existingUser) {
+          matchedUserIds.add(existingUser.id)
+
+          // Check if update is needed
+          const changedFields = getChangedFields(
+            existingUser,
+            user,
+            provider.name,
+          )
+
+          if (existingUser.deprovisioned_at) {
+            // Back in the directory (rehire or reactivation): restore the user
+            usersToUpdate.push({
+              ...user,
+              rowId: existingUser.id,
+              restore: true,
+            })
+            results.diff.restore.push(user.username)
+          } else if (changedFields.length > 0) {
+            const change = {
+              email: user.username,
+              previousEmail:
+                existingUser.username !== user.username
+                  ? existingUser.username
+                  : undefined,
+              fields: changedFields,
+            }
+            usersToUpdate.push({ ...user, rowId: existingUser.id, change })
+            results.diff.update.push(change)
+          } else {
+            results.skipped++
+          }
+        } else {
+          usersToAdd.push(user)
+          results.diff.add.push(user.username)
+        }
+      } catch (error) {
+        console.error('Error categorizing user:', user.username, error)
+        results.errors.push(`${user.username}: ${error.message}`)
+      }
+    }
+
+    // Active users the sync covers: the provider's users (unmatched unowned
+    // users are left alone), or on a partial sync those whose recorded groups
+    // were all synced
+    const userGroupIds = partialSync ? await getUserGroupIds(env) : null
+    const activeUsers = existingUsers.results.filter(
+      (user) =>
+        !user.deprovisioned_at &&
+        isOwnedBy(user, provider.name) &&
+        (!partialSync ||
+          (scopeGroupIds.length > 0 &&
+            userGroupIds
+              .get(user.id)
+              ?.every((groupId) => groupIds.includes(groupId)))),
+    )
+    // ...that no longer exist in the directory
+    const usersToRemove = activeUsers.filter(
+      (user) => !matchedUserIds.has(user.id),
+    )
+    results.diff.remove = usersToRemove.map((user) => user.username)
+
+    // Refuse to apply a sync that would deprovision a large part of the
+    // users (bad token scope, wrong group, partial listing), unless it
+    // removes no more than the minimum removal limit
+    const maxRemovalPercent = getSyncMaxRemovalPercent(env, provider)
+    const removalPercent = activeUsers.length
+      ? (usersToRemove.length / activeUsers.length) * 100
+      : 0
+    if (
+      removalPercent > maxRemovalPercent &&
+      usersToRemove.length > getSyncMinRemovalLimit(env)
+    ) {
+      results.aborted = true
+      results.errors.push(
+        `Sync aborted: it would remove ${usersToRemove.length} of ${activeUsers.length} users (${removalPercent.toFixed(1)}%), above the ${maxRemovalPercent}% limit set by ${provider.maxRemovalPercentSetting} and the ${getSyncMinRemovalLimit(env)} users allowed by SYNC_MIN_REMOVAL_LIMIT`,
+      )
+      return results
+    }
+
+    if (dryRun) {
+      results.added = usersToAdd.length
+      results.updated = results.diff.update.length
+      results.restored = results.diff.restore.length
+      results.removed = usersToRemove.length
+      return results
+    }
+
+    // Write each user separately, so a row that fails (e.g. a username
+    // taken by another row) is reported without stopping the others
+    const insertStmt = env.DB.prepare(INSERT_USER_SQL)
+    for (const user of usersToAdd) {
+      try {
+        await insertStmt.bind(...getUserValues(user, provider.name)).run()
+        results.added++
+        results.applied.add.push(user.username)
+        console.log(
+          `Added new user: ${user.username} (${user.firstName} - ${user.email})`,
+        )
+      } catch (error) {
+        console.error('Error adding user:', user.username, error)
+        results.errors.push(`${user.username}: ${error.message}`)
+      }
+    }
+
+    const updateStmt = env.DB.prepare(UPDATE_USER_SQL)
+    for (const user of usersToUpdate) {
+      try {
+        await updateStmt
+          .bind(...getUserValues(user, provider.name), user.rowId)
+          .run()
+        if (user.restore) {
+          results.restored++
+          results.applied.restore.push(user.username)
+          console.log('Restored deprovisioned user:', user.username)
+        } else {
+          results.updated++
+          results.applied.update.push(user.change)
+          console.log('Updated user details for:', user.username)
+        }
+      } catch (error) {
+        console.error('Error updating user:', user.username, error)
+        results.errors.push(`${user.username}: ${error.message}`)
+      }
+    }
+
+    // Deprovision users that no longer exist in the directory;
+    // purgeDeprovisionedUsers deletes them once the retention period has
+    // passed
+    const deprovisionStmt = env.DB.prepare(DEPROVISION_USER_SQL)
+    for (const user of usersToRemove) {
+      try {
+        const deprovisionResult = await deprovisionStmt.bind(user.id).run()
+        const changes =
+          deprovisionResult.changes || deprovisionResult.meta?.changes || 0
+        if (changes > 0) {
+          results.removed++
+          results.applied.remove.push(user.username)
+          console.log(
+            `Deprovisioned user no longer in ${provider.label}:`,
+            user.username,
+          )
+        }
+      } catch (error) {
+        console.error('Error deprovisioning user:', user.username, error)
+        results.errors.push(`${user.username}: ${error.message}`)
+      }
+    }
+
+    // Replace the recorded members of the synced groups; a full sync also
+    // forgets the provider's users' groups that are no longer in scope
+    try {
+      const membershipStmts = groupIds.map((groupId) =>
+        env.DB.prepare('DELETE FROM user_groups WHERE group_id = ?').bind(
+          groupId,
+        ),
+      )
+      if (!partialSync) {
+        membershipStmts.push(
+          env.DB.prepare(
+            `
+            DELETE FROM user_groups
+            WHERE group_id NOT IN (${scopeGroupIds.map(() => '?').join(', ')})
+              AND user_id IN (SELECT id FROM users WHERE idp_provider = ?)
+          `,
+          ).bind(...scopeGroupIds, provider.name),
+        )
+      }
+      const insertGroupStmt = env.DB.prepare(INSERT_USER_GROUP_SQL)
+      for (const user of activeDirectoryUsers) {
+        for (const group of user.groups || []) {
+          membershipStmts.push(
+            insertGroupStmt.bind(
+              group.id,
+              group.name,
+              user.username,
+              provider.name,
+            ),
+          )
+        }
+      }
+      if (membershipStmts.length > 0) {
+        await env.DB.batch(membershipStmts)
+      }
+    } catch (error) {
+      console.error('Error updating group memberships:', error)
+      results.errors.push(`Group memberships: ${error.message}`)
+    }
+  } catch (error) {
+    console.error('Error during sync process:', error)
+    results.errors.push(`Sync process: ${error.message}`)
+  }
+
+  return results
+}
+
+/**
+ * Fetch the users a sync covers: every directory user, or the members of the
+ * given groups (a user in several groups is returned once, with all their
+ * `groups`)
+ * @param {*} env - Environment bindings
+ * @param {Object} provider - Directory provider
+ * @param {Array<string>} groupIds - Group IDs (empty = all users)
+ * @returns {Promise<Array>} Directory users
+ */
+async function fetchSyncUsers(env, provider, groupIds) {
+  if (groupIds.length === 0) {
+    console.log(`Syncing all users from ${provider.label}`)
+    return provider.fetchUsers(env)
+  }
+
+  console.log(
+    `Syncing users from ${provider.label} groups:`,
+    groupIds.join(','),
+  )
+  const usersById = new Map()
+  for (const groupId of groupIds) {
+    const group = await provider.fetchGroup(env, groupId)
+    for (const user of await provider.fetchGroupUsers(env, groupId)) {
+      const synced = usersById.get(user.id) || { ...user, groups: [] }
+      synced.groups.push(group)
+      usersById.set(user.id, synced)
+    }
+  }
+  return [...usersById.values()]
+}
+
+/**
+ * Fetch users from a directory and sync them to the database, recording the
+ * run in the sync_runs table (dry runs are not recorded). Nothing is synced
+ * when the directory returns no users.
+ * @param {*} env - Environment bindings
+ * @param {Object} provider - Directory provider (see directory.js)
+ * @param {Object} options - `trigger` (see SYNC_TRIGGERS), `groupIds`
+ *   (defaults to the provider's in-scope groups) and `dryRun`
+ * @returns {Promise<Object>} `results` from syncUsersToDatabase (null when
+ *   the directory returned no users) and the number of `directoryUsers`
+ *   fetched
+ */
+export async function runDirectorySync(env, provider, options = {}) {
+  const {
+    trigger = SYNC_TRIGGERS.MANUAL,
+    groupIds = provider.getSyncGroupIds(env),
+    dryRun = false,
+  } = options
+  const runId = dryRun
+    ? null
+    : await startSyncRun(env, provider.name, trigger, groupIds)
+
+  let directoryUsers
+  let results = null
+  try {
+    directoryUsers = await fetchSyncUsers(env, provider, groupIds)
+    if (directoryUsers.length > 0) {
+      results = await syncUsersToDatabase(env, provider, directoryUsers, {
+        dryRun,
+        groupIds,
+      })
+    }
+  } catch (error) {
+    if (runId) {
+      await finishSyncRun(env, runId, { error: error.message })
+    }
+    throw error
+  }
+
+  if (runId) {
+    await finishSyncRun(env, runId, {
+      results: results || { errors: [] },
+      directoryUsers: directoryUsers.length,
+    })
+  }
+
+  provider.log(
+    'sync',
+    !results || !results.aborted,
+    {
+      trigger,
+      dryRun,
+      directoryUsers: directoryUsers.length,
+      usersSynced: dryRun || !results ? 0 : results.added + results.updated,
+    },
+    env,
+  )
+
+  return { results, directoryUsers: directoryUsers.length }
+}
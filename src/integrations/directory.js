@@ -0,0 +1,111 @@
+/**
+ * Directory providers
+ *
+ * Each identity directory users can be synced from is described by a provider
+ * object, so that the sync engine (directory-sync.js), the sync routes and the
+ * cron trigger treat Okta, Microsoft Entra ID and Google Workspace the same way:
+ *
+ * - `name` and `label`: provider name (see DIRECTORY_PROVIDERS) and display
+ *   name
+ * - `syncGroupIdsSetting` and `maxRemovalPercentSetting`: names of the
+ *   settings that scope the sync and cap its removals
+ * - `isConfigured(env)` and `getRequiredSettings(env)`
+ * - `getSyncGroupIds(env)`: in-scope group IDs (empty = every user)
+ * - `fetchUsers(env)`, `fetchGroupUsers(env, groupId)`,
+ *   `fetchGroup(env, groupId)` and `fetchGroups(env)`
+ * - `log(operation, success, details, env)`: logs and counts API operations
+ */
+
+import { DIRECTORY_PROVIDERS } from './directory-sync.js'
+import {
+  fetchOktaUsers,
+  fetchOktaGroupUsers,
+  fetchOktaGroup,
+  fetchOktaGroups,
+  getSyncGroupIds,
+} from './okta.js'
+import { isOktaConfigured, getOktaRequiredSettings } from './okta-auth.js'
+import {
+  fetchEntraUsers,
+  fetchEntraGroupUsers,
+  fetchEntraGroup,
+  fetchEntraGroups,
+  getEntraSyncGroupIds,
+} from './entra.js'
+import { isEntraConfigured, getEntraRequiredSettings } from './entra-auth.js'
+import {
+  fetchGoogleUsers,
+  fetchGoogleGroupUsers,
+  fetchGoogleGroup,
+  fetchGoogleGroups,
+  getGoogleSyncGroupIds,
+} from './google.js'
+import { isGoogleConfigured, getGoogleRequiredSettings } from './google-auth.js'
+import { logOkta, logEntra, logGoogle } from '../utils/logging.js'
+
+const PROVIDERS = {
+  [DIRECTORY_PROVIDERS.OKTA]: {
+    name: DIRECTORY_PROVIDERS.OKTA,
+    label: 'Okta',
+    syncGroupIdsSetting: 'OKTA_SYNC_GROUP_IDS',
+    maxRemovalPercentSetting: 'OKTA_SYNC_MAX_REMOVAL_PERCENT',
+    isConfigured: isOktaConfigured,
+    getRequiredSettings: getOktaRequiredSettings,
+    getSyncGroupIds,
+    fetchUsers: fetchOktaUsers,
+    fetchGroupUsers: fetchOktaGroupUsers,
+    fetchGroup: fetchOktaGroup,
+    fetchGroups: fetchOktaGroups,
+    log: logOkta,
+  },
+  [DIRECTORY_PROVIDERS.ENTRA]: {
+    name: DIRECTORY_PROVIDERS.ENTRA,
+    label: 'Microsoft Entra ID',
+    syncGroupIdsSetting: 'ENTRA_SYNC_GROUP_IDS',
+    maxRemovalPercentSetting: 'ENTRA_SYNC_MAX_REMOVAL_PERCENT',
+    isConfigured: isEntraConfigured,
+    getRequiredSettings: getEntraRequiredSettings,
+    getSyncGroupIds: getEntraSyncGroupIds,
+    fetchUsers: fetchEntraUsers,
+    fetchGroupUsers: fetchEntraGroupUsers,
+    fetchGroup: fetchEntraGroup,
+    fetchGroups: fetchEntraGroups,
+    log: logEntra,
+  },
+  [DIRECTORY_PROVIDERS.GOOGLE]: {
+    name: DIRECTORY_PROVIDERS.GOOGLE,
+    label: 'Google Workspace',
+    syncGroupIdsSetting: 'GOOGLE_SYNC_GROUP_IDS',
+    maxRemovalPercentSetting: 'GOOGLE_SYNC_MAX_REMOVAL_PERCENT',
+    isConfigured: isGoogleConfigured,
+    getRequiredSettings: getGoogleRequiredSettings,
+    getSyncGroupIds: getGoogleSyncGroupIds,
+    fetchUsers: fetchGoogleUsers,
+    fetchGroupUsers: fetchGoogleGroupUsers,
+    fetchGroup: fetchGoogleGroup,
+    fetchGroups: fetchGoogleGroups,
+    log: logGoogle,
+  },
+}
+
+export { DIRECTORY_PROVIDERS }
+
+/**
+ * Get a directory provider by name
+ * @param {string} name - One of DIRECTORY_PROVIDERS
+ * @returns {Object|null} Provider, or null if unknown
+ */
+export function getDirectoryProvider(name) {
+  return PROVIDERS[name] || null
+}
+
+/**
+ * Get the directory providers that have their settings configured
+ * @param {*} env - Environment bindings
+ * @returns {Array<Object>} Configured providers
+ */
+export function getConfiguredDirectoryProviders(env) {
+  return Object.values(PROVIDERS).filter((provider) =>
+    provider.isConfigured(env),
+  )
+}
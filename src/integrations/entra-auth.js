@@ -0,0 +1,101 @@
+/**
+ * Microsoft Entra ID (Microsoft Graph) API authentication
+ *
+ * Graph requests are authorized with an app-only access token that the
+ * Worker gets from the tenant's token endpoint with the OAuth 2.0 client
+ * credentials grant, using the app registration's client ID and secret.
+ */
+
+import { isValidEntraTenantId } from '../utils/validation.js'
+import { clearCache, CACHE_CONFIG } from '../utils/cache.js'
+import { getCachedAccessToken } from './directory-http.js'
+
+// Application permissions granted to the app registration are all requested
+// through the Graph resource's default scope
+const GRAPH_DEFAULT_SCOPE = 'https://graph.microsoft.com/.default'
+
+/**
+ * Check whether the Entra integration has a tenant and client credentials
+ * @param {*} env - Environment bindings
+ * @returns {boolean} True if Graph API calls can be made
+ */
+export function isEntraConfigured(env) {
+  return Boolean(
+    env.ENTRA_TENANT_ID && env.ENTRA_CLIENT_ID && env.ENTRA_CLIENT_SECRET,
+  )
+}
+
+/**
+ * Describe the settings the Entra integration needs
+ * @returns {string} Required settings, for configuration error messages
+ */
+export function getEntraRequiredSettings() {
+  return 'ENTRA_TENANT_ID, ENTRA_CLIENT_ID and ENTRA_CLIENT_SECRET'
+}
+
+/**
+ * Get the cache key of the access token for the configured app registration
+ * @param {*} env - Environment bindings
+ * @returns {string} Cache key
+ */
+function getTokenCacheKey(env) {
+  return `${CACHE_CONFIG.ENTRA_ACCESS_TOKEN.key}_${env.ENTRA_TENANT_ID}_${env.ENTRA_CLIENT_ID}`
+}
+
+/**
+ * Get a Graph access token for the app registration, from cache while it is
+ * valid
+ * @param {*} env - Environment bindings
+ * @returns {Promise<string>} Access token
+ */
+function getEntraAccessToken(env) {
+  return getCachedAccessToken(
+    getTokenCacheKey(env),
+    CACHE_CONFIG.ENTRA_ACCESS_TOKEN,
+    'Entra',
+    () => {
+      if (!isValidEntraTenantId(env.ENTRA_TENANT_ID)) {
+        throw new Error('Invalid ENTRA_TENANT_ID format')
+      }
+
+      return fetch(
+        `https://login.microsoftonline.com/${env.ENTRA_TENANT_ID}/oauth2/v2.0/token`,
+        {
+          method: 'POST',
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+          body: new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: env.ENTRA_CLIENT_ID,
+            client_secret: env.ENTRA_CLIENT_SECRET,
+            scope: GRAPH_DEFAULT_SCOPE,
+          }),
+        },
+      )
+    },
+  )
+}
+
+/**
+ * Forget the cached access token, e.g. after Graph rejected it
+ * @param {*} env - Environment bindings
+ */
+export function clearEntraAccessToken(env) {
+  clearCache(getTokenCacheKey(env))
+}
+
+/**
+ * Build the fetch options (auth and content headers) for Graph API requests
+ * @param {*} env - Environment bindings
+ * @returns {Promise<Object>} Fetch options
+ */
+export async function getEntraRequestOptions(env) {
+  return {
+    headers: {
+      Authorization: `Bearer ${await getEntraAccessToken(env)}`,
+      Accept: 'application/json',
+    },
+  }
+}
@@ -0,0 +1,409 @@
+/**
+ * Microsoft Entra ID (Microsoft Graph) integration for user management
+ *
+ * The app registration needs the User.Read.All and GroupMember.Read.All
+ * application permissions (with admin consent).
+ */
+
+import {
+  isValidEntraTenantId,
+  isValidGroupId,
+  normalizeEmail,
+  sanitizeForLogging,
+} from '../utils/validation.js'
+import { CACHE_CONFIG } from '../utils/cache.js'
+import { logEntra, logPerformance } from '../utils/logging.js'
+import {
+  getEntraRequestOptions,
+  clearEntraAccessToken,
+  isEntraConfigured,
+  getEntraRequiredSettings,
+} from './entra-auth.js'
+import {
+  getDirectoryUserAttributes,
+  parseAttributeMapping,
+} from './directory-sync.js'
+import {
+  createFetchStats,
+  fetchPages,
+  fetchWithRetry,
+  getMaxPages,
+  getMaxRetries,
+} from './directory-http.js'
+
+const GRAPH_API_URL = 'https://graph.microsoft.com/v1.0'
+
+// Graph's maximum page size for the users, groups and members APIs
+const MAX_GRAPH_PAGE_SIZE = 999
+
+// Graph user properties always read by the sync
+const GRAPH_USER_PROPERTIES = [
+  'id',
+  'userPrincipalName',
+  'mail',
+  'givenName',
+  'surname',
+  'accountEnabled',
+  'createdDateTime',
+]
+
+// Graph user fields stored in users.attributes when ENTRA_ATTRIBUTE_MAPPING is
+// not set (attribute name => path in the Graph user object)
+const DEFAULT_ENTRA_ATTRIBUTE_MAPPING = {
+  department: 'department',
+  title: 'jobTitle',
+  costCenter: 'employeeOrgData.costCenter',
+}
+
+// Status stored for users whose account is disabled (accountEnabled false).
+// It is not in the default OKTA_ALLOWED_STATUSES, so they are denied access.
+const DISABLED_ENTRA_STATUS = 'DISABLED'
+
+/**
+ * Check the configuration needed before calling Graph
+ * @param {*} env - Environment bindings
+ */
+function assertEntraConfigured(env) {
+  if (!isEntraConfigured(env)) {
+    throw new Error(
+      `Entra configuration missing: ${getEntraRequiredSettings()} required`,
+    )
+  }
+
+  if (!isValidEntraTenantId(env.ENTRA_TENANT_ID)) {
+    throw new Error('Invalid ENTRA_TENANT_ID format')
+  }
+}
+
+/**
+ * Fetch from the Graph API, retrying throttled (429) and 5xx responses (see
+ * fetchWithRetry)
+ * @param {*} env - Environment bindings
+ * @param {string} url - Request URL
+ * @param {Object} stats - Counters updated in place (see createFetchStats)
+ * @returns {Promise<Response>} Final response (may still be an error)
+ */
+function graphFetch(env, url, stats) {
+  return fetchWithRetry(url, {
+    label: 'Graph API',
+    getRequestOptions: () => getEntraRequestOptions(env),
+    clearAccessToken: () => clearEntraAccessToken(env),
+    maxRetries: getMaxRetries(env, 'ENTRA_MAX_RETRIES'),
+    stats,
+  })
+}
+
+/**
+ * Fetch every page of a Graph listing by following its @odata.nextLink, up
+ * to ENTRA_MAX_PAGES pages (see fetchPages)
+ * @param {*} env - Environment bindings
+ * @param {string} path - API path including query string, e.g. /users?$top=999
+ * @param {string|null} cacheKey - Cache key for the aggregated result
+ * @param {number} ttlSeconds - Cache TTL in seconds
+ * @returns {Promise<Object>} { items, pages, cacheUsed, retries,
+ *   rateLimitWaits, rateLimitWaitMs }
+ */
+function fetchGraphPages(env, path, cacheKey = null, ttlSeconds = 0) {
+  return fetchPages(`${GRAPH_API_URL}${path}`, {
+    label: 'Graph API',
+    maxPages: getMaxPages(env, 'ENTRA_MAX_PAGES'),
+    maxPagesSetting: 'ENTRA_MAX_PAGES',
+    fetchPage: (url, stats) => graphFetch(env, url, stats),
+    readPage: async (response) => {
+      const body = await response.json()
+      return { items: body.value || [], nextUrl: body['@odata.nextLink'] }
+    },
+    cacheKey,
+    ttlSeconds,
+  })
+}
+
+/**
+ * Get the Graph user fields stored as user attributes, from the
+ * ENTRA_ATTRIBUTE_MAPPING JSON object of attribute names to paths in the
+ * Graph user (e.g. `{"department": "department", "office": "officeLocation"}`)
+ * @param {*} env - Environment bindings
+ * @returns {Object} Attribute name => Graph user path
+ */
+export function getEntraAttributeMapping(env) {
+  return parseAttributeMapping(
+    env.ENTRA_ATTRIBUTE_MAPPING,
+    DEFAULT_ENTRA_ATTRIBUTE_MAPPING,
+    'ENTRA_ATTRIBUTE_MAPPING',
+  )
+}
+
+/**
+ * Build the $select list for user listings: the properties the sync needs
+ * plus the top-level property of every mapped attribute
+ * @param {*} env - Environment bindings
+ * @returns {string} Comma-separated property names
+ */
+function getUserSelect(env) {
+  const properties = new Set(GRAPH_USER_PROPERTIES)
+  for (const path of Object.values(getEntraAttributeMapping(env))) {
+    properties.add(path.split('.')[0])
+  }
+  return [...properties].join(',')
+}
+
+/**
+ * Map Graph users to sync users, dropping those without a valid email. Users
+ * are keyed on their mail address, or their user principal name when they
+ * have none.
+ * @param {Array} users - Users from the Graph API
+ * @param {*} env - Environment bindings
+ * @returns {Array} Users keyed on their normalized email
+ */
+function mapEntraUsers(users, env) {
+  const mapping = getEntraAttributeMapping(env)
+  return users
+    .map((user) => {
+      try {
+        const email = user.mail || user.userPrincipalName
+        return {
+          id: user.id,
+          username: normalizeEmail(email), // Identity key: normalized full email
+          email,
+          firstName: user.givenName || '',
+          lastName: user.surname || '',
+          status:
+            user.accountEnabled === false ? DISABLED_ENTRA_STATUS : 'ACTIVE',
+          created: user.createdDateTime,
+          attributes: getDirectoryUserAttributes(user, mapping),
+        }
+      } catch (error) {
+        console.error(
+          'Invalid user data for user:',
+          sanitizeForLogging(user.userPrincipalName),
+          'Error:',
+          error.message,
+        )
+        return null
+      }
+    })
+    .filter((user) => user !== null)
+}
+
+/**
+ * Fetch all users from the Entra tenant, following pagination
+ * @param {*} env - Environment bindings
+ * @returns {Array} List of Entra users
+ */
+export async function fetchEntraUsers(env) {
+  const startTime = Date.now()
+
+  try {
+    assertEntraConfigured(env)
+
+    const cacheKey = `${CACHE_CONFIG.ENTRA_USERS.key}_${env.ENTRA_TENANT_ID}`
+    const {
+      items: users,
+      pages,
+      cacheUsed,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchGraphPages(
+      env,
+      `/users?$select=${getUserSelect(env)}&$top=${MAX_GRAPH_PAGE_SIZE}`,
+      cacheKey,
+      CACHE_CONFIG.ENTRA_USERS.ttl,
+    )
+
+    const processedUsers = mapEntraUsers(users, env)
+
+    logPerformance('fetchEntraUsers', startTime, env)
+    logEntra(
+      'fetchUsers',
+      true,
+      {
+        usersCount: processedUsers.length,
+        rawUsersCount: users.length,
+        pages,
+        cacheUsed,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
+      },
+      env,
+    )
+
+    return processedUsers
+  } catch (error) {
+    logEntra(
+      'fetchUsers',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
+    throw error
+  }
+}
+
+/**
+ * Fetch the users of an Entra group, including members of nested groups
+ * (transitive membership), following pagination
+ * @param {*} env - Environment bindings
+ * @param {string} groupId - Entra group object ID
+ * @returns {Array} List of users in the group
+ */
+export async function fetchEntraGroupUsers(env, groupId) {
+  try {
+    assertEntraConfigured(env)
+
+    if (!isValidGroupId(groupId)) {
+      throw new Error('Invalid group ID format')
+    }
+
+    const {
+      items: members,
+      pages,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchGraphPages(
+      env,
+      `/groups/${groupId}/transitiveMembers?$select=${getUserSelect(env)}&$top=${MAX_GRAPH_PAGE_SIZE}`,
+    )
+
+    // Members also include nested groups, devices and service principals
+    const users = members.filter(
+      (member) => member['@odata.type'] === '#microsoft.graph.user',
+    )
+    logEntra(
+      'fetchGroupUsers',
+      true,
+      {
+        groupId,
+        usersCount: users.length,
+        pages,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
+      },
+      env,
+    )
+
+    return mapEntraUsers(users, env)
+  } catch (error) {
+    console.error('Error fetching Entra group users:', error)
+    logEntra(
+      'fetchGroupUsers',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
+    throw error
+  }
+}
+
+/**
+ * Get the Entra groups that define who is synced, from the comma-separated
+ * ENTRA_SYNC_GROUP_IDS variable (empty = every Entra user)
+ * @param {*} env - Environment bindings
+ * @returns {Array<string>} Valid group IDs
+ */
+export function getEntraSyncGroupIds(env) {
+  return String(env.ENTRA_SYNC_GROUP_IDS || '')
+    .split(',')
+    .map((groupId) => groupId.trim())
+    .filter((groupId) => {
+      if (groupId && !isValidGroupId(groupId)) {
+        console.error('Ignoring invalid group ID in ENTRA_SYNC_GROUP_IDS')
+        return false
+      }
+      return groupId !== ''
+    })
+}
+
+/**
+ * Fetch a single Entra group
+ * @param {*} env - Environment bindings
+ * @param {string} groupId - Entra group object ID
+ * @returns {Promise<Object>} Group ID and name
+ */
+export async function fetchEntraGroup(env, groupId) {
+  assertEntraConfigured(env)
+
+  if (!isValidGroupId(groupId)) {
+    throw new Error('Invalid group ID format')
+  }
+
+  const stats = createFetchStats()
+  const response = await graphFetch(
+    env,
+    `${GRAPH_API_URL}/groups/${groupId}?$select=id,displayName`,
+    stats,
+  )
+  logEntra('fetchGroup', response.ok, { groupId, ...stats }, env)
+
+  if (!response.ok) {
+    throw new Error(
+      `Graph API error: ${response.status} ${response.statusText}`,
+    )
+  }
+
+  const group = await response.json()
+  return { id: group.id, name: group.displayName || group.id }
+}
+
+/**
+ * Get all Entra groups (useful for finding group IDs), following pagination
+ * @param {*} env - Environment bindings
+ * @returns {Array} List of Entra groups
+ */
+export async function fetchEntraGroups(env) {
+  try {
+    assertEntraConfigured(env)
+
+    const cacheKey = `${CACHE_CONFIG.ENTRA_GROUPS.key}_${env.ENTRA_TENANT_ID}`
+    const {
+      items: groups,
+      pages,
+      cacheUsed,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchGraphPages(
+      env,
+      `/groups?$select=id,displayName,description,groupTypes,securityEnabled,createdDateTime&$top=${MAX_GRAPH_PAGE_SIZE}`,
+      cacheKey,
+      CACHE_CONFIG.ENTRA_GROUPS.ttl,
+    )
+    logEntra(
+      'fetchGroups',
+      true,
+      {
+        groupsCount: groups.length,
+        pages,
+        cacheUsed,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
+      },
+      env,
+    )
+
+    return groups.map((group) => ({
+      id: group.id,
+      name: group.displayName,
+      description: group.description,
+      type: group.groupTypes?.includes('Unified')
+        ? 'MICROSOFT_365'
+        : group.securityEnabled
+          ? 'SECURITY'
+          : 'DISTRIBUTION',
+      created: group.createdDateTime,
+    }))
+  } catch (error) {
+    console.error('Error fetching Entra groups:', error)
+    logEntra(
+      'fetchGroups',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
+    throw error
+  }
+}
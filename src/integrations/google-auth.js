@@ -0,0 +1,172 @@
+/**
+ * Google Workspace (Admin SDK Directory API) authentication
+ *
+ * Directory API requests are authorized with an access token for a service
+ * account with domain-wide delegation. The Worker signs a JWT assertion with
+ * the service account's private key (from its JSON key file) that impersonates
+ * a Workspace administrator, and exchanges it at Google's token endpoint.
+ */
+
+import { base64url, signRs256Jwt } from '../utils/encoding.js'
+import { clearCache, CACHE_CONFIG } from '../utils/cache.js'
+import { getCachedAccessToken } from './directory-http.js'
+
+// Token endpoint the assertion is exchanged at (and its audience). The
+// token_uri of the key file is not used, so a tampered key cannot redirect
+// the signed assertion elsewhere.
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token'
+
+// Read-only Directory API scopes, which must also be granted to the service
+// account's client ID under domain-wide delegation
+const GOOGLE_DIRECTORY_SCOPES = [
+  'https://www.googleapis.com/auth/admin.directory.user.readonly',
+  'https://www.googleapis.com/auth/admin.directory.group.readonly',
+].join(' ')
+
+// Lifetime of the JWT assertion (Google accepts at most one hour)
+const ASSERTION_TTL_SECONDS = 60 * 60
+
+/**
+ * Check whether the Google integration has a service account key and an
+ * administrator to impersonate
+ * @param {*} env - Environment bindings
+ * @returns {boolean} True if Directory API calls can be made
+ */
+export function isGoogleConfigured(env) {
+  return Boolean(env.GOOGLE_SERVICE_ACCOUNT_KEY && env.GOOGLE_ADMIN_EMAIL)
+}
+
+/**
+ * Describe the settings the Google integration needs
+ * @returns {string} Required settings, for configuration error messages
+ */
+export function getGoogleRequiredSettings() {
+  return 'GOOGLE_SERVICE_ACCOUNT_KEY and GOOGLE_ADMIN_EMAIL'
+}
+
+/**
+ * Read the service account's JSON key file and import its private key (PKCS#8
+ * PEM) for signing assertions
+ * @param {*} env - Environment bindings
+ * @returns {Promise<Object>} Client email, key ID and private key
+ */
+async function loadGoogleServiceAccountKey(env) {
+  try {
+    const key = JSON.parse(env.GOOGLE_SERVICE_ACCOUNT_KEY)
+    if (!key.client_email || !key.private_key) {
+      throw new Error('client_email and private_key are required')
+    }
+
+    const pem = key.private_key
+      .replace(/-----(BEGIN|END) PRIVATE KEY-----/g, '')
+      .replace(/\s/g, '')
+    const privateKey = await crypto.subtle.importKey(
+      'pkcs8',
+      base64url.parse(pem),
+      {
+        name: 'RSASSA-PKCS1-v1_5',
+        hash: 'SHA-256',
+      },
+      false,
+      ['sign'],
+    )
+    return {
+      clientEmail: key.client_email,
+      kid: key.private_key_id,
+      privateKey,
+    }
+  } catch (e) {
+    console.log(
+      'Failed to parse or import Google service account key from secret:',
+      e,
+    )
+    throw new Error('invalid GOOGLE_SERVICE_ACCOUNT_KEY secret format')
+  }
+}
+
+/**
+ * Sign the JWT assertion that requests a token on behalf of the
+ * administrator in GOOGLE_ADMIN_EMAIL
+ * @param {*} env - Environment bindings
+ * @returns {Promise<string>} Signed JWT
+ */
+async function createAssertion(env) {
+  const { clientEmail, kid, privateKey } =
+    await loadGoogleServiceAccountKey(env)
+  const now = Math.floor(Date.now() / 1000)
+
+  const payload = {
+    iss: clientEmail,
+    sub: env.GOOGLE_ADMIN_EMAIL,
+    scope: GOOGLE_DIRECTORY_SCOPES,
+    aud: GOOGLE_TOKEN_URL,
+    iat: now,
+    exp: now + ASSERTION_TTL_SECONDS,
+  }
+  return signRs256Jwt(payload, privateKey, { typ: 'JWT', kid })
+}
+
+/**
+ * Get the cache key of the access token for the configured service account
+ * key and administrator, so a token issued before the key was replaced or
+ * rotated is not reused
+ * @param {*} env - Environment bindings
+ * @returns {string} Cache key
+ */
+function getTokenCacheKey(env) {
+  let key = null
+  try {
+    key = JSON.parse(env.GOOGLE_SERVICE_ACCOUNT_KEY)
+  } catch (e) {
+    // Reported by loadGoogleServiceAccountKey when the token is requested
+  }
+  return `${CACHE_CONFIG.GOOGLE_ACCESS_TOKEN.key}_${key?.client_email}_${key?.private_key_id}_${env.GOOGLE_ADMIN_EMAIL}`
+}
+
+/**
+ * Get a Directory API access token, from cache while it is valid
+ * @param {*} env - Environment bindings
+ * @returns {Promise<string>} Access token
+ */
+function getGoogleAccessToken(env) {
+  return getCachedAccessToken(
+    getTokenCacheKey(env),
+    CACHE_CONFIG.GOOGLE_ACCESS_TOKEN,
+    'Google',
+    async () =>
+      fetch(GOOGLE_TOKEN_URL, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion: await createAssertion(env),
+        }),
+      }),
+  )
+}
+
+/**
+ * Forget the cached access token, e.g. after Google rejected it
+ * @param {*} env - Environment bindings
+ */
+export function clearGoogleAccessToken(env) {
+  clearCache(getTokenCacheKey(env))
+}
+
+/**
+ * Build the fetch options (auth and content headers) for Directory API
+ * requests
+ * @param {*} env - Environment bindings
+ * @returns {Promise<Object>} Fetch options
+ */
+export async function getGoogleRequestOptions(env) {
+  return {
+    headers: {
+      Authorization: `Bearer ${await getGoogleAccessToken(env)}`,
+      Accept: 'application/json',
+    },
+  }
+}
@@ -0,0 +1,531 @@
+/**
+ * Google Workspace (Admin SDK Directory API) integration for user management
+ *
+ * The service account needs domain-wide delegation for the
+ * admin.directory.user.readonly and admin.directory.group.readonly scopes,
+ * and GOOGLE_ADMIN_EMAIL must be an administrator allowed to read users and
+ * groups.
+ */
+
+import {
+  isValidEmail,
+  isValidGroupId,
+  isValidGoogleCustomerId,
+  isValidGoogleOrgUnitPath,
+  normalizeEmail,
+  sanitizeForLogging,
+} from '../utils/validation.js'
+import { getCached, setCache, CACHE_CONFIG } from '../utils/cache.js'
+import { logGoogle, logPerformance } from '../utils/logging.js'
+import {
+  getGoogleRequestOptions,
+  clearGoogleAccessToken,
+  isGoogleConfigured,
+  getGoogleRequiredSettings,
+} from './google-auth.js'
+import {
+  getDirectoryUserAttributes,
+  parseAttributeMapping,
+} from './directory-sync.js'
+import {
+  createFetchStats,
+  fetchPages,
+  fetchWithRetry,
+  getMaxPages,
+  getMaxRetries,
+} from './directory-http.js'
+
+const DIRECTORY_API_URL = 'https://admin.googleapis.com/admin/directory/v1'
+
+// Directory API maximum page sizes
+const MAX_USERS_PAGE_SIZE = 500
+const MAX_MEMBERS_PAGE_SIZE = 200
+const MAX_GROUPS_PAGE_SIZE = 200
+
+// Customer alias for the account the administrator belongs to
+const DEFAULT_GOOGLE_CUSTOMER_ID = 'my_customer'
+
+// Directory API user fields always read by the sync
+const GOOGLE_USER_FIELDS = [
+  'id',
+  'primaryEmail',
+  'name',
+  'suspended',
+  'archived',
+  'creationTime',
+]
+
+// Directory API user fields stored in users.attributes when
+// GOOGLE_ATTRIBUTE_MAPPING is not set (attribute name => path in the
+// Directory API user object)
+const DEFAULT_GOOGLE_ATTRIBUTE_MAPPING = {
+  department: 'organizations.0.department',
+  title: 'organizations.0.title',
+  costCenter: 'organizations.0.costCenter',
+  orgUnit: 'orgUnitPath',
+}
+
+// Statuses stored for suspended and archived users. They are not in the
+// default OKTA_ALLOWED_STATUSES, so those users are denied access.
+const SUSPENDED_GOOGLE_STATUS = 'SUSPENDED'
+const ARCHIVED_GOOGLE_STATUS = 'ARCHIVED'
+
+// 403 reasons the Directory API uses for rate limits and quotas
+const GOOGLE_RATE_LIMIT_REASONS = [
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'quotaExceeded',
+]
+
+// Backoff before the first retry, doubled (with jitter) on each attempt
+const GOOGLE_BACKOFF_BASE_MS = 1000
+
+/**
+ * Get the Workspace customer whose users and groups are listed
+ * @param {*} env - Environment bindings
+ * @returns {string} Customer ID
+ */
+function getGoogleCustomerId(env) {
+  return env.GOOGLE_CUSTOMER_ID || DEFAULT_GOOGLE_CUSTOMER_ID
+}
+
+/**
+ * Check the configuration needed before calling the Directory API
+ * @param {*} env - Environment bindings
+ */
+function assertGoogleConfigured(env) {
+  if (!isGoogleConfigured(env)) {
+    throw new Error(
+      `Google configuration missing: ${getGoogleRequiredSettings()} required`,
+    )
+  }
+
+  if (!isValidEmail(env.GOOGLE_ADMIN_EMAIL)) {
+    throw new Error('Invalid GOOGLE_ADMIN_EMAIL format')
+  }
+
+  if (!isValidGoogleCustomerId(getGoogleCustomerId(env))) {
+    throw new Error('Invalid GOOGLE_CUSTOMER_ID format')
+  }
+}
+
+/**
+ * Check whether a response is a retryable rate limit or server error. The
+ * Directory API reports some rate limits as 403 with a rate-limit reason.
+ * @param {Response} response - Directory API response
+ * @returns {Promise<boolean>} True if the request should be retried
+ */
+async function isRetryableResponse(response) {
+  if (response.status === 429 || response.status >= 500) {
+    return true
+  }
+  if (response.status !== 403) {
+    return false
+  }
+
+  const body = await response
+    .clone()
+    .json()
+    .catch(() => ({}))
+  return (body.error?.errors || []).some((error) =>
+    GOOGLE_RATE_LIMIT_REASONS.includes(error.reason),
+  )
+}
+
+/**
+ * Fetch from the Directory API, retrying rate-limited and 5xx responses (see
+ * fetchWithRetry)
+ * @param {*} env - Environment bindings
+ * @param {string} url - Request URL
+ * @param {Object} stats - Counters updated in place (see createFetchStats)
+ * @returns {Promise<Response>} Final response (may still be an error)
+ */
+function googleFetch(env, url, stats) {
+  return fetchWithRetry(url, {
+    label: 'Directory API',
+    getRequestOptions: () => getGoogleRequestOptions(env),
+    clearAccessToken: () => clearGoogleAccessToken(env),
+    maxRetries: getMaxRetries(env, 'GOOGLE_MAX_RETRIES'),
+    backoffBaseMs: GOOGLE_BACKOFF_BASE_MS,
+    isRetryable: isRetryableResponse,
+    stats,
+  })
+}
+
+/**
+ * Fetch every page of a Directory API listing by following its
+ * nextPageToken, up to GOOGLE_MAX_PAGES pages (see fetchPages)
+ * @param {*} env - Environment bindings
+ * @param {string} path - API path including query string, e.g.
+ *   /users?customer=my_customer
+ * @param {string} listField - Response field holding the items (users,
+ *   members or groups)
+ * @param {string|null} cacheKey - Cache key for the aggregated result
+ * @param {number} ttlSeconds - Cache TTL in seconds
+ * @returns {Promise<Object>} { items, pages, cacheUsed, retries,
+ *   rateLimitWaits, rateLimitWaitMs }
+ */
+function fetchGooglePages(
+  env,
+  path,
+  listField,
+  cacheKey = null,
+  ttlSeconds = 0,
+) {
+  const url = `${DIRECTORY_API_URL}${path}`
+  return fetchPages(url, {
+    label: 'Directory API',
+    maxPages: getMaxPages(env, 'GOOGLE_MAX_PAGES'),
+    maxPagesSetting: 'GOOGLE_MAX_PAGES',
+    fetchPage: (pageUrl, stats) => googleFetch(env, pageUrl, stats),
+    readPage: async (response) => {
+      const body = await response.json()
+      return {
+        items: body[listField] || [],
+        nextUrl: body.nextPageToken
+          ? `${url}&pageToken=${encodeURIComponent(body.nextPageToken)}`
+          : null,
+      }
+    },
+    cacheKey,
+    ttlSeconds,
+  })
+}
+
+/**
+ * Get the Directory API user fields stored as user attributes, from the
+ * GOOGLE_ATTRIBUTE_MAPPING JSON object of attribute names to paths in the
+ * Directory API user (e.g. `{"employeeId": "externalIds.0.value"}`)
+ * @param {*} env - Environment bindings
+ * @returns {Object} Attribute name => Directory API user path
+ */
+export function getGoogleAttributeMapping(env) {
+  return parseAttributeMapping(
+    env.GOOGLE_ATTRIBUTE_MAPPING,
+    DEFAULT_GOOGLE_ATTRIBUTE_MAPPING,
+    'GOOGLE_ATTRIBUTE_MAPPING',
+  )
+}
+
+/**
+ * Build the partial-response field list for user listings: the fields the
+ * sync needs plus the top-level field of every mapped attribute
+ * @param {*} env - Environment bindings
+ * @returns {string} Value of the `fields` query parameter
+ */
+function getUserFields(env) {
+  const fields = new Set(GOOGLE_USER_FIELDS)
+  for (const path of Object.values(getGoogleAttributeMapping(env))) {
+    fields.add(path.split('.')[0])
+  }
+  return `nextPageToken,users(${[...fields].join(',')})`
+}
+
+/**
+ * Get the organizational units whose users are synced, from the
+ * comma-separated GOOGLE_SYNC_ORG_UNITS variable (empty = every user)
+ * @param {*} env - Environment bindings
+ * @returns {Array<string>} Valid org unit paths
+ */
+export function getGoogleSyncOrgUnits(env) {
+  return String(env.GOOGLE_SYNC_ORG_UNITS || '')
+    .split(',')
+    .map((path) => path.trim())
+    .filter((path) => {
+      if (path && !isValidGoogleOrgUnitPath(path)) {
+        console.error('Ignoring invalid org unit path in GOOGLE_SYNC_ORG_UNITS')
+        return false
+      }
+      return path !== ''
+    })
+}
+
+/**
+ * Map Directory API users to sync users, dropping those without a valid
+ * email
+ * @param {Array} users - Users from the Directory API
+ * @param {*} env - Environment bindings
+ * @returns {Array} Users keyed on their normalized primary email
+ */
+function mapGoogleUsers(users, env) {
+  const mapping = getGoogleAttributeMapping(env)
+  return users
+    .map((user) => {
+      try {
+        return {
+          id: user.id,
+          username: normalizeEmail(user.primaryEmail), // Identity key: normalized full email
+          email: user.primaryEmail,
+          firstName: user.name?.givenName || '',
+          lastName: user.name?.familyName || '',
+          status: user.suspended
+            ? SUSPENDED_GOOGLE_STATUS
+            : user.archived
+              ? ARCHIVED_GOOGLE_STATUS
+              : 'ACTIVE',
+          created: user.creationTime,
+          attributes: getDirectoryUserAttributes(user, mapping),
+        }
+      } catch (error) {
+        console.error(
+          'Invalid user data for user:',
+          sanitizeForLogging(user.primaryEmail),
+          'Error:',
+          error.message,
+        )
+        return null
+      }
+    })
+    .filter((user) => user !== null)
+}
+
+/**
+ * Fetch the users of the Workspace account, following pagination. With
+ * GOOGLE_SYNC_ORG_UNITS only the users of those org units (and their
+ * sub-units) are returned.
+ * @param {*} env - Environment bindings
+ * @returns {Array} List of Google users
+ */
+export async function fetchGoogleUsers(env) {
+  const startTime = Date.now()
+
+  try {
+    assertGoogleConfigured(env)
+
+    const customerId = getGoogleCustomerId(env)
+    const orgUnits = getGoogleSyncOrgUnits(env)
+    const cacheKey = `${CACHE_CONFIG.GOOGLE_USERS.key}_${customerId}_${orgUnits.join(',')}`
+    const basePath = `/users?customer=${customerId}&projection=full&maxResults=${MAX_USERS_PAGE_SIZE}&fields=${encodeURIComponent(getUserFields(env))}`
+
+    let users = getCached(cacheKey)
+    const stats = {
+      pages: 0,
+      cacheUsed: Boolean(users),
+      retries: 0,
+      rateLimitWaits: 0,
+      rateLimitWaitMs: 0,
+    }
+
+    if (!users) {
+      // One listing per org unit; nested org units may overlap
+      const paths =
+        orgUnits.length > 0
+          ? orgUnits.map(
+              (orgUnit) =>
+                `${basePath}&query=${encodeURIComponent(`orgUnitPath='${orgUnit}'`)}`,
+            )
+          : [basePath]
+      const usersById = new Map()
+      for (const path of paths) {
+        const { items, pages, retries, rateLimitWaits, rateLimitWaitMs } =
+          await fetchGooglePages(env, path, 'users')
+        items.forEach((user) => usersById.set(user.id, user))
+        stats.pages += pages
+        stats.retries += retries
+        stats.rateLimitWaits += rateLimitWaits
+        stats.rateLimitWaitMs += rateLimitWaitMs
+      }
+      users = [...usersById.values()]
+      setCache(cacheKey, users, CACHE_CONFIG.GOOGLE_USERS.ttl)
+    }
+
+    const processedUsers = mapGoogleUsers(users, env)
+
+    logPerformance('fetchGoogleUsers', startTime, env)
+    logGoogle(
+      'fetchUsers',
+      true,
+      {
+        usersCount: processedUsers.length,
+        rawUsersCount: users.length,
+        orgUnits: orgUnits.length,
+        ...stats,
+      },
+      env,
+    )
+
+    return processedUsers
+  } catch (error) {
+    logGoogle(
+      'fetchUsers',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
+    throw error
+  }
+}
+
+/**
+ * Fetch the users of a Google group, including members of nested groups,
+ * following pagination. Members are looked up in the synced users (see
+ * fetchGoogleUsers), so members outside GOOGLE_SYNC_ORG_UNITS and external
+ * members are left out.
+ * @param {*} env - Environment bindings
+ * @param {string} groupId - Google group ID
+ * @returns {Array} List of users in the group
+ */
+export async function fetchGoogleGroupUsers(env, groupId) {
+  try {
+    assertGoogleConfigured(env)
+
+    if (!isValidGroupId(groupId)) {
+      throw new Error('Invalid group ID format')
+    }
+
+    const {
+      items: members,
+      pages,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchGooglePages(
+      env,
+      `/groups/${groupId}/members?includeDerivedMembership=true&maxResults=${MAX_MEMBERS_PAGE_SIZE}&fields=${encodeURIComponent('nextPageToken,members(id,type)')}`,
+      'members',
+    )
+
+    // Members also include nested groups and the whole customer
+    const memberIds = new Set(
+      members
+        .filter((member) => member.type === 'USER')
+        .map((member) => member.id),
+    )
+    const users = (await fetchGoogleUsers(env)).filter((user) =>
+      memberIds.has(user.id),
+    )
+    logGoogle(
+      'fetchGroupUsers',
+      true,
+      {
+        groupId,
+        usersCount: users.length,
+        outOfScopeMembers: memberIds.size - users.length,
+        pages,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
+      },
+      env,
+    )
+
+    return users
+  } catch (error) {
+    console.error('Error fetching Google group users:', error)
+    logGoogle(
+      'fetchGroupUsers',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
+    throw error
+  }
+}
+
+/**
+ * Get the Google groups that define who is synced, from the comma-separated
+ * GOOGLE_SYNC_GROUP_IDS variable (empty = every user in scope)
+ * @param {*} env - Environment bindings
+ * @returns {Array<string>} Valid group IDs
+ */
+export function getGoogleSyncGroupIds(env) {
+  return String(env.GOOGLE_SYNC_GROUP_IDS || '')
+    .split(',')
+    .map((groupId) => groupId.trim())
+    .filter((groupId) => {
+      if (groupId && !isValidGroupId(groupId)) {
+        console.error('Ignoring invalid group ID in GOOGLE_SYNC_GROUP_IDS')
+        return false
+      }
+      return groupId !== ''
+    })
+}
+
+/**
+ * Fetch a single Google group
+ * @param {*} env - Environment bindings
+ * @param {string} groupId - Google group ID
+ * @returns {Promise<Object>} Group ID and name
+ */
+export async function fetchGoogleGroup(env, groupId) {
+  assertGoogleConfigured(env)
+
+  if (!isValidGroupId(groupId)) {
+    throw new Error('Invalid group ID format')
+  }
+
+  const stats = createFetchStats()
+  const response = await googleFetch(
+    env,
+    `${DIRECTORY_API_URL}/groups/${groupId}?fields=id,name,email`,
+    stats,
+  )
+  logGoogle('fetchGroup', response.ok, { groupId, ...stats }, env)
+
+  if (!response.ok) {
+    throw new Error(
+      `Directory API error: ${response.status} ${response.statusText}`,
+    )
+  }
+
+  const group = await response.json()
+  return { id: group.id, name: group.name || group.email || group.id }
+}
+
+/**
+ * Get all Google groups (useful for finding group IDs), following pagination
+ * @param {*} env - Environment bindings
+ * @returns {Array} List of Google groups
+ */
+export async function fetchGoogleGroups(env) {
+  try {
+    assertGoogleConfigured(env)
+
+    const customerId = getGoogleCustomerId(env)
+    const cacheKey = `${CACHE_CONFIG.GOOGLE_GROUPS.key}_${customerId}`
+    const {
+      items: groups,
+      pages,
+      cacheUsed,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchGooglePages(
+      env,
+      `/groups?customer=${customerId}&maxResults=${MAX_GROUPS_PAGE_SIZE}&fields=${encodeURIComponent('nextPageToken,groups(id,email,name,description,directMembersCount)')}`,
+      'groups',
+      cacheKey,
+      CACHE_CONFIG.GOOGLE_GROUPS.ttl,
+    )
+    logGoogle(
+      'fetchGroups',
+      true,
+      {
+        groupsCount: groups.length,
+        pages,
+        cacheUsed,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
+      },
+      env,
+    )
+
+    return groups.map((group) => ({
+      id: group.id,
+      name: group.name,
+      email: group.email,
+      description: group.description,
+      directMembersCount: Number(group.directMembersCount) || 0,
+    }))
+  } catch (error) {
+    console.error('Error fetching Google groups:', error)
+    logGoogle(
+      'fetchGroups',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
+    throw error
+  }
+}
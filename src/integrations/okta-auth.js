@@ -0,0 +1,175 @@
+/**
+ * Okta API authentication
+ *
+ * Requests are authorized either with an OAuth 2.0 access token for an Okta
+ * service app (client credentials with a private_key_jwt client assertion) or
+ * with a legacy SSWS API token. OKTA_AUTH_METHOD picks one; when it is unset,
+ * OAuth is used if OKTA_CLIENT_ID is configured.
+ */
+
+import { signRs256Jwt } from '../utils/encoding.js'
+import { clearCache, CACHE_CONFIG } from '../utils/cache.js'
+import { getCachedAccessToken } from './directory-http.js'
+
+export const OKTA_AUTH_METHODS = {
+  OAUTH: 'oauth',
+  SSWS: 'ssws',
+}
+
+// Scopes requested for the access token when OKTA_OAUTH_SCOPES is not set
+const DEFAULT_OKTA_OAUTH_SCOPES = 'okta.users.read okta.groups.read'
+
+// Lifetime of the client assertion (Okta accepts at most one hour)
+const CLIENT_ASSERTION_TTL_SECONDS = 5 * 60
+
+/**
+ * Get the configured Okta authentication method
+ * @param {*} env - Environment bindings
+ * @returns {string} One of OKTA_AUTH_METHODS
+ */
+export function getOktaAuthMethod(env) {
+  const method = String(env.OKTA_AUTH_METHOD || '').toLowerCase()
+  if (Object.values(OKTA_AUTH_METHODS).includes(method)) {
+    return method
+  }
+  return env.OKTA_CLIENT_ID ? OKTA_AUTH_METHODS.OAUTH : OKTA_AUTH_METHODS.SSWS
+}
+
+/**
+ * Check whether the Okta integration has a domain and credentials for the
+ * configured authentication method
+ * @param {*} env - Environment bindings
+ * @returns {boolean} True if Okta API calls can be made
+ */
+export function isOktaConfigured(env) {
+  if (!env.OKTA_DOMAIN) {
+    return false
+  }
+  return getOktaAuthMethod(env) === OKTA_AUTH_METHODS.OAUTH
+    ? Boolean(env.OKTA_CLIENT_ID && env.OKTA_PRIVATE_KEY)
+    : Boolean(env.OKTA_API_TOKEN)
+}
+
+/**
+ * Describe the settings the configured authentication method needs
+ * @param {*} env - Environment bindings
+ * @returns {string} Required settings, for configuration error messages
+ */
+export function getOktaRequiredSettings(env) {
+  return getOktaAuthMethod(env) === OKTA_AUTH_METHODS.OAUTH
+    ? 'OKTA_DOMAIN, OKTA_CLIENT_ID and OKTA_PRIVATE_KEY'
+    : 'OKTA_DOMAIN and OKTA_API_TOKEN'
+}
+
+/**
+ * Import the service app's private key (an RSA JWK, as registered with the
+ * Okta app) for signing client assertions
+ * @param {*} env - Environment bindings
+ * @returns {Promise<Object>} Key ID (may be undefined) and private key
+ */
+async function loadOktaPrivateKey(env) {
+  try {
+    const jwk = JSON.parse(env.OKTA_PRIVATE_KEY)
+    const privateKey = await crypto.subtle.importKey(
+      'jwk',
+      jwk,
+      {
+        name: 'RSASSA-PKCS1-v1_5',
+        hash: 'SHA-256',
+      },
+      false,
+      ['sign'],
+    )
+    return { kid: jwk.kid, privateKey }
+  } catch (e) {
+    console.log('Failed to parse or import Okta private key from secret:', e)
+    throw new Error('invalid OKTA_PRIVATE_KEY secret format')
+  }
+}
+
+/**
+ * Sign a private_key_jwt client assertion for the token endpoint
+ * @param {*} env - Environment bindings
+ * @param {string} tokenUrl - Okta token endpoint (the assertion audience)
+ * @returns {Promise<string>} Signed JWT
+ */
+async function createClientAssertion(env, tokenUrl) {
+  const { kid, privateKey } = await loadOktaPrivateKey(env)
+  const now = Math.floor(Date.now() / 1000)
+
+  const payload = {
+    iss: env.OKTA_CLIENT_ID,
+    sub: env.OKTA_CLIENT_ID,
+    aud: tokenUrl,
+    iat: now,
+    exp: now + CLIENT_ASSERTION_TTL_SECONDS,
+    jti: crypto.randomUUID(),
+  }
+  return signRs256Jwt(payload, privateKey, { kid })
+}
+
+/**
+ * Get the cache key of the access token for the configured service app
+ * @param {*} env - Environment bindings
+ * @returns {string} Cache key
+ */
+function getTokenCacheKey(env) {
+  return `${CACHE_CONFIG.OKTA_ACCESS_TOKEN.key}_${env.OKTA_DOMAIN}_${env.OKTA_CLIENT_ID}`
+}
+
+/**
+ * Get an Okta access token for the service app, from cache while it is valid
+ * @param {*} env - Environment bindings
+ * @returns {Promise<string>} Access token
+ */
+function getOktaAccessToken(env) {
+  const tokenUrl = `https://${env.OKTA_DOMAIN}/oauth2/v1/token`
+  return getCachedAccessToken(
+    getTokenCacheKey(env),
+    CACHE_CONFIG.OKTA_ACCESS_TOKEN,
+    'Okta',
+    async () =>
+      fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          grant_type: 'client_credentials',
+          scope: env.OKTA_OAUTH_SCOPES || DEFAULT_OKTA_OAUTH_SCOPES,
+          client_assertion_type:
+            'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+          client_assertion: await createClientAssertion(env, tokenUrl),
+        }),
+      }),
+  )
+}
+
+/**
+ * Forget the cached access token, e.g. after Okta rejected it
+ * @param {*} env - Environment bindings
+ */
+export function clearOktaAccessToken(env) {
+  clearCache(getTokenCacheKey(env))
+}
+
+/**
+ * Build the fetch options (auth and content headers) for Okta API requests
+ * @param {*} env - Environment bindings
+ * @returns {Promise<Object>} Fetch options
+ */
+export async function getOktaRequestOptions(env) {
+  const authorization =
+    getOktaAuthMethod(env) === OKTA_AUTH_METHODS.OAUTH
+      ? `Bearer ${await getOktaAccessToken(env)}`
+      : `SSWS ${env.OKTA_API_TOKEN}`
+
+  return {
+    headers: {
+      Authorization: authorization,
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    },
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Okta training status write-back
+ *
+ * When OKTA_WRITEBACK_MODE is set, each user's overall training status
+ * ('completed', 'started' or 'not started') is pushed to Okta so that sign-on
+ * policies and other apps can use it: either into a custom profile attribute
+ * ('attribute' mode, OKTA_WRITEBACK_ATTRIBUTE) or as membership of a group
+ * that holds the compliant users ('group' mode, OKTA_WRITEBACK_GROUP_ID).
+ * Changes go through the okta_writeback outbox and are retried with backoff.
+ */
+
+import { isOktaConfigured } from './okta-auth.js'
+import { updateOktaUserProfile, updateOktaGroupMember } from './okta.js'
+import { DIRECTORY_PROVIDERS } from './directory-sync.js'
+import {
+  getUserByEmail,
+  getUserTrainingStatus,
+  getTrainingMatrix,
+  summarizeTrainingStatus,
+} from '../database/training.js'
+import {
+  enqueueWriteback,
+  getDueWritebacks,
+  getWritebackStates,
+  completeWriteback,
+  failWriteback,
+} from '../database/writeback.js'
+import {
+  isValidAttributeName,
+  isValidGroupId,
+  normalizeEmail,
+} from '../utils/validation.js'
+import { structuredLog, LOG_LEVELS } from '../utils/logging.js'
+
+export const OKTA_WRITEBACK_MODES = {
+  ATTRIBUTE: 'attribute',
+  GROUP: 'group',
+}
+
+// Okta profile attribute written when OKTA_WRITEBACK_ATTRIBUTE is not set
+const DEFAULT_OKTA_WRITEBACK_ATTRIBUTE = 'securityTrainingStatus'
+
+// Failed pushes are retried this many times before the user is left for an
+// admin to look at (see GET /api/okta/writeback)
+const DEFAULT_OKTA_WRITEBACK_MAX_ATTEMPTS = 10
+
+// Retry delay doubles from one minute up to six hours
+const WRITEBACK_RETRY_BASE_MS = 60 * 1000
+const MAX_WRITEBACK_RETRY_MS = 6 * 60 * 60 * 1000
+
+// Users pushed per processing run, to stay within the Worker's subrequest
+// limit; the rest wait for the next run
+const WRITEBACK_BATCH_SIZE = 100
+
+/**
+ * Get the configured write-back mode
+ * @param {*} env - Environment bindings
+ * @returns {string|null} One of OKTA_WRITEBACK_MODES, or null when write-back
+ *   is off or misconfigured
+ */
+export function getOktaWritebackMode(env) {
+  const mode = String(env.OKTA_WRITEBACK_MODE || '').toLowerCase()
+  if (!mode || !isOktaConfigured(env)) {
+    return null
+  }
+
+  if (mode === OKTA_WRITEBACK_MODES.ATTRIBUTE) {
+    if (!isValidAttributeName(getWritebackAttribute(env))) {
+      console.error('Invalid OKTA_WRITEBACK_ATTRIBUTE, write-back disabled')
+      return null
+    }
+    return mode
+  }
+
+  if (mode === OKTA_WRITEBACK_MODES.GROUP) {
+    if (!isValidGroupId(env.OKTA_WRITEBACK_GROUP_ID)) {
+      console.error('Invalid OKTA_WRITEBACK_GROUP_ID, write-back disabled')
+      return null
+    }
+    return mode
+  }
+
+  console.error('Unknown OKTA_WRITEBACK_MODE, write-back disabled:', mode)
+  return null
+}
+
+/**
+ * Get the Okta profile attribute the training status is written to
+ * @param {*} env - Environment bindings
+ * @returns {string} Attribute name
+ */
+function getWritebackAttribute(env) {
+  return env.OKTA_WRITEBACK_ATTRIBUTE || DEFAULT_OKTA_WRITEBACK_ATTRIBUTE
+}
+
+/**
+ * Get the number of attempts made before a push is given up
+ * @param {*} env - Environment bindings
+ * @returns {number} Maximum attempts
+ */
+function getWritebackMaxAttempts(env) {
+  const attempts = parseInt(env.OKTA_WRITEBACK_MAX_ATTEMPTS, 10)
+  return Number.isFinite(attempts) && attempts > 0
+    ? attempts
+    : DEFAULT_OKTA_WRITEBACK_MAX_ATTEMPTS
+}
+
+/**
+ * Get the time of the next attempt after a failure
+ * @param {number} attempts - Attempts made so far, including the failed one
+ * @returns {Date} Retry time
+ */
+function getWritebackRetryAt(attempts) {
+  const delay = Math.min(
+    WRITEBACK_RETRY_BASE_MS * 2 ** (attempts - 1),
+    MAX_WRITEBACK_RETRY_MS,
+  )
+  return new Date(Date.now() + delay)
+}
+
+/**
+ * Push one user's training status to Okta
+ * @param {*} env - Environment bindings
+ * @param {string} mode - One of OKTA_WRITEBACK_MODES
+ * @param {string} oktaUserId - Okta user ID
+ * @param {string} status - Overall training status
+ */
+async function pushTrainingStatus(env, mode, oktaUserId, status) {
+  if (mode === OKTA_WRITEBACK_MODES.ATTRIBUTE) {
+    await updateOktaUserProfile(env, oktaUserId, {
+      [getWritebackAttribute(env)]: status,
+    })
+  } else {
+    await updateOktaGroupMember(
+      env,
+      env.OKTA_WRITEBACK_GROUP_ID,
+      oktaUserId,
+      status === 'completed',
+    )
+  }
+}
+
+/**
+ * Push the queued users that are due. The status is read when it is pushed,
+ * so a user changed several times is pushed once with their latest status.
+ * @param {*} env - Environment bindings including DB
+ * @param {Array<number>|null} [userIds] - Only push these users (null = all)
+ * @returns {Promise<Object>} Number of users pushed, failed and skipped
+ */
+export async function processOktaWriteback(env, userIds = null) {
+  const results = { pushed: 0, failed: 0, skipped: 0 }
+  const mode = getOktaWritebackMode(env)
+  if (!mode) {
+    return results
+  }
+
+  const due = await getDueWritebacks(
+    env,
+    getWritebackMaxAttempts(env),
+    WRITEBACK_BATCH_SIZE,
+    userIds,
+  )
+
+  for (const entry of due) {
+    // Users added by hand, synced from another directory or deprovisioned
+    // have no Okta account to update
+    const linked =
+      entry.idp_user_id && entry.idp_provider === DIRECTORY_PROVIDERS.OKTA
+    if (!linked || entry.deprovisioned_at) {
+      await completeWriteback(
+        env,
+        entry.user_id,
+        null,
+        linked ? 'User is deprovisioned' : 'User is not linked to Okta',
+      )
+      results.skipped++
+      continue
+    }
+
+    try {
+      const status = summarizeTrainingStatus(
+        await getUserTrainingStatus(env, entry.user_id),
+      )
+      await pushTrainingStatus(env, mode, entry.idp_user_id, status)
+      await completeWriteback(env, entry.user_id, status)
+      results.pushed++
+    } catch (error) {
+      await failWriteback(
+        env,
+        entry.user_id,
+        error.message,
+        getWritebackRetryAt(entry.attempts + 1),
+      )
+      results.failed++
+      structuredLog(
+        LOG_LEVELS.WARN,
+        'Okta write-back failed',
+        {
+          username: entry.username,
+          attempts: entry.attempts + 1,
+          error: error.message,
+        },
+        env,
+      )
+    }
+  }
+
+  return results
+}
+
+/**
+ * Queue a user whose training status was changed and push it in the
+ * background. Does nothing when write-back is off.
+ * @param {*} env - Environment bindings including DB
+ * @param {string} email - User email (primary or alias)
+ * @param {Object} ctx - Execution context, used to push after responding
+ */
+export async function queueOktaWriteback(env, email, ctx) {
+  if (!getOktaWritebackMode(env)) {
+    return
+  }
+
+  try {
+    const user = await getUserByEmail(env, normalizeEmail(email))
+    if (user && (await enqueueWriteback(env, [user.id]))) {
+      ctx.waitUntil(processOktaWriteback(env, [user.id]))
+    }
+  } catch (error) {
+    // The scheduled run picks the change up by comparing statuses
+    console.error('Okta write-back queue error:', error)
+  }
+}
+
+/**
+ * Queue every Okta-linked user whose current training status differs from
+ * the one last pushed, e.g. because a certification expired. Users still
+ * queued (including those whose pushes were given up) are left alone.
+ * @param {*} env - Environment bindings including DB
+ * @returns {Promise<number>} Number of users queued
+ */
+export async function reconcileOktaWriteback(env) {
+  if (!getOktaWritebackMode(env)) {
+    return 0
+  }
+
+  const [{ users }, states] = await Promise.all([
+    getTrainingMatrix(env),
+    getWritebackStates(env),
+  ])
+  const changed = users
+    .filter((user) => {
+      const state = states.get(user.id)
+      return (
+        user.idp_user_id &&
+        user.idp_provider === DIRECTORY_PROVIDERS.OKTA &&
+        !user.deprovisioned_at &&
+        !state?.pending &&
+        state?.pushed_status !== user.overallStatus
+      )
+    })
+    .map((user) => user.id)
+
+  return (await enqueueWriteback(env, changed)) ? changed.length : 0
+}
@@ -5,14 +5,229 @@
 import {
   isValidOktaDomain,
   isValidGroupId,
-  extractUsername,
+  normalizeEmail,
   sanitizeForLogging,
 } from '../utils/validation.js'
-import { cachedFetch, CACHE_CONFIG } from '../utils/cache.js'
+import { CACHE_CONFIG } from '../utils/cache.js'
 import { logOkta, logPerformance } from '../utils/logging.js'
+import {
+  OKTA_AUTH_METHODS,
+  getOktaAuthMethod,
+  getOktaRequestOptions,
+  clearOktaAccessToken,
+  isOktaConfigured,
+  getOktaRequiredSettings,
+} from './okta-auth.js'
+import {
+  DIRECTORY_PROVIDERS,
+  DEPROVISION_USER_SQL,
+  INSERT_USER_SQL,
+  UPDATE_USER_SQL,
+  findDirectoryUser,
+  isOwnedBy,
+  getChangedFields,
+  getDirectoryUserAttributes,
+  getUserValues,
+  isActiveDirectoryUser,
+  parseAttributeMapping,
+} from './directory-sync.js'
+import {
+  MAX_WAIT_MS,
+  createFetchStats,
+  fetchPages,
+  fetchWithRetry,
+  getMaxPages,
+  getMaxRetries,
+  sleep,
+} from './directory-http.js'
+
+// Okta's maximum page size for the users and groups APIs
+const MAX_OKTA_PAGE_SIZE = 200
+
+// Okta user fields stored in users.attributes when OKTA_ATTRIBUTE_MAPPING is
+// not set (attribute name => path in the Okta user object)
+const DEFAULT_OKTA_ATTRIBUTE_MAPPING = {
+  department: 'profile.department',
+  title: 'profile.title',
+  managerId: 'profile.managerId',
+  costCenter: 'profile.costCenter',
+}
+
+// Pause until the rate-limit window resets once fewer than this share of the
+// window's requests remain
+const OKTA_RATE_LIMIT_RESERVE = 0.1
+
+/**
+ * Get the page size requested from the Okta API
+ * @param {*} env - Environment bindings
+ * @returns {number} Page size between 1 and 200
+ */
+function getOktaPageSize(env) {
+  const limit = parseInt(env.OKTA_FETCH_LIMIT, 10)
+  return Number.isFinite(limit) && limit > 0
+    ? Math.min(limit, MAX_OKTA_PAGE_SIZE)
+    : MAX_OKTA_PAGE_SIZE
+}
+
+/**
+ * Get the time until an Okta rate-limit window resets
+ * @param {Response} response - Okta API response
+ * @returns {number|null} Milliseconds until reset (capped), or null if unknown
+ */
+function getRateLimitResetDelay(response) {
+  const reset = parseInt(response.headers.get('x-rate-limit-reset'), 10)
+  if (!Number.isFinite(reset)) {
+    return null
+  }
+
+  return Math.min(Math.max(reset * 1000 - Date.now(), 0), MAX_WAIT_MS)
+}
+
+/**
+ * Fetch from the Okta API (see fetchWithRetry), pausing when the rate-limit
+ * window is nearly used up. A 429 is retried once its window resets. Only an
+ * OAuth access token is replaced when Okta rejects it.
+ * @param {*} env - Environment bindings
+ * @param {string} url - Request URL
+ * @param {Object} init - Extra fetch options (method, body)
+ * @param {Object} stats - Counters updated in place (see createFetchStats)
+ * @returns {Promise<Response>} Final response (may still be an error)
+ */
+async function oktaFetch(env, url, init, stats) {
+  const response = await fetchWithRetry(url, {
+    label: 'Okta API',
+    getRequestOptions: () => getOktaRequestOptions(env),
+    clearAccessToken:
+      getOktaAuthMethod(env) === OKTA_AUTH_METHODS.OAUTH
+        ? () => clearOktaAccessToken(env)
+        : null,
+    init,
+    maxRetries: getMaxRetries(env, 'OKTA_MAX_RETRIES'),
+    // A 429 tells us when the window resets; otherwise back off
+    getRetryDelay: (response) =>
+      response.status === 429 ? getRateLimitResetDelay(response) : null,
+    stats,
+  })
+
+  // Slow down before hitting the limit rather than after
+  const limit = parseInt(response.headers.get('x-rate-limit-limit'), 10)
+  const remaining = parseInt(response.headers.get('x-rate-limit-remaining'), 10)
+  if (
+    response.ok &&
+    Number.isFinite(remaining) &&
+    remaining <= Math.max(1, Math.floor((limit || 0) * OKTA_RATE_LIMIT_RESERVE))
+  ) {
+    const delay = getRateLimitResetDelay(response)
+    if (delay) {
+      console.warn(
+        `Okta rate limit nearly exhausted (${remaining} remaining), waiting ${delay}ms for reset`,
+      )
+      stats.rateLimitWaits++
+      stats.rateLimitWaitMs += delay
+      await sleep(delay)
+    }
+  }
+
+  return response
+}
+
+/**
+ * Get the rel="next" URL from an Okta Link header
+ * @param {string|null} linkHeader - Link response header
+ * @returns {string|null} Next page URL, or null on the last page
+ */
+function getNextLink(linkHeader) {
+  if (!linkHeader) {
+    return null
+  }
+
+  for (const link of linkHeader.split(',')) {
+    const match = link.match(/<([^>]+)>\s*;\s*rel="next"/)
+    if (match) {
+      return match[1]
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the Okta user fields stored as user attributes, from the
+ * OKTA_ATTRIBUTE_MAPPING JSON object of attribute names to paths in the Okta
+ * user (e.g. `{"department": "profile.department", "oktaStatus": "status"}`)
+ * @param {*} env - Environment bindings
+ * @returns {Object} Attribute name => Okta user path
+ */
+export function getOktaAttributeMapping(env) {
+  return parseAttributeMapping(
+    env.OKTA_ATTRIBUTE_MAPPING,
+    DEFAULT_OKTA_ATTRIBUTE_MAPPING,
+    'OKTA_ATTRIBUTE_MAPPING',
+  )
+}
+
+/**
+ * Map Okta API users to sync users, dropping those without a valid login
+ * @param {Array} users - Users from the Okta API
+ * @param {*} env - Environment bindings
+ * @returns {Array} Users keyed on their normalized email
+ */
+function mapOktaUsers(users, env) {
+  const mapping = getOktaAttributeMapping(env)
+  return users
+    .map((user) => {
+      try {
+        return {
+          id: user.id,
+          username: normalizeEmail(user.profile.login), // Identity key: normalized full email
+          email: user.profile.login,
+          firstName: user.profile.firstName || '',
+          lastName: user.profile.lastName || '',
+          status: user.status, // ACTIVE, SUSPENDED, etc.
+          created: user.created,
+          lastLogin: user.lastLogin,
+          attributes: getDirectoryUserAttributes(user, mapping),
+        }
+      } catch (error) {
+        console.error(
+          'Invalid user data for user:',
+          sanitizeForLogging(user.profile?.login),
+          'Error:',
+          error.message,
+        )
+        return null
+      }
+    })
+    .filter((user) => user !== null)
+}
+
+/**
+ * Fetch every page of an Okta listing by following its Link headers, up to
+ * OKTA_MAX_PAGES pages (see fetchPages)
+ * @param {*} env - Environment bindings
+ * @param {string} path - API path including query string, e.g. /api/v1/users?limit=200
+ * @param {string|null} cacheKey - Cache key for the aggregated result
+ * @param {number} ttlSeconds - Cache TTL in seconds
+ * @returns {Promise<Object>} { items, pages, cacheUsed, retries,
+ *   rateLimitWaits, rateLimitWaitMs }
+ */
+async function fetchOktaPages(env, path, cacheKey = null, ttlSeconds = 0) {
+  return fetchPages(`https://${env.OKTA_DOMAIN}${path}`, {
+    label: 'Okta API',
+    maxPages: getMaxPages(env, 'OKTA_MAX_PAGES'),
+    maxPagesSetting: 'OKTA_MAX_PAGES',
+    fetchPage: (url, stats) => oktaFetch(env, url, {}, stats),
+    readPage: async (response) => ({
+      items: await response.json(),
+      nextUrl: getNextLink(response.headers.get('link')),
+    }),
+    cacheKey,
+    ttlSeconds,
+  })
+}
 
 /**
- * Fetch all users from Okta instance
+ * Fetch all users from Okta instance, following pagination
  * @param {*} env - Environment bindings
  * @returns {Array} List of Okta users
  */
@@ -20,9 +235,9 @@ export async function fetchOktaUsers(env) {
   const startTime = Date.now()
 
   try {
-    if (!env.OKTA_DOMAIN || !env.OKTA_API_TOKEN) {
+    if (!isOktaConfigured(env)) {
       throw new Error(
-        'Okta configuration missing: OKTA_DOMAIN and OKTA_API_TOKEN required',
+        `Okta configuration missing: ${getOktaRequiredSettings(env)} required`,
       )
     }
 
@@ -32,56 +247,21 @@ export async function fetchOktaUsers(env) {
     }
 
     const cacheKey = `${CACHE_CONFIG.OKTA_USERS.key}_${env.OKTA_DOMAIN}`
-    const limit = env.OKTA_FETCH_LIMIT || 200
-    const url = `https://${env.OKTA_DOMAIN}/api/v1/users?limit=${limit}`
-    const options = {
-      headers: {
-        Authorization: `SSWS ${env.OKTA_API_TOKEN}`,
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    }
-
-    const response = await cachedFetch(
-      url,
-      options,
+    const {
+      items: users,
+      pages,
+      cacheUsed,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchOktaPages(
+      env,
+      `/api/v1/users?limit=${getOktaPageSize(env)}`,
       cacheKey,
       CACHE_CONFIG.OKTA_USERS.ttl,
-      env,
     )
 
-    if (!response.ok) {
-      throw new Error(
-        `Okta API error: ${response.status} ${response.statusText}`,
-      )
-    }
-
-    const users = await response.json()
-
-    const processedUsers = users
-      .map((user) => {
-        try {
-          return {
-            id: user.id,
-            username: extractUsername(user.profile.login), // Extract and validate username
-            email: user.profile.login,
-            firstName: user.profile.firstName || '',
-            lastName: user.profile.lastName || '',
-            status: user.status, // ACTIVE, SUSPENDED, etc.
-            created: user.created,
-            lastLogin: user.lastLogin,
-          }
-        } catch (error) {
-          console.error(
-            'Invalid user data for user:',
-            sanitizeForLogging(user.profile.login),
-            'Error:',
-            error.message,
-          )
-          return null
-        }
-      })
-      .filter((user) => user !== null)
+    const processedUsers = mapOktaUsers(users, env)
 
     logPerformance('fetchOktaUsers', startTime, env)
     logOkta(
@@ -90,29 +270,38 @@ export async function fetchOktaUsers(env) {
       {
         usersCount: processedUsers.length,
         rawUsersCount: users.length,
-        cacheUsed: response.headers.get('x-cache') === 'HIT',
+        pages,
+        cacheUsed,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
       },
       env,
     )
 
     return processedUsers
   } catch (error) {
-    logOkta('fetchUsers', false, { error: error.message }, env)
+    logOkta(
+      'fetchUsers',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
     throw error
   }
 }
 
 /**
- * Fetch users from a specific Okta group
+ * Fetch all users from a specific Okta group, following pagination
  * @param {*} env - Environment bindings
  * @param {string} groupId - Okta group ID
  * @returns {Array} List of users in the group
  */
 export async function fetchOktaGroupUsers(env, groupId) {
   try {
-    if (!env.OKTA_DOMAIN || !env.OKTA_API_TOKEN) {
+    if (!isOktaConfigured(env)) {
       throw new Error(
-        'Okta configuration missing: OKTA_DOMAIN and OKTA_API_TOKEN required',
+        `Okta configuration missing: ${getOktaRequiredSettings(env)} required`,
       )
     }
 
@@ -125,224 +314,374 @@ export async function fetchOktaGroupUsers(env, groupId) {
       throw new Error('Invalid group ID format')
     }
 
-    const response = await fetch(
-      `https://${env.OKTA_DOMAIN}/api/v1/groups/${groupId}/users`,
+    const {
+      items: users,
+      pages,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchOktaPages(
+      env,
+      `/api/v1/groups/${groupId}/users?limit=${getOktaPageSize(env)}`,
+    )
+    logOkta(
+      'fetchGroupUsers',
+      true,
       {
-        headers: {
-          Authorization: `SSWS ${env.OKTA_API_TOKEN}`,
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-        },
+        groupId,
+        usersCount: users.length,
+        pages,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
       },
+      env,
     )
 
-    if (!response.ok) {
-      throw new Error(
-        `Okta Groups API error: ${response.status} ${response.statusText}`,
-      )
-    }
-
-    const users = await response.json()
-    console.log('Fetched', users.length, 'users from Okta group:', groupId)
-
-    return users
-      .map((user) => {
-        try {
-          return {
-            id: user.id,
-            username: extractUsername(user.profile.login),
-            email: user.profile.login,
-            firstName: user.profile.firstName || '',
-            lastName: user.profile.lastName || '',
-            status: user.status,
-            created: user.created,
-            lastLogin: user.lastLogin,
-          }
-        } catch (error) {
-          console.error(
-            'Invalid user data for user:',
-            sanitizeForLogging(user.profile.login),
-            'Error:',
-            error.message,
-          )
-          return null
-        }
-      })
-      .filter((user) => user !== null)
+    return mapOktaUsers(users, env)
   } catch (error) {
     console.error('Error fetching Okta group users:', error)
+    logOkta(
+      'fetchGroupUsers',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
     throw error
   }
 }
 
 /**
- * Sync Okta users to the training database with two-way sync (add, update, and remove)
+ * Get the Okta groups that define who is synced, from the comma-separated
+ * OKTA_SYNC_GROUP_IDS variable (empty = every Okta user)
+ * @param {*} env - Environment bindings
+ * @returns {Array<string>} Valid group IDs
+ */
+export function getSyncGroupIds(env) {
+  return String(env.OKTA_SYNC_GROUP_IDS || '')
+    .split(',')
+    .map((groupId) => groupId.trim())
+    .filter((groupId) => {
+      if (groupId && !isValidGroupId(groupId)) {
+        console.error('Ignoring invalid group ID in OKTA_SYNC_GROUP_IDS')
+        return false
+      }
+      return groupId !== ''
+    })
+}
+
+/**
+ * Fetch a single Okta user
  * @param {*} env - Environment bindings
- * @param {Array} oktaUsers - Users from Okta
- * @returns {Object} Sync results
+ * @param {string} userId - Okta user ID
+ * @returns {Promise<Object|null>} Okta user (see mapOktaUsers), or null if
+ *   Okta has no such user
  */
-export async function syncUsersToDatabase(env, oktaUsers) {
-  const results = {
-    added: 0,
-    updated: 0,
-    removed: 0,
-    skipped: 0,
-    errors: [],
+export async function fetchOktaUser(env, userId) {
+  if (!isValidGroupId(userId)) {
+    throw new Error('Invalid user ID format')
   }
 
-  try {
-    // Get all existing users from database
-    const existingUsers = await env.DB.prepare(
-      'SELECT username, first_name, primary_email FROM users',
-    ).all()
-
-    const existingUserMap = new Map()
-    existingUsers.results.forEach((user) => {
-      existingUserMap.set(user.username, user)
-    })
+  const stats = createFetchStats()
+  const response = await oktaFetch(
+    env,
+    `https://${env.OKTA_DOMAIN}/api/v1/users/${userId}`,
+    {},
+    stats,
+  )
+  logOkta('fetchUser', response.ok || response.status === 404, stats, env)
+
+  if (response.status === 404) {
+    return null
+  }
+  if (!response.ok) {
+    throw new Error(`Okta API error: ${response.status} ${response.statusText}`)
+  }
 
-    const oktaUsernames = new Set(oktaUsers.map((user) => user.username))
+  return mapOktaUsers([await response.json()], env)[0] || null
+}
 
-    // Batch process users for better performance
-    const usersToAdd = []
-    const usersToUpdate = []
+/**
+ * Update fields of an Okta user's profile, leaving the others unchanged
+ * (requires the okta.users.manage scope)
+ * @param {*} env - Environment bindings
+ * @param {string} userId - Okta user ID
+ * @param {Object} profile - Profile fields to set
+ */
+export async function updateOktaUserProfile(env, userId, profile) {
+  if (!isValidGroupId(userId)) {
+    throw new Error('Invalid user ID format')
+  }
 
-    // Categorize users for batch operations
-    for (const user of oktaUsers) {
-      try {
-        const existingUser = existingUserMap.get(user.username)
-
-        if (existingUser) {
-          // Check if update is needed
-          if (
-            existingUser.first_name !== user.firstName ||
-            existingUser.primary_email !== user.email
-          ) {
-            usersToUpdate.push(user)
-          } else {
-            results.skipped++
-          }
-        } else {
-          usersToAdd.push(user)
-        }
-      } catch (error) {
-        console.error('Error categorizing user:', user.username, error)
-        results.errors.push(`${user.username}: ${error.message}`)
-      }
-    }
+  const stats = createFetchStats()
+  const response = await oktaFetch(
+    env,
+    `https://${env.OKTA_DOMAIN}/api/v1/users/${userId}`,
+    { method: 'POST', body: JSON.stringify({ profile }) },
+    stats,
+  )
+  logOkta('updateUserProfile', response.ok, stats, env)
+
+  if (!response.ok) {
+    throw new Error(`Okta API error: ${response.status} ${response.statusText}`)
+  }
+}
 
-    // Batch insert new users
-    if (usersToAdd.length > 0) {
-      try {
-        // Use transaction for batch insert
-        const insertStmt = env.DB.prepare(`
-          INSERT INTO users (username, first_name, primary_email, training_status, created_at, updated_at) 
-          VALUES (?, ?, ?, 'not started', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        `)
-
-        for (const user of usersToAdd) {
-          await insertStmt.bind(user.username, user.firstName, user.email).run()
-          results.added++
-          console.log(
-            `Added new user: ${user.username} (${user.firstName} - ${user.email})`,
-          )
-        }
-      } catch (error) {
-        console.error('Error in batch insert:', error)
-        results.errors.push(`Batch insert: ${error.message}`)
-      }
-    }
+/**
+ * Add a user to an Okta group or remove them from it (requires the
+ * okta.groups.manage scope). Removing a user who is not a member succeeds.
+ * @param {*} env - Environment bindings
+ * @param {string} groupId - Okta group ID
+ * @param {string} userId - Okta user ID
+ * @param {boolean} member - True to add the user, false to remove them
+ */
+export async function updateOktaGroupMember(env, groupId, userId, member) {
+  if (!isValidGroupId(groupId) || !isValidGroupId(userId)) {
+    throw new Error('Invalid group or user ID format')
+  }
 
-    // Batch update existing users
-    if (usersToUpdate.length > 0) {
-      try {
-        const updateStmt = env.DB.prepare(`
-          UPDATE users SET first_name = ?, primary_email = ?, updated_at = CURRENT_TIMESTAMP 
-          WHERE username = ?
-        `)
-
-        for (const user of usersToUpdate) {
-          await updateStmt.bind(user.firstName, user.email, user.username).run()
-          results.updated++
-          console.log('Updated user details for:', user.username)
-        }
-      } catch (error) {
-        console.error('Error in batch update:', error)
-        results.errors.push(`Batch update: ${error.message}`)
-      }
-    }
+  const stats = createFetchStats()
+  const response = await oktaFetch(
+    env,
+    `https://${env.OKTA_DOMAIN}/api/v1/groups/${groupId}/users/${userId}`,
+    { method: member ? 'PUT' : 'DELETE' },
+    stats,
+  )
+  const ok = response.ok || (!member && response.status === 404)
+  logOkta(
+    member ? 'addGroupMember' : 'removeGroupMember',
+    ok,
+    { groupId, ...stats },
+    env,
+  )
+
+  if (!ok) {
+    throw new Error(`Okta API error: ${response.status} ${response.statusText}`)
+  }
+}
+
+/**
+ * Fetch the IDs of the groups an Okta user belongs to
+ * @param {*} env - Environment bindings
+ * @param {string} userId - Okta user ID
+ * @returns {Promise<Array<string>>} Group IDs
+ */
+async function fetchOktaUserGroupIds(env, userId) {
+  if (!isValidGroupId(userId)) {
+    throw new Error('Invalid user ID format')
+  }
+
+  const { items } = await fetchOktaPages(
+    env,
+    `/api/v1/users/${userId}/groups?limit=${getOktaPageSize(env)}`,
+  )
+  return items.map((group) => group.id)
+}
+
+/**
+ * Check whether an Okta user is covered by the sync: every user when
+ * OKTA_SYNC_GROUP_IDS is empty, otherwise members of one of its groups
+ * @param {*} env - Environment bindings
+ * @param {string} userId - Okta user ID
+ * @returns {Promise<boolean>} True if the user is in scope
+ */
+export async function isOktaUserInSyncScope(env, userId) {
+  const syncGroupIds = getSyncGroupIds(env)
+  if (syncGroupIds.length === 0) {
+    return true
+  }
+
+  const groupIds = await fetchOktaUserGroupIds(env, userId)
+  return groupIds.some((groupId) => syncGroupIds.includes(groupId))
+}
+
+/**
+ * Add, update or restore a single Okta user with the same rules as
+ * syncUsersToDatabase. Deactivated users are deprovisioned instead.
+ * @param {*} env - Environment bindings including DB
+ * @param {Object} user - Okta user (see mapOktaUsers)
+ * @returns {Promise<string|null>} 'add', 'update', 'restore' or 'remove', or
+ *   null when nothing changed
+ */
+export async function upsertOktaUser(env, user) {
+  if (!isActiveDirectoryUser(user)) {
+    return (await deprovisionOktaUser(env, user.id, user.username))
+      ? 'remove'
+      : null
+  }
+
+  const existingUser = await findDirectoryUser(
+    env,
+    DIRECTORY_PROVIDERS.OKTA,
+    user.id,
+    user.username,
+  )
+
+  if (!existingUser) {
+    await env.DB.prepare(INSERT_USER_SQL)
+      .bind(...getUserValues(user, DIRECTORY_PROVIDERS.OKTA))
+      .run()
+    console.log('Added new user from Okta event:', user.username)
+    return 'add'
+  }
+
+  if (
+    !existingUser.deprovisioned_at &&
+    getChangedFields(existingUser, user, DIRECTORY_PROVIDERS.OKTA).length === 0
+  ) {
+    return null
+  }
 
-    // Remove users that no longer exist in Okta
-    const usersToRemove = [...existingUserMap.keys()].filter(
-      (username) => !oktaUsernames.has(username),
+  await env.DB.prepare(UPDATE_USER_SQL)
+    .bind(...getUserValues(user, DIRECTORY_PROVIDERS.OKTA), existingUser.id)
+    .run()
+  console.log('Updated user from Okta event:', user.username)
+  return existingUser.deprovisioned_at ? 'restore' : 'update'
+}
+
+/**
+ * Deprovision a single Okta user, keeping their training history (see
+ * syncUsersToDatabase). Users not synced from Okta are left alone.
+ * @param {*} env - Environment bindings including DB
+ * @param {string} oktaUserId - Okta user ID
+ * @param {string|null} username - Normalized email, used when the user has
+ *   not been linked to their Okta user ID yet
+ * @returns {Promise<boolean>} True if an active user was deprovisioned
+ */
+export async function deprovisionOktaUser(env, oktaUserId, username) {
+  const existingUser = await findDirectoryUser(
+    env,
+    DIRECTORY_PROVIDERS.OKTA,
+    oktaUserId,
+    username,
+  )
+  if (!existingUser || !isOwnedBy(existingUser, DIRECTORY_PROVIDERS.OKTA)) {
+    return false
+  }
+
+  const result = await env.DB.prepare(DEPROVISION_USER_SQL)
+    .bind(existingUser.id)
+    .run()
+  const changes = result.changes || result.meta?.changes || 0
+  if (changes > 0) {
+    console.log('Deprovisioned user from Okta event:', existingUser.username)
+  }
+  return changes > 0
+}
+
+/**
+ * Record that an Okta user joined or left an in-scope Okta group
+ * @param {*} env - Environment bindings including DB
+ * @param {string} oktaUserId - Okta user ID
+ * @param {string|null} username - Normalized email, if known
+ * @param {Object} group - Okta group ID and name
+ * @param {boolean} member - Whether the user is now a member
+ */
+export async function setOktaGroupMembership(
+  env,
+  oktaUserId,
+  username,
+  group,
+  member,
+) {
+  const existingUser = await findDirectoryUser(
+    env,
+    DIRECTORY_PROVIDERS.OKTA,
+    oktaUserId,
+    username,
+  )
+  if (!existingUser || !isOwnedBy(existingUser, DIRECTORY_PROVIDERS.OKTA)) {
+    return
+  }
+
+  if (member) {
+    await env.DB.prepare(
+      'INSERT OR REPLACE INTO user_groups (user_id, group_id, group_name) VALUES (?, ?, ?)',
+    )
+      .bind(existingUser.id, group.id, group.name || group.id)
+      .run()
+  } else {
+    await env.DB.prepare(
+      'DELETE FROM user_groups WHERE user_id = ? AND group_id = ?',
     )
+      .bind(existingUser.id, group.id)
+      .run()
+  }
+}
 
-    if (usersToRemove.length > 0) {
-      try {
-        const deleteStmt = env.DB.prepare(
-          'DELETE FROM users WHERE username = ?',
-        )
+/**
+ * Fetch a single Okta group
+ * @param {*} env - Environment bindings
+ * @param {string} groupId - Okta group ID
+ * @returns {Promise<Object>} Group ID and name
+ */
+export async function fetchOktaGroup(env, groupId) {
+  if (!isValidGroupId(groupId)) {
+    throw new Error('Invalid group ID format')
+  }
 
-        for (const username of usersToRemove) {
-          const deleteResult = await deleteStmt.bind(username).run()
-          const changes =
-            deleteResult.changes || deleteResult.meta?.changes || 0
-          if (changes > 0) {
-            results.removed++
-            console.log('Removed user no longer in Okta:', username)
-          }
-        }
-      } catch (error) {
-        console.error('Error in batch removal:', error)
-        results.errors.push(`Batch removal: ${error.message}`)
-      }
-    }
-  } catch (error) {
-    console.error('Error during sync process:', error)
-    results.errors.push(`Sync process: ${error.message}`)
+  const stats = createFetchStats()
+  const response = await oktaFetch(
+    env,
+    `https://${env.OKTA_DOMAIN}/api/v1/groups/${groupId}`,
+    {},
+    stats,
+  )
+  logOkta('fetchGroup', response.ok, { groupId, ...stats }, env)
+
+  if (!response.ok) {
+    throw new Error(`Okta API error: ${response.status} ${response.statusText}`)
   }
 
-  return results
+  const group = await response.json()
+  return { id: group.id, name: group.profile?.name || group.id }
 }
 
 /**
- * Get Okta groups (useful for finding group IDs)
+ * Get all Okta groups (useful for finding group IDs), following pagination
  * @param {*} env - Environment bindings
  * @returns {Array} List of Okta groups
  */
 export async function fetchOktaGroups(env) {
   try {
-    if (!env.OKTA_DOMAIN || !env.OKTA_API_TOKEN) {
+    if (!isOktaConfigured(env)) {
       throw new Error(
-        'Okta configuration missing: OKTA_DOMAIN and OKTA_API_TOKEN required',
+        `Okta configuration missing: ${getOktaRequiredSettings(env)} required`,
       )
     }
 
-    const cacheKey = `${CACHE_CONFIG.OKTA_GROUPS.key}_${env.OKTA_DOMAIN}`
-    const limit = env.OKTA_FETCH_LIMIT || 200
-    const url = `https://${env.OKTA_DOMAIN}/api/v1/groups?limit=${limit}`
-    const options = {
-      headers: {
-        Authorization: `SSWS ${env.OKTA_API_TOKEN}`,
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
+    if (!isValidOktaDomain(env.OKTA_DOMAIN)) {
+      throw new Error('Invalid OKTA_DOMAIN format')
     }
 
-    const response = await cachedFetch(
-      url,
-      options,
+    const cacheKey = `${CACHE_CONFIG.OKTA_GROUPS.key}_${env.OKTA_DOMAIN}`
+    const {
+      items: groups,
+      pages,
+      cacheUsed,
+      retries,
+      rateLimitWaits,
+      rateLimitWaitMs,
+    } = await fetchOktaPages(
+      env,
+      `/api/v1/groups?limit=${getOktaPageSize(env)}`,
       cacheKey,
       CACHE_CONFIG.OKTA_GROUPS.ttl,
     )
+    logOkta(
+      'fetchGroups',
+      true,
+      {
+        groupsCount: groups.length,
+        pages,
+        cacheUsed,
+        retries,
+        rateLimitWaits,
+        rateLimitWaitMs,
+      },
+      env,
+    )
 
-    if (!response.ok) {
-      throw new Error(
-        `Okta Groups API error: ${response.status} ${response.statusText}`,
-      )
-    }
-
-    const groups = await response.json()
     return groups.map((group) => ({
       id: group.id,
       name: group.profile.name,
@@ -352,6 +691,12 @@ export async function fetchOktaGroups(env) {
     }))
   } catch (error) {
     console.error('Error fetching Okta groups:', error)
+    logOkta(
+      'fetchGroups',
+      false,
+      { error: error.message, ...error.fetchStats },
+      env,
+    )
     throw error
   }
 }
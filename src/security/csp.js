@@ -123,6 +123,18 @@ export function createCSPHeaders(env, scriptNonce = null, styleNonce = null) {
   }
 }
 
+/**
+ * Create secure headers for JSON responses
+ * @param {Object} env - Environment bindings
+ * @returns {Object} Headers with CSP and security headers
+ */
+export function createSecureJSONHeaders(env) {
+  return {
+    'content-type': 'application/json',
+    ...createCSPHeaders(env),
+  }
+}
+
 /**
  * Middleware to add CSP headers to HTML responses
  * @param {Response} response - Original response
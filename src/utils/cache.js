@@ -21,6 +21,34 @@ const CACHE_CONFIG = {
     key: 'okta_groups',
     ttl: 1800, // 30 minutes
   },
+  OKTA_ACCESS_TOKEN: {
+    key: 'okta_access_token',
+    ttl: 3600, // upper bound; the token's own expiry is used when shorter
+  },
+  ENTRA_USERS: {
+    key: 'entra_users',
+    ttl: 600, // 10 minutes
+  },
+  ENTRA_GROUPS: {
+    key: 'entra_groups',
+    ttl: 1800, // 30 minutes
+  },
+  ENTRA_ACCESS_TOKEN: {
+    key: 'entra_access_token',
+    ttl: 3600, // upper bound; the token's own expiry is used when shorter
+  },
+  GOOGLE_USERS: {
+    key: 'google_users',
+    ttl: 600, // 10 minutes
+  },
+  GOOGLE_GROUPS: {
+    key: 'google_groups',
+    ttl: 1800, // 30 minutes
+  },
+  GOOGLE_ACCESS_TOKEN: {
+    key: 'google_access_token',
+    ttl: 3600, // upper bound; the token's own expiry is used when shorter
+  },
 }
 
 /**
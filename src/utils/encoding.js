@@ -37,3 +37,26 @@ export function asciiToUint8Array(str) {
   }
   return new Uint8Array(chars)
 }
+
+/**
+ * Sign a JWT with RS256
+ * @param {Object} payload - JWT payload
+ * @param {CryptoKey} privateKey - RSASSA-PKCS1-v1_5 (SHA-256) signing key
+ * @param {Object} [header] - Header fields besides `alg`, e.g. `kid` (left
+ *   out when undefined)
+ * @returns {Promise<string>} Signed JWT
+ */
+export async function signRs256Jwt(payload, privateKey, header = {}) {
+  const encoded = `${base64url.stringify(
+    asciiToUint8Array(JSON.stringify({ alg: 'RS256', ...header })),
+  )}.${base64url.stringify(asciiToUint8Array(JSON.stringify(payload)))}`
+
+  const sig = new Uint8Array(
+    await crypto.subtle.sign(
+      'RSASSA-PKCS1-v1_5',
+      privateKey,
+      asciiToUint8Array(encoded),
+    ),
+  )
+  return `${encoded}.${base64url.stringify(sig)}`
+}
@@ -42,6 +42,30 @@ const metrics = {
     apiCalls: 0,
     usersSynced: 0,
     errors: 0,
+    retries: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+  },
+  entra: {
+    apiCalls: 0,
+    usersSynced: 0,
+    errors: 0,
+    retries: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+  },
+  google: {
+    apiCalls: 0,
+    usersSynced: 0,
+    errors: 0,
+    retries: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+  },
+  decisions: {
+    allowed: 0,
+    denied: 0,
+    byReason: {},
   },
 }
 
@@ -241,37 +265,128 @@ export function logCache(hit, key, env = {}) {
 }
 
 /**
- * Log Okta operation
- * @param {string} operation - Okta operation type
+ * Count and log a directory API operation
+ * @param {string} key - Metrics key of the directory ('okta', 'entra' or
+ *   'google')
+ * @param {string} label - Directory name for the log message
+ * @param {string} operation - Operation type
  * @param {boolean} success - Operation success
  * @param {Object} details - Additional details
  * @param {*} env - Environment bindings
  */
-export function logOkta(operation, success, details = {}, env = {}) {
-  metrics.okta.apiCalls++
+function logDirectoryOperation(key, label, operation, success, details, env) {
+  const counters = metrics[key]
+  counters.apiCalls++
 
   if (!success) {
-    metrics.okta.errors++
+    counters.errors++
   }
 
   if (details.usersSynced) {
-    metrics.okta.usersSynced += details.usersSynced
+    counters.usersSynced += details.usersSynced
+  }
+
+  if (details.retries) {
+    counters.retries += details.retries
+  }
+
+  if (details.rateLimitWaits) {
+    counters.rateLimitWaits += details.rateLimitWaits
+    counters.rateLimitWaitMs += details.rateLimitWaitMs || 0
   }
 
   structuredLog(
     success ? LOG_LEVELS.INFO : LOG_LEVELS.ERROR,
-    `Okta ${operation} ${success ? 'completed' : 'failed'}`,
+    `${label} ${operation} ${success ? 'completed' : 'failed'}`,
     {
       operation: sanitizeForLogging(operation),
       success,
       ...details,
-      oktaStats: {
-        apiCalls: metrics.okta.apiCalls,
-        errors: metrics.okta.errors,
-        totalUsersSynced: metrics.okta.usersSynced,
+      [`${key}Stats`]: {
+        apiCalls: counters.apiCalls,
+        errors: counters.errors,
+        totalUsersSynced: counters.usersSynced,
+        retries: counters.retries,
+        rateLimitWaits: counters.rateLimitWaits,
+        rateLimitWaitMs: counters.rateLimitWaitMs,
         errorRate:
-          ((metrics.okta.errors / metrics.okta.apiCalls) * 100).toFixed(2) +
-          '%',
+          ((counters.errors / counters.apiCalls) * 100).toFixed(2) + '%',
+      },
+    },
+    env,
+  )
+}
+
+/**
+ * Log Okta operation
+ * @param {string} operation - Okta operation type
+ * @param {boolean} success - Operation success
+ * @param {Object} details - Additional details
+ * @param {*} env - Environment bindings
+ */
+export function logOkta(operation, success, details = {}, env = {}) {
+  logDirectoryOperation('okta', 'Okta', operation, success, details, env)
+}
+
+/**
+ * Log Microsoft Entra ID (Graph) operation
+ * @param {string} operation - Graph operation type
+ * @param {boolean} success - Operation success
+ * @param {Object} details - Additional details
+ * @param {*} env - Environment bindings
+ */
+export function logEntra(operation, success, details = {}, env = {}) {
+  logDirectoryOperation('entra', 'Entra', operation, success, details, env)
+}
+
+/**
+ * Log Google Workspace (Directory API) operation
+ * @param {string} operation - Directory API operation type
+ * @param {boolean} success - Operation success
+ * @param {Object} details - Additional details
+ * @param {*} env - Environment bindings
+ */
+export function logGoogle(operation, success, details = {}, env = {}) {
+  logDirectoryOperation('google', 'Google', operation, success, details, env)
+}
+
+/**
+ * Log an external evaluation access decision
+ * @param {Object} decision - Decision from externalEvaluation()
+ * @param {*} env - Environment bindings
+ */
+export function logDecision(decision, env = {}) {
+  if (decision.allowed) {
+    metrics.decisions.allowed++
+  } else {
+    metrics.decisions.denied++
+  }
+
+  metrics.decisions.byReason[decision.reason] =
+    (metrics.decisions.byReason[decision.reason] || 0) + 1
+
+  structuredLog(
+    decision.allowed ? LOG_LEVELS.INFO : LOG_LEVELS.WARN,
+    `Access ${decision.allowed ? 'allowed' : 'denied'}: ${decision.reason}${decision.allowed && decision.wouldAllow === false ? ' (monitor)' : ''}`,
+    {
+      decision: {
+        allowed: decision.allowed,
+        reason: decision.reason,
+        email: sanitizeForLogging(decision.email || ''),
+        app: sanitizeForLogging(decision.app || ''),
+        mode: decision.mode,
+        wouldAllow: decision.wouldAllow,
+        policyVersion: decision.policyVersion,
+        missingCourses: decision.missingCourses,
+        expiredCourses: decision.expiredCourses,
+        waivedCourses: decision.waivedCourses,
+        exemptionIds: decision.exemptionIds,
+        graceEndsAt: decision.graceEndsAt,
+      },
+      decisionStats: {
+        allowed: metrics.decisions.allowed,
+        denied: metrics.decisions.denied,
+        byReason: metrics.decisions.byReason,
       },
     },
     env,
@@ -301,7 +416,31 @@ export function resetMetrics() {
   metrics.auth = { attempts: 0, successes: 0, failures: 0 }
   metrics.database = { queries: 0, errors: 0 }
   metrics.cache = { hits: 0, misses: 0 }
-  metrics.okta = { apiCalls: 0, usersSynced: 0, errors: 0 }
+  metrics.okta = {
+    apiCalls: 0,
+    usersSynced: 0,
+    errors: 0,
+    retries: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+  }
+  metrics.entra = {
+    apiCalls: 0,
+    usersSynced: 0,
+    errors: 0,
+    retries: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+  }
+  metrics.google = {
+    apiCalls: 0,
+    usersSynced: 0,
+    errors: 0,
+    retries: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+  }
+  metrics.decisions = { allowed: 0, denied: 0, byReason: {} }
 }
 
 /**
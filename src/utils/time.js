@@ -0,0 +1,12 @@
+/**
+ * Date helpers shared by the database modules
+ */
+
+/**
+ * Format a date as a D1 CURRENT_TIMESTAMP value (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {Date} date - Date to format
+ * @returns {string} Database timestamp
+ */
+export function toDbTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ')
+}
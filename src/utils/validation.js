@@ -18,33 +18,21 @@ export function isValidEmail(email) {
 }
 
 /**
- * Extract and validate username from email
+ * Normalize an email address into the identity key used for users.
+ * The full address is kept so that the same local part on different domains
+ * (alice@corp.com, alice@contractor.io) maps to different users.
  * @param {string} email - Email address
- * @returns {string} Validated username
+ * @returns {string} Trimmed, lowercased email
  * @throws {Error} If email is invalid
  */
-export function extractUsername(email) {
-  if (!isValidEmail(email)) {
-    throw new Error('Invalid email format')
-  }
-
-  const username = email.split('@')[0].toLowerCase().trim()
-
-  // Additional username validation
-  if (username.length === 0) {
-    throw new Error('Username cannot be empty')
-  }
-
-  if (username.length > 64) {
-    throw new Error('Username too long (max 64 characters)')
-  }
+export function normalizeEmail(email) {
+  const normalized = typeof email === 'string' ? email.trim().toLowerCase() : ''
 
-  // Ensure username contains only valid characters
-  if (!/^[a-z0-9._-]+$/.test(username)) {
-    throw new Error('Username contains invalid characters')
+  if (!isValidEmail(normalized)) {
+    throw new Error('Invalid email format')
   }
 
-  return username
+  return normalized
 }
 
 /**
@@ -90,6 +78,52 @@ export function isValidOktaDomain(domain) {
   return domainRegex.test(domain) && domain.includes('.')
 }
 
+/**
+ * Validate Microsoft Entra tenant ID format (a GUID or a verified domain such
+ * as contoso.onmicrosoft.com)
+ * @param {string} tenantId - Tenant ID to validate
+ * @returns {boolean} True if valid tenant ID format
+ */
+export function isValidEntraTenantId(tenantId) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    return false
+  }
+
+  return (
+    /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(
+      tenantId,
+    ) || isValidOktaDomain(tenantId)
+  )
+}
+
+/**
+ * Validate Google Workspace customer ID format (`my_customer` or an account
+ * ID such as C01abc23d)
+ * @param {string} customerId - Customer ID to validate
+ * @returns {boolean} True if valid customer ID
+ */
+export function isValidGoogleCustomerId(customerId) {
+  if (!customerId || typeof customerId !== 'string') {
+    return false
+  }
+
+  return /^[a-zA-Z0-9_]{1,64}$/.test(customerId)
+}
+
+/**
+ * Validate Google Workspace organizational unit path format (e.g. /Sales/EMEA)
+ * @param {string} path - Org unit path to validate
+ * @returns {boolean} True if valid org unit path
+ */
+export function isValidGoogleOrgUnitPath(path) {
+  if (!path || typeof path !== 'string') {
+    return false
+  }
+
+  // Quotes and backslashes would break out of the Directory API query
+  return path.startsWith('/') && path.length <= 1024 && !/['"\\]/.test(path)
+}
+
 /**
  * Validate group ID format (UUID-like)
  * @param {string} groupId - Group ID to validate
@@ -103,3 +137,59 @@ export function isValidGroupId(groupId) {
   // Okta group IDs are typically alphanumeric with some special chars
   return /^[a-zA-Z0-9_-]{1,255}$/.test(groupId)
 }
+
+/**
+ * Validate course slug format (lowercase letters, digits and dashes)
+ * @param {string} slug - Course slug to validate
+ * @returns {boolean} True if valid course slug
+ */
+export function isValidCourseSlug(slug) {
+  if (!slug || typeof slug !== 'string') {
+    return false
+  }
+
+  return /^[a-z0-9][a-z0-9-]{0,63}$/.test(slug)
+}
+
+/**
+ * Validate a user attribute name (a letter followed by letters, digits and
+ * underscores)
+ * @param {string} name - Attribute name to validate
+ * @returns {boolean} True if valid attribute name
+ */
+export function isValidAttributeName(name) {
+  if (!name || typeof name !== 'string') {
+    return false
+  }
+
+  return /^[A-Za-z][A-Za-z0-9_]{0,63}$/.test(name)
+}
+
+/**
+ * Validate Access application AUD tag format
+ * @param {string} aud - Application audience tag to validate
+ * @returns {boolean} True if valid AUD format
+ */
+export function isValidApplicationAud(aud) {
+  if (!aud || typeof aud !== 'string') {
+    return false
+  }
+
+  // Access AUD tags are 64 hex characters; allow any short token-safe id
+  return /^[a-zA-Z0-9_-]{1,128}$/.test(aud)
+}
+
+/**
+ * Validate a hostname such as an Access application domain
+ * @param {string} hostname - Hostname to validate
+ * @returns {boolean} True if valid hostname format
+ */
+export function isValidHostname(hostname) {
+  if (!hostname || typeof hostname !== 'string') {
+    return false
+  }
+
+  const hostnameRegex =
+    /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/
+  return hostname.length <= 253 && hostnameRegex.test(hostname)
+}